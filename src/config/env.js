@@ -8,9 +8,41 @@ const env = {
   PORT: parseInt(process.env.PORT, 10) || 5000,
   MONGO_URI: process.env.MONGO_URI || 'mongodb://localhost:27017/smokeless',
   JWT_SECRET: process.env.JWT_SECRET || 'default-dev-secret',
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_EXPIRES_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30,
   AI_API_KEY: process.env.AI_API_KEY || '',
   CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
+  APP_URL: process.env.APP_URL || 'http://localhost:3000',
+  // Public base URL of this API, used for OAuth redirect URIs
+  API_URL: process.env.API_URL || `http://localhost:${parseInt(process.env.PORT, 10) || 5000}`,
+  // JSON array of OpenID Connect providers, see services/oidc.service.js
+  OIDC_PROVIDERS: process.env.OIDC_PROVIDERS || '[]',
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+  MAIL_FROM: process.env.MAIL_FROM || 'SmokeLess AI <no-reply@smokeless.app>',
+  MAIL_DIR: process.env.MAIL_DIR || 'logs/mail',
+  PASSWORD_RESET_EXPIRES_MINUTES: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 30,
+  EMAIL_VERIFICATION_EXPIRES_HOURS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 48,
+  LOGIN_THROTTLE_STORE: process.env.LOGIN_THROTTLE_STORE || 'memory',
+  LOGIN_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10,
+  LOGIN_LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  LOGIN_IP_MAX_FAILURES: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50,
+  // Features unverified accounts cannot use (comma separated, empty to allow all)
+  UNVERIFIED_RESTRICTIONS: (process.env.UNVERIFIED_RESTRICTIONS ?? 'ai,leaderboard')
+    .split(',')
+    .map((feature) => feature.trim())
+    .filter(Boolean),
+  // Days a deleted account can still be restored before its data is purged
+  ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+  ACCOUNT_PURGE_INTERVAL_MINUTES: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60,
+  // How far back offline or forgotten intakes may be logged
+  INTAKE_MAX_BACKDATE_DAYS: parseInt(process.env.INTAKE_MAX_BACKDATE_DAYS, 10) || 30,
+  // Days a deleted intake stays in the trash before it is purged
+  INTAKE_TRASH_RETENTION_DAYS: parseInt(process.env.INTAKE_TRASH_RETENTION_DAYS, 10) || 30,
+  INTAKE_PURGE_INTERVAL_MINUTES: parseInt(process.env.INTAKE_PURGE_INTERVAL_MINUTES, 10) || 60,
+  // Bulk import: request size, rows per upload and rows written per chunk
+  IMPORT_MAX_BYTES: process.env.IMPORT_MAX_BYTES || '2mb',
+  IMPORT_MAX_ROWS: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 10000,
+  IMPORT_CHUNK_SIZE: parseInt(process.env.IMPORT_CHUNK_SIZE, 10) || 500
 };
 
 // Validate required environment variables in production
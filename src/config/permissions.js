@@ -0,0 +1,66 @@
+/**
+ * Roles and Permissions
+ * @description Maps each role to the permissions it holds and how far they reach
+ *
+ * Each permission has an access level:
+ *   own      - only the user's own data
+ *   assigned - own data plus users who have this user as a coach
+ *   any      - every user's data
+ * A permission missing from a role is not granted at all.
+ */
+
+const ROLES = ['user', 'coach', 'researcher', 'support', 'admin'];
+
+// Baseline every account gets for its own data
+const SELF = {
+  'intake:read': 'own',
+  'intake:write': 'own',
+  'intake:delete': 'own',
+  'cravings:read': 'own',
+  'cravings:write': 'own',
+  'analytics:read': 'own',
+  // Place names and location text in analytics, kept apart from aggregated statistics
+  'places:read': 'own',
+  'predictions:read': 'own'
+};
+
+const ROLE_PERMISSIONS = {
+  user: SELF,
+
+  // Clinicians: analytics and predictions of assigned patients, but not their raw logs or notes
+  coach: {
+    ...SELF,
+    'analytics:read': 'assigned',
+    'places:read': 'assigned',
+    'predictions:read': 'assigned',
+    'patients:read': 'own'
+  },
+
+  // Aggregated statistics for any user, but no raw logs, notes or locations
+  researcher: {
+    ...SELF,
+    'analytics:read': 'any'
+  },
+
+  // Look into any account's logs to answer support requests, no changes
+  support: {
+    ...SELF,
+    'intake:read': 'any',
+    'cravings:read': 'any'
+  },
+
+  admin: {
+    'intake:read': 'any',
+    'intake:write': 'own',
+    'intake:delete': 'any',
+    'cravings:read': 'any',
+    'cravings:write': 'own',
+    'analytics:read': 'any',
+    'places:read': 'any',
+    'predictions:read': 'any',
+    'patients:read': 'own',
+    'users:manage': 'any'
+  }
+};
+
+module.exports = { ROLES, ROLE_PERMISSIONS };
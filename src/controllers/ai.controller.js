@@ -62,11 +62,6 @@ const predictCraving = async (req, res, next) => {
   try {
     const { userId } = req.params;
 
-    // Verify authorization
-    if (req.user.id !== userId && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
     const prediction = await predictionService.predictCraving(userId);
 
     res.status(200).json({
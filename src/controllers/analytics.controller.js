@@ -4,6 +4,7 @@
  */
 
 const analyticsService = require('../services/analytics.service');
+const predictionService = require('../services/prediction.service');
 const { logger } = require('../config/logger');
 
 /**
@@ -16,11 +17,6 @@ const getDailyAnalytics = async (req, res, next) => {
     const { userId } = req.params;
     const { date } = req.query;
 
-    // Verify authorization
-    if (req.user.id !== userId && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
     const analytics = await analyticsService.getDailyStats(userId, date);
 
     res.status(200).json({
@@ -42,11 +38,6 @@ const getWeeklyAnalytics = async (req, res, next) => {
     const { userId } = req.params;
     const { startDate } = req.query;
 
-    // Verify authorization
-    if (req.user.id !== userId && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
     const analytics = await analyticsService.getWeeklyStats(userId, startDate);
 
     res.status(200).json({
@@ -68,11 +59,6 @@ const getMonthlyAnalytics = async (req, res, next) => {
     const { userId } = req.params;
     const { month, year } = req.query;
 
-    // Verify authorization
-    if (req.user.id !== userId && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
     const analytics = await analyticsService.getMonthlyStats(userId, month, year);
 
     res.status(200).json({
@@ -84,5 +70,106 @@ const getMonthlyAnalytics = async (req, res, next) => {
   }
 };
 
-module.exports = { getDailyAnalytics, getWeeklyAnalytics, getMonthlyAnalytics };
+/**
+ * @route   GET /api/analytics/places/:userId
+ * @desc    Rank the user's places by consumption
+ * @access  Private
+ */
+const getPlaceAnalytics = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const analytics = await analyticsService.getPlaceStats(userId, { startDate, endDate });
+
+    res.status(200).json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/analytics/range/:userId
+ * @desc    Series for any date range, optionally compared with another period
+ * @access  Private
+ */
+const getRangeAnalytics = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { from, to, granularity, compare } = req.query;
+
+    const analytics = await analyticsService.getRangeStats(userId, { from, to, granularity, compare });
+
+    res.status(200).json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/analytics/heatmap/:userId
+ * @desc    Weekday x hour heatmap of puffs, sessions or cravings, with hotspots
+ * @access  Private
+ */
+const getHeatmapAnalytics = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { days, metric, normalize, threshold } = req.query;
+
+    const heatmap = await predictionService.getCravingHeatmap(userId, {
+      days: days ? parseInt(days) : undefined,
+      metric,
+      normalize,
+      threshold: threshold ? parseInt(threshold) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      heatmap
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/analytics/mood/:userId
+ * @desc    How mood relates to trigger contexts, intensity and puffs
+ * @access  Private
+ */
+const getMoodAnalytics = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { from, to, minSamples } = req.query;
+
+    const analytics = await analyticsService.getMoodStats(userId, {
+      from,
+      to,
+      minSamples: minSamples ? parseInt(minSamples) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDailyAnalytics,
+  getWeeklyAnalytics,
+  getMonthlyAnalytics,
+  getPlaceAnalytics,
+  getRangeAnalytics,
+  getHeatmapAnalytics,
+  getMoodAnalytics
+};
 
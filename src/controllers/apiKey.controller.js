@@ -0,0 +1,101 @@
+/**
+ * API Key Controller
+ * @description Handles creating, listing and revoking personal API keys
+ */
+
+const mongoose = require('mongoose');
+const apiKeyService = require('../services/apiKey.service');
+const auditService = require('../services/audit.service');
+const { logger } = require('../config/logger');
+const { getClientMeta } = require('../utils/authResponse');
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List active API keys for current user
+ * @access  Private (session only)
+ */
+const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listApiKeys(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key (the key is only returned once)
+ * @access  Private (session only)
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, key } = await apiKeyService.createApiKey(req.user.id, {
+      name,
+      scopes,
+      expiresInDays
+    });
+
+    await auditService.recordEvent('api_key.created', {
+      userId: req.user._id,
+      email: req.user.email,
+      ...getClientMeta(req),
+      details: { apiKeyId: apiKey._id, scopes: apiKey.scopes }
+    });
+
+    logger.info(`API key created: ${apiKey._id} for user: ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (session only)
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const revoked = await apiKeyService.revokeApiKey(req.user.id, id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await auditService.recordEvent('api_key.revoked', {
+      userId: req.user._id,
+      email: req.user.email,
+      ...getClientMeta(req),
+      details: { apiKeyId: id }
+    });
+
+    logger.info(`API key revoked: ${id} by user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getApiKeys, createApiKey, revokeApiKey };
@@ -1,25 +1,80 @@
 /**
  * Auth Controller
- * @description Handles user authentication (register, login, logout)
+ * @description Handles user authentication (register, login, token refresh, logout, passwords, email verification)
  */
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const tokenService = require('../services/token.service');
+const mailService = require('../services/mail.service');
+const auditService = require('../services/audit.service');
+const loginThrottle = require('../services/loginThrottle.service');
+const twoFactorService = require('../services/twoFactor.service');
+const { env } = require('../config/env');
 const { logger } = require('../config/logger');
+const {
+  getClientMeta,
+  setTokenCookies,
+  clearTokenCookies,
+  sendAuthResponse,
+  sendLoginResponse
+} = require('../utils/authResponse');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
+// Email a fresh verification link; failures are logged, not surfaced
+const sendVerification = async (user) => {
+  try {
+    const token = await tokenService.createAuthToken(
+      user._id,
+      'email_verification',
+      env.EMAIL_VERIFICATION_EXPIRES_HOURS * 60
+    );
+    await mailService.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(`Failed to send verification email to ${user.email}:`, error);
+  }
+};
+
+// Count a failed login; audit lockouts and email the owner an unlock link
+const handleFailedLogin = async (req, email, user) => {
+  const lockedScopes = await loginThrottle.recordFailure(email, req.ip);
+
+  for (const scope of lockedScopes) {
+    await auditService.recordEvent('login.lockout', {
+      userId: scope === 'email' ? user?._id : null,
+      email,
+      ...getClientMeta(req),
+      details: { scope, minutes: env.LOGIN_LOCKOUT_MINUTES }
+    });
+  }
+
+  if (user && lockedScopes.includes('email')) {
+    try {
+      const token = await tokenService.createAuthToken(
+        user._id,
+        'account_unlock',
+        env.LOGIN_LOCKOUT_MINUTES
+      );
+      await mailService.sendAccountUnlockEmail(user, token);
+    } catch (error) {
+      logger.error(`Failed to send unlock email to ${user.email}:`, error);
+    }
+  }
 };
 
-// Cookie options
-const cookieOptions = {
-  httpOnly: true,
-  secure: process.env.NODE_ENV === 'production',
-  sameSite: 'strict',
-  maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+// Respond to a throttled login attempt with the time to wait
+const sendThrottled = (res, throttle) => {
+  const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+
+  if (throttle.reason === 'locked') {
+    return res.status(423).json({
+      error: 'Too many failed login attempts. Login is temporarily locked.',
+      retryAfter
+    });
+  }
+  return res.status(429).json({
+    error: 'Too many failed login attempts. Please wait before trying again.',
+    retryAfter
+  });
 };
 
 /**
@@ -39,20 +94,13 @@ const register = async (req, res, next) => {
 
     // Create user
     const user = await User.create({ email, password, name });
-    
-    // Generate token
-    const token = generateToken(user._id);
 
-    // Set cookie
-    res.cookie('token', token, cookieOptions);
+    await sendVerification(user);
 
     logger.info(`New user registered: ${email}`);
 
-    res.status(201).json({
-      success: true,
-      token,
-      user: user.toJSON()
-    });
+    // Start session
+    await sendAuthResponse(req, res, user, 201);
   } catch (error) {
     next(error);
   }
@@ -72,15 +120,23 @@ const login = async (req, res, next) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    // Refuse while the email or IP is locked out or cooling down
+    const throttle = await loginThrottle.checkLogin(email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
     // Find user with password
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await handleFailedLogin(req, email, null);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await handleFailedLogin(req, email, user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -89,18 +145,85 @@ const login = async (req, res, next) => {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With 2FA on, the password only earns an "mfa pending" token
+    if (!user.twoFactor?.enabled) {
+      await loginThrottle.clearEmail(email);
+      logger.info(`User logged in: ${email}`);
+    }
 
-    // Set cookie
-    res.cookie('token', token, cookieOptions);
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    logger.info(`User logged in: ${email}`);
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete a two-factor login with a TOTP or recovery code
+ * @access  Public (requires mfa token from login)
+ */
+const verifyLoginMfa = async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const userId = tokenService.verifyMfaToken(mfaToken);
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttle = await loginThrottle.checkLogin(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const factor = await twoFactorService.verifySecondFactor(user._id, { code, recoveryCode });
+    if (!factor) {
+      await handleFailedLogin(req, user.email, user);
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    if (factor === 'recovery') {
+      await auditService.recordEvent('2fa.recovery_code_used', {
+        userId: user._id,
+        email: user.email,
+        ...getClientMeta(req)
+      });
+    }
+
+    await loginThrottle.clearEmail(user.email);
+
+    logger.info(`User logged in with 2FA: ${user.email}`);
+
+    await sendAuthResponse(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires refresh token)
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await tokenService.rotateRefreshToken(refreshToken, getClientMeta(req));
+
+    // Set cookies
+    setTokenCookies(res, tokens);
 
     res.status(200).json({
       success: true,
-      token,
-      user: user.toJSON()
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     });
   } catch (error) {
     next(error);
@@ -109,15 +232,16 @@ const login = async (req, res, next) => {
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user and revoke the current session
  * @access  Private
  */
 const logout = async (req, res, next) => {
   try {
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    await tokenService.revokeSession(req.authSession._id, 'logout');
+
+    logger.info(`Session revoked on logout: ${req.authSession._id}`);
+
+    clearTokenCookies(res);
 
     res.status(200).json({
       success: true,
@@ -128,5 +252,219 @@ const logout = async (req, res, next) => {
   }
 };
 
-module.exports = { register, login, logout };
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Only send for real, active accounts but never reveal which emails exist
+    if (user && user.isActive) {
+      const token = await tokenService.createAuthToken(
+        user._id,
+        'password_reset',
+        env.PASSWORD_RESET_EXPIRES_MINUTES
+      );
+
+      try {
+        await mailService.sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        logger.error(`Failed to send password reset email to ${email}:`, mailError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using an emailed reset token
+ * @access  Public
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await tokenService.consumeAuthToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Whoever knew the old password should not stay signed in
+    await tokenService.revokeUserSessions(user._id, { reason: 'password_reset' });
+    await loginThrottle.clearEmail(user.email);
+
+    logger.info(`Password reset for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password and sign out other sessions
+ * @access  Private
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user.password) {
+      return res.status(400).json({ error: 'This account has no password yet. Use forgot password to set one.' });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const revoked = await tokenService.revokeUserSessions(user._id, {
+      exceptSessionId: req.authSession._id,
+      reason: 'password_change'
+    });
+
+    logger.info(`Password changed for user: ${user.email} (${revoked} other sessions revoked)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      revokedSessions: revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm email address with an emailed token
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await tokenService.consumeAuthToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    logger.info(`Email verified: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerification(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/unlock-account
+ * @desc    Lift a login lockout using the emailed unlock token
+ * @access  Public
+ */
+const unlockAccount = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await tokenService.consumeAuthToken(token, 'account_unlock');
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired unlock token' });
+    }
+
+    await loginThrottle.clearEmail(user.email);
+
+    await auditService.recordEvent('login.unlock', {
+      userId: user._id,
+      email: user.email,
+      ...getClientMeta(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can log in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  verifyLoginMfa,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount
+};
 
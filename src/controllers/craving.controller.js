@@ -0,0 +1,66 @@
+/**
+ * Craving Controller
+ * @description Handles craving event logging, including resisted cravings
+ */
+
+const dayjs = require('dayjs');
+const cravingService = require('../services/craving.service');
+const { logger } = require('../config/logger');
+
+/**
+ * @route   POST /api/cravings
+ * @desc    Log a craving (resisted, or gave in with a link to the intake)
+ * @access  Private
+ */
+const logCraving = async (req, res, next) => {
+  try {
+    const { craving, gamification } = await cravingService.createCraving(req.user.id, req.body);
+
+    logger.info(`Craving logged (${craving.outcome}) for user: ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      craving,
+      gamification: {
+        cravingsResisted: gamification.cravingsResisted,
+        xp: gamification.totalXP,
+        level: gamification.level,
+        newAchievements: gamification.newAchievements
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/cravings/user/:id
+ * @desc    Get a user's cravings (optional outcome, startDate, endDate filters)
+ * @access  Private
+ */
+const getUserCravings = async (req, res, next) => {
+  try {
+    const { startDate, endDate, outcome, limit = 50, page = 1 } = req.query;
+
+    const result = await cravingService.listCravings(req.params.id, {
+      startDate: startDate && dayjs(startDate).toDate(),
+      endDate: endDate && dayjs(endDate).toDate(),
+      outcome,
+      limit: parseInt(limit),
+      page: parseInt(page)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: result.cravings.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      cravings: result.cravings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { logCraving, getUserCravings };
@@ -52,7 +52,7 @@ const getAchievements = async (req, res, next) => {
 const getLeaderboard = async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
-    const leaderboard = await gamificationService.getLeaderboard(parseInt(limit));
+    const leaderboard = await gamificationService.getLeaderboard(parseInt(limit) || 10);
 
     res.status(200).json({
       success: true,
@@ -3,33 +3,40 @@
  * @description Handles vape/smoke intake logging operations
  */
 
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const Intake = require('../models/intake.model');
+const User = require('../models/user.model');
+const ImportBatch = require('../models/importBatch.model');
+const Preset = require('../models/preset.model');
 const { logger } = require('../config/logger');
 const dayjs = require('dayjs');
 const gamificationService = require('../services/gamification.service');
+const intakeService = require('../services/intake.service');
+const presetService = require('../services/preset.service');
+const importService = require('../services/import.service');
+const intakeExportService = require('../services/intakeExport.service');
 
 /**
  * @route   POST /api/intake/log
- * @desc    Log a new intake event
+ * @desc    Log a new intake event (optionally backdated; clientId makes retries safe)
  * @access  Private
  */
 const logIntake = async (req, res, next) => {
   try {
-    const { puffs, intensity, context, notes, location, mood } = req.body;
-
-    const intake = await Intake.create({
-      userId: req.user.id,
-      puffs,
-      intensity,
-      context,
-      notes,
-      location,
-      mood,
-      loggedAt: new Date()
-    });
+    const { intake, created } = await intakeService.createIntake(req.user.id, req.body);
+
+    // A retry of an entry we already have: report it, don't count it again
+    if (!created) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        intake
+      });
+    }
 
-    // Update gamification (streaks, XP, achievements)
-    const gamification = await gamificationService.updateStreakOnLog(req.user.id);
+    // Update gamification (streaks, XP, achievements) for the day it happened
+    const gamification = await gamificationService.updateStreakOnLog(req.user.id, intake.loggedAt);
 
     logger.info(`Intake logged for user: ${req.user.id}`);
 
@@ -48,47 +55,190 @@ const logIntake = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   POST /api/intake/quick/:presetId
+ * @desc    One-tap log from a preset; the body may override any field
+ * @access  Private
+ */
+const quickLogIntake = async (req, res, next) => {
+  try {
+    const preset = await Preset.findOne({ _id: req.params.presetId, userId: req.user.id });
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    req.body = presetService.buildIntake(preset, req.body);
+    await logIntake(req, res, next);
+
+    if (res.statusCode === 201) {
+      await presetService.recordUse(preset);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/intake/sync
+ * @desc    Upload queued offline entries; safe to retry
+ * @access  Private
+ */
+const syncIntakes = async (req, res, next) => {
+  try {
+    const result = await intakeService.syncIntakes(req.user.id, req.body.entries);
+
+    logger.info(`Intake sync for user: ${req.user.id} (${result.created} created, ${result.duplicates} duplicates, ${result.failed} failed)`);
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      gamification: result.gamification && {
+        streak: result.gamification.streak,
+        xp: result.gamification.totalXP,
+        level: result.gamification.level,
+        newAchievements: result.gamification.newAchievements
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   GET /api/intake/user/:id
- * @desc    Get all intake logs for a user
+ * @desc    List a user's intake logs (cursor pagination, or ?page= for page numbers and totals)
  * @access  Private
  */
 const getUserIntakes = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { startDate, endDate, limit = 50, page = 1 } = req.query;
+    const { limit = 50, cursor, page, startDate, endDate, context, intensity, minMood, maxMood, location, q, fields } = req.query;
+    const list = (value) => value?.split(',');
 
-    // Verify user can only access their own data (unless admin)
-    if (req.user.id !== id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to access this data' });
+    const result = await intakeService.listIntakes(id, {
+      limit: parseInt(limit),
+      cursor,
+      page: page && parseInt(page),
+      startDate,
+      endDate,
+      context: list(context),
+      intensity: list(intensity),
+      minMood: minMood && parseInt(minMood),
+      maxMood: maxMood && parseInt(maxMood),
+      location,
+      q,
+      fields: list(fields)
+    });
+
+    if (page) {
+      return res.status(200).json({
+        success: true,
+        count: result.intakes.length,
+        total: result.total,
+        page: result.page,
+        pages: result.pages,
+        intakes: result.intakes
+      });
     }
 
-    // Build query
-    const query = { userId: id };
-    
-    if (startDate || endDate) {
-      query.loggedAt = {};
-      if (startDate) query.loggedAt.$gte = dayjs(startDate).toDate();
-      if (endDate) query.loggedAt.$lte = dayjs(endDate).toDate();
+    res.status(200).json({
+      success: true,
+      count: result.intakes.length,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
+      intakes: result.intakes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/intake/export
+ * @desc    Download intakes as CSV, JSON or NDJSON (streamed, times in the user's timezone)
+ * @access  Private
+ */
+const exportIntakes = async (req, res, next) => {
+  try {
+    const { format = 'csv', startDate, endDate } = req.query;
+    const userId = req.query.userId || req.user.id;
+
+    const owner = await User.findById(userId).select('profile.timezone');
+    if (!owner) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { contentType, extension } = intakeExportService.EXPORT_FORMATS[format];
+    const filename = `smokeless-intakes-${dayjs().format('YYYY-MM-DD')}.${extension}`;
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await pipeline(
+      Readable.from(intakeExportService.exportIntakes(userId, {
+        format,
+        startDate,
+        endDate,
+        timezone: owner.profile?.timezone
+      })),
+      res
+    );
+  } catch (error) {
+    // Too late for an error response once the download has started
+    if (res.headersSent) {
+      logger.error(`Intake export failed for user: ${req.user.id}:`, error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @route   PATCH /api/intake/:logId
+ * @desc    Correct an intake log (keeps a revision history)
+ * @access  Private
+ */
+const updateIntake = async (req, res, next) => {
+  try {
+    const { logId } = req.params;
+
+    const intake = await Intake.findById(logId);
+
+    if (!intake) {
+      return res.status(404).json({ error: 'Intake log not found' });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { revision } = await intakeService.updateIntake(intake, req.body, req.user.id);
 
-    const [intakes, total] = await Promise.all([
-      Intake.find(query)
-        .sort({ loggedAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Intake.countDocuments(query)
-    ]);
+    if (revision) {
+      logger.info(`Intake updated: ${logId} by user: ${req.user.id}`);
+    }
 
     res.status(200).json({
       success: true,
-      count: intakes.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit)),
-      intakes
+      intake,
+      changes: revision ? revision.changes : []
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/intake/:logId/history
+ * @desc    Get the edit history of an intake log
+ * @access  Private
+ */
+const getIntakeHistory = async (req, res, next) => {
+  try {
+    const revisions = await intakeService.getIntakeHistory(req.params.logId);
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      revisions
     });
   } catch (error) {
     next(error);
@@ -97,7 +247,7 @@ const getUserIntakes = async (req, res, next) => {
 
 /**
  * @route   DELETE /api/intake/:logId
- * @desc    Delete an intake log
+ * @desc    Move an intake log to the trash (restorable until purged)
  * @access  Private
  */
 const deleteIntake = async (req, res, next) => {
@@ -110,23 +260,170 @@ const deleteIntake = async (req, res, next) => {
       return res.status(404).json({ error: 'Intake log not found' });
     }
 
-    // Verify ownership
-    if (intake.userId.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized to delete this log' });
+    const { purgeAt } = await intakeService.trashIntake(intake);
+
+    logger.info(`Intake deleted: ${logId} by user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Intake log moved to trash',
+      purgeAt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/intake/:logId/restore
+ * @desc    Restore an intake log from the trash
+ * @access  Private
+ */
+const restoreIntake = async (req, res, next) => {
+  try {
+    const { logId } = req.params;
+
+    const intake = await Intake.findOne({ _id: logId, deletedAt: { $ne: null } });
+
+    if (!intake) {
+      return res.status(404).json({ error: 'Intake log not found in trash' });
     }
 
-    await intake.deleteOne();
+    await intakeService.restoreIntake(intake);
 
-    logger.info(`Intake deleted: ${logId} by user: ${req.user.id}`);
+    logger.info(`Intake restored: ${logId} by user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      intake
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/intake/trash
+ * @desc    List the user's deleted intake logs
+ * @access  Private
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+
+    const result = await intakeService.listTrash(req.user.id, {
+      limit: Math.min(parseInt(limit) || 50, 100),
+      page: parseInt(page) || 1
+    });
+
+    res.status(200).json({
+      success: true,
+      count: result.intakes.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      intakes: result.intakes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/intake/import
+ * @desc    Import historical intakes from a CSV or JSON file (dryRun=true to only validate)
+ * @access  Private
+ */
+const importIntakes = async (req, res, next) => {
+  try {
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : req.is('application/json') ? 'json' : null);
+
+    if (typeof req.body !== 'string' || !format) {
+      return res.status(400).json({ error: 'Send the file as text/csv or application/json' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+
+    const report = await importService.importIntakes(req.user.id, {
+      body: req.body,
+      format,
+      mapping: req.query.mapping,
+      dryRun,
+      batchId: req.query.batchId
+    });
+
+    if (!dryRun) {
+      logger.info(`Intake import for user: ${req.user.id} (${report.imported} imported, ${report.duplicates} duplicates, ${report.invalid} invalid)`);
+    }
+
+    res.status(report.imported ? 201 : 200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/intake/imports
+ * @desc    List the user's imports
+ * @access  Private
+ */
+const listImports = async (req, res, next) => {
+  try {
+    const imports = await importService.listImports(req.user.id);
 
     res.status(200).json({
       success: true,
-      message: 'Intake log deleted'
+      count: imports.length,
+      imports
     });
   } catch (error) {
     next(error);
   }
 };
 
-module.exports = { logIntake, getUserIntakes, deleteIntake };
+/**
+ * @route   DELETE /api/intake/import/:batchId
+ * @desc    Roll back an import, removing every intake it added
+ * @access  Private
+ */
+const rollbackImport = async (req, res, next) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+
+    const { removed, stats } = await importService.rollbackImport(batch);
+
+    logger.info(`Import rolled back: ${batch._id} by user: ${req.user.id} (${removed} intakes removed)`);
+
+    res.status(200).json({
+      success: true,
+      removed,
+      stats
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  logIntake,
+  quickLogIntake,
+  syncIntakes,
+  importIntakes,
+  listImports,
+  rollbackImport,
+  exportIntakes,
+  getUserIntakes,
+  updateIntake,
+  getIntakeHistory,
+  deleteIntake,
+  restoreIntake,
+  getTrash
+};
 
@@ -0,0 +1,114 @@
+/**
+ * OIDC Controller
+ * @description Sign in with an external OpenID Connect provider
+ */
+
+const jwt = require('jsonwebtoken');
+const oidcService = require('../services/oidc.service');
+const auditService = require('../services/audit.service');
+const { env } = require('../config/env');
+const { logger } = require('../config/logger');
+const { getClientMeta, sendLoginResponse } = require('../utils/authResponse');
+
+const STATE_COOKIE = 'oidcState';
+const STATE_TTL_SECONDS = 10 * 60;
+
+// Lax so the cookie survives the top-level redirect back from the provider
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oidc',
+  maxAge: STATE_TTL_SECONDS * 1000
+};
+
+/**
+ * @route   GET /api/auth/oidc
+ * @desc    List configured sign-in providers
+ * @access  Public
+ */
+const listProviders = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      providers: oidcService.listProviders()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/auth/oidc/:provider
+ * @desc    Redirect to the provider's login page
+ * @access  Public
+ */
+const startOidcLogin = async (req, res, next) => {
+  try {
+    const { url, pending } = await oidcService.createAuthorizationRequest(req.params.provider);
+
+    // State, nonce and PKCE verifier ride along in a signed, short-lived cookie
+    const stateToken = jwt.sign(pending, env.JWT_SECRET, { expiresIn: STATE_TTL_SECONDS });
+    res.cookie(STATE_COOKIE, stateToken, stateCookieOptions);
+
+    res.redirect(302, url);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Complete provider login and start a session
+ * @access  Public (requires state cookie from the login redirect)
+ */
+const oidcCallback = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    res.clearCookie(STATE_COOKIE, { path: stateCookieOptions.path });
+
+    if (error) {
+      return res.status(400).json({ error: `Sign-in was not completed: ${errorDescription || error}` });
+    }
+
+    let pending;
+    try {
+      pending = jwt.verify(req.cookies?.[STATE_COOKIE], env.JWT_SECRET);
+    } catch {
+      pending = null;
+    }
+    if (!pending || pending.provider !== provider) {
+      return res.status(400).json({ error: 'Sign-in session expired, please try again' });
+    }
+
+    const identity = await oidcService.completeAuthorization(pending, { code, state });
+    const { user, created, linked } = await oidcService.findOrCreateUser(identity);
+
+    if (!user.isActive) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    if (linked) {
+      await auditService.recordEvent('oidc.linked', {
+        userId: user._id,
+        email: user.email,
+        ...getClientMeta(req),
+        details: { provider }
+      });
+    }
+
+    logger.info(`User ${created ? 'registered' : 'logged in'} via ${provider}: ${user.email}`);
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listProviders,
+  startOidcLogin,
+  oidcCallback
+};
@@ -0,0 +1,104 @@
+/**
+ * Place Controller
+ * @description Handles the user's named places
+ */
+
+const { Place } = require('../models/place.model');
+const placeService = require('../services/place.service');
+const { logger } = require('../config/logger');
+
+/**
+ * @route   GET /api/places
+ * @desc    List the user's places
+ * @access  Private
+ */
+const listPlaces = async (req, res, next) => {
+  try {
+    const places = await placeService.listPlaces(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: places.length,
+      places
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/places
+ * @desc    Add a place (earlier intakes there are matched to it)
+ * @access  Private
+ */
+const createPlace = async (req, res, next) => {
+  try {
+    const { place, matchedIntakes } = await placeService.createPlace(req.user.id, req.body);
+
+    logger.info(`Place added for user: ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      place,
+      matchedIntakes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PATCH /api/places/:id
+ * @desc    Update a place
+ * @access  Private
+ */
+const updatePlace = async (req, res, next) => {
+  try {
+    const place = await Place.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+
+    const { matchedIntakes } = await placeService.updatePlace(place, req.body);
+
+    res.status(200).json({
+      success: true,
+      place,
+      matchedIntakes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/places/:id
+ * @desc    Delete a place (its intakes keep their text location)
+ * @access  Private
+ */
+const deletePlace = async (req, res, next) => {
+  try {
+    const place = await Place.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+
+    await placeService.deletePlace(place);
+
+    res.status(200).json({
+      success: true,
+      message: 'Place deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listPlaces,
+  createPlace,
+  updatePlace,
+  deletePlace
+};
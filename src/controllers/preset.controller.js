@@ -0,0 +1,123 @@
+/**
+ * Preset Controller
+ * @description Handles quick-log presets and preset suggestions
+ */
+
+const Preset = require('../models/preset.model');
+const presetService = require('../services/preset.service');
+const { logger } = require('../config/logger');
+
+/**
+ * @route   GET /api/presets
+ * @desc    List the user's presets, most used first
+ * @access  Private
+ */
+const listPresets = async (req, res, next) => {
+  try {
+    const presets = await presetService.listPresets(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: presets.length,
+      presets
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/presets/suggestions
+ * @desc    Suggest presets from the user's most frequent intake combinations
+ * @access  Private
+ */
+const getPresetSuggestions = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 3, 10);
+    const suggestions = await presetService.suggestPresets(req.user.id, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      suggestions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/presets
+ * @desc    Add a preset
+ * @access  Private
+ */
+const createPreset = async (req, res, next) => {
+  try {
+    const preset = await presetService.createPreset(req.user.id, req.body);
+
+    logger.info(`Preset added for user: ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      preset
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PATCH /api/presets/:id
+ * @desc    Update a preset
+ * @access  Private
+ */
+const updatePreset = async (req, res, next) => {
+  try {
+    const preset = await Preset.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    await presetService.updatePreset(preset, req.body);
+
+    res.status(200).json({
+      success: true,
+      preset
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/presets/:id
+ * @desc    Delete a preset
+ * @access  Private
+ */
+const deletePreset = async (req, res, next) => {
+  try {
+    const preset = await Preset.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    await preset.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Preset deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listPresets,
+  getPresetSuggestions,
+  createPreset,
+  updatePreset,
+  deletePreset
+};
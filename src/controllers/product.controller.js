@@ -0,0 +1,102 @@
+/**
+ * Product Controller
+ * @description Handles the user's nicotine product catalog
+ */
+
+const { Product } = require('../models/product.model');
+const productService = require('../services/product.service');
+const { logger } = require('../config/logger');
+
+/**
+ * @route   GET /api/products
+ * @desc    List the user's products (?includeArchived=true for retired ones)
+ * @access  Private
+ */
+const listProducts = async (req, res, next) => {
+  try {
+    const products = await productService.listProducts(req.user.id, req.query.includeArchived === 'true');
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/products
+ * @desc    Add a product (the first one becomes the default)
+ * @access  Private
+ */
+const createProduct = async (req, res, next) => {
+  try {
+    const product = await productService.createProduct(req.user.id, req.body);
+
+    logger.info(`Product added for user: ${req.user.id} (${product.type})`);
+
+    res.status(201).json({
+      success: true,
+      product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PATCH /api/products/:id
+ * @desc    Update a product
+ * @access  Private
+ */
+const updateProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, userId: req.user.id, archivedAt: null });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await productService.updateProduct(product, req.body);
+
+    res.status(200).json({
+      success: true,
+      product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/products/:id
+ * @desc    Retire a product (past intakes keep it)
+ * @access  Private
+ */
+const archiveProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, userId: req.user.id, archivedAt: null });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await productService.archiveProduct(product);
+
+    res.status(200).json({
+      success: true,
+      message: 'Product archived'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listProducts,
+  createProduct,
+  updateProduct,
+  archiveProduct
+};
@@ -0,0 +1,90 @@
+/**
+ * Session Controller
+ * @description Handles listing and revoking a user's signed-in devices
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const tokenService = require('../services/token.service');
+const { logger } = require('../config/logger');
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (signed-in devices) for current user
+ * @access  Private
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await tokenService.listActiveSessions(req.user.id);
+    const currentId = req.authSession._id.toString();
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session._id.toString() === currentId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out a specific device
+ * @access  Private
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: id, userId: req.user.id });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await tokenService.revokeSession(session._id, 'revoked_by_user');
+
+    logger.info(`Session revoked: ${id} by user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+      current: session._id.equals(req.authSession._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out everywhere except the current device
+ * @access  Private
+ */
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await tokenService.revokeUserSessions(req.user.id, {
+      exceptSessionId: req.authSession._id
+    });
+
+    logger.info(`Revoked ${revoked} other sessions for user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getSessions, revokeSession, revokeOtherSessions };
@@ -0,0 +1,149 @@
+/**
+ * Two-Factor Controller
+ * @description Handles TOTP two-factor enrollment and management
+ */
+
+const User = require('../models/user.model');
+const twoFactorService = require('../services/twoFactor.service');
+const auditService = require('../services/audit.service');
+const { logger } = require('../config/logger');
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status for current user
+ * @access  Private
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const twoFactor = await twoFactorService.getStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      twoFactor
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrollment and get an otpauth URI for the authenticator app
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const setup = await twoFactorService.startSetup(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      ...setup
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with the first code and receive recovery codes
+ * @access  Private
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await twoFactorService.confirmSetup(req.user.id, req.body.code);
+
+    await auditService.recordEvent('2fa.enabled', {
+      userId: req.user._id,
+      email: req.user.email,
+      ip: req.ip
+    });
+
+    logger.info(`Two-factor enabled for user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    const factor = await twoFactorService.verifySecondFactor(user._id, { code, recoveryCode });
+    if (!factor) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    await twoFactorService.disable(user._id);
+
+    await auditService.recordEvent('2fa.disabled', {
+      userId: user._id,
+      email: user.email,
+      ip: req.ip,
+      details: { factor }
+    });
+
+    logger.info(`Two-factor disabled for user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires a current code)
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const factor = await twoFactorService.verifySecondFactor(req.user.id, { code, recoveryCode });
+    if (!factor) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
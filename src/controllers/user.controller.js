@@ -3,8 +3,14 @@
  * @description Handles user profile operations
  */
 
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
+const auditService = require('../services/audit.service');
+const permissionService = require('../services/permission.service');
+const accountService = require('../services/account.service');
+const { queueTimezoneRebuild } = require('../jobs/timezoneRebuild.job');
 const { logger } = require('../config/logger');
+const { getClientMeta } = require('../utils/authResponse');
 
 /**
  * @route   GET /api/user/me
@@ -46,8 +52,10 @@ const updateProfile = async (req, res, next) => {
     });
 
     // Handle nested profile updates
+    let previousTimezone;
     if (req.body.profile) {
       const user = await User.findById(req.user.id);
+      previousTimezone = user.profile?.timezone;
       updates.profile = { ...user.profile, ...req.body.profile };
     }
 
@@ -61,6 +69,11 @@ const updateProfile = async (req, res, next) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Days are bucketed in the user's timezone: re-bucket stored days when it changes
+    if (req.body.profile?.timezone && req.body.profile.timezone !== previousTimezone) {
+      queueTimezoneRebuild(user._id);
+    }
+
     logger.info(`User profile updated: ${user.email}`);
 
     res.status(200).json({
@@ -72,5 +85,247 @@ const updateProfile = async (req, res, next) => {
   }
 };
 
-module.exports = { getMe, updateProfile };
+/**
+ * @route   GET /api/user/export
+ * @desc    Download every record tied to the current user (ZIP of JSON + intakes CSV)
+ * @access  Private (session only)
+ */
+const exportData = async (req, res, next) => {
+  try {
+    const archive = await accountService.buildExportArchive(req.user.id);
+    const filename = `smokeless-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    await auditService.recordEvent('account.exported', {
+      userId: req.user._id,
+      email: req.user.email,
+      ...getClientMeta(req)
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).send(archive);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/user/me
+ * @desc    Schedule account deletion after the grace period
+ * @access  Private (session only)
+ */
+const deleteMe = async (req, res, next) => {
+  try {
+    const { password, confirmEmail } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    // Re-confirm: password, or the email address for password-less accounts
+    if (user.password) {
+      if (!password || !(await user.comparePassword(password))) {
+        return res.status(400).json({ error: 'Password is incorrect' });
+      }
+    } else if (String(confirmEmail || '').toLowerCase() !== user.email) {
+      return res.status(400).json({ error: 'Type your email address to confirm' });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({ error: 'Account deletion is already scheduled' });
+    }
+
+    const scheduledFor = await accountService.requestDeletion(user, getClientMeta(req));
+
+    logger.info(`Account deletion scheduled for ${user.email} on ${scheduledFor.toISOString()}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Account scheduled for deletion. Log in and restore it before then to cancel.',
+      deletionScheduledFor: scheduledFor
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/user/me/restore
+ * @desc    Cancel a scheduled account deletion
+ * @access  Private (session only)
+ */
+const restoreMe = async (req, res, next) => {
+  try {
+    const cancelled = await accountService.cancelDeletion(req.user, getClientMeta(req));
+    if (!cancelled) {
+      return res.status(400).json({ error: 'Account is not scheduled for deletion' });
+    }
+
+    logger.info(`Account deletion cancelled for ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account restored',
+      user: req.user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/user/patients
+ * @desc    List users who assigned the current user as their coach
+ * @access  Private (coach)
+ */
+const getPatients = async (req, res, next) => {
+  try {
+    const patients = await User.find({ coaches: req.user._id, isActive: true })
+      .select('name email profile.timezone createdAt')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: patients.length,
+      patients
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PATCH /api/user/:id/role
+ * @desc    Change a user's role
+ * @access  Private (admin)
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await auditService.recordEvent('user.role_changed', {
+      userId: user._id,
+      email: user.email,
+      ...getClientMeta(req),
+      details: { from: previousRole, to: role, by: req.user._id }
+    });
+
+    logger.info(`Role of ${user.email} changed from ${previousRole} to ${role} by user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/user/:id/coaches/:coachId
+ * @desc    Assign a coach to a user
+ * @access  Private (admin)
+ */
+const assignCoach = async (req, res, next) => {
+  try {
+    const { id, coachId } = req.params;
+
+    if (!mongoose.isValidObjectId(coachId) || id === coachId) {
+      return res.status(400).json({ error: 'Invalid coach' });
+    }
+
+    const coach = await User.findById(coachId);
+    if (!coach || permissionService.getAccessLevel(coach.role, 'analytics:read') !== 'assigned') {
+      return res.status(400).json({ error: 'Invalid coach' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { $addToSet: { coaches: coach._id } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await auditService.recordEvent('coach.assigned', {
+      userId: user._id,
+      email: user.email,
+      ...getClientMeta(req),
+      details: { coachId: coach._id, by: req.user._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      coaches: user.coaches
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/user/:id/coaches/:coachId
+ * @desc    Remove a coach from a user
+ * @access  Private (admin)
+ */
+const unassignCoach = async (req, res, next) => {
+  try {
+    const { id, coachId } = req.params;
+
+    if (!mongoose.isValidObjectId(coachId)) {
+      return res.status(404).json({ error: 'Coach not assigned' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: id, coaches: coachId },
+      { $pull: { coaches: coachId } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'Coach not assigned' });
+    }
+
+    await auditService.recordEvent('coach.unassigned', {
+      userId: user._id,
+      email: user.email,
+      ...getClientMeta(req),
+      details: { coachId, by: req.user._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      coaches: user.coaches
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMe,
+  updateProfile,
+  exportData,
+  deleteMe,
+  restoreMe,
+  getPatients,
+  updateRole,
+  assignCoach,
+  unassignCoach
+};
 
@@ -0,0 +1,39 @@
+/**
+ * Account Purge Job
+ * @description Periodically purges accounts whose deletion grace period has ended
+ */
+
+const accountService = require('../services/account.service');
+const { env } = require('../config/env');
+const { logger } = require('../config/logger');
+
+let timer = null;
+
+const run = async () => {
+  try {
+    await accountService.purgeDueAccounts();
+  } catch (error) {
+    logger.error('Account purge failed:', error);
+  }
+};
+
+/**
+ * Start the purge schedule (runs once immediately)
+ */
+const startAccountPurgeJob = () => {
+  if (timer) return;
+
+  run();
+  timer = setInterval(run, env.ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+};
+
+/**
+ * Stop the purge schedule
+ */
+const stopAccountPurgeJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startAccountPurgeJob, stopAccountPurgeJob };
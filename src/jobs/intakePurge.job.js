@@ -0,0 +1,39 @@
+/**
+ * Intake Purge Job
+ * @description Periodically purges intakes that have been in the trash past the retention period
+ */
+
+const intakeService = require('../services/intake.service');
+const { env } = require('../config/env');
+const { logger } = require('../config/logger');
+
+let timer = null;
+
+const run = async () => {
+  try {
+    await intakeService.purgeTrash();
+  } catch (error) {
+    logger.error('Intake purge failed:', error);
+  }
+};
+
+/**
+ * Start the purge schedule (runs once immediately)
+ */
+const startIntakePurgeJob = () => {
+  if (timer) return;
+
+  run();
+  timer = setInterval(run, env.INTAKE_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+};
+
+/**
+ * Stop the purge schedule
+ */
+const stopIntakePurgeJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startIntakePurgeJob, stopIntakePurgeJob };
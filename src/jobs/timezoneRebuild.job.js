@@ -0,0 +1,45 @@
+/**
+ * Timezone Rebuild Job
+ * @description Re-buckets a user's daily rollups and streak stats after their timezone changes,
+ * in the background and one user at a time, so the profile update doesn't wait for it.
+ * Rollups left stale by a restart are rebuilt on their next read.
+ */
+
+const rollupService = require('../services/rollup.service');
+const gamificationService = require('../services/gamification.service');
+const { logger } = require('../config/logger');
+
+// User IDs waiting for a rebuild; a user changing timezone twice is rebuilt once
+const pending = new Set();
+let running = null;
+
+const drain = async () => {
+  while (pending.size) {
+    const [userId] = pending;
+    pending.delete(userId);
+
+    try {
+      await rollupService.rebuildUserRollups(userId);
+      await gamificationService.rebuildStats(userId);
+    } catch (error) {
+      logger.error(`Timezone rebuild failed for user ${userId}:`, error);
+    }
+  }
+  running = null;
+};
+
+/**
+ * Queue a rebuild of a user's rollups and stats
+ * @param {string} userId - User ID
+ */
+const queueTimezoneRebuild = (userId) => {
+  pending.add(String(userId));
+  if (!running) running = drain();
+};
+
+/**
+ * Resolves once every queued rebuild has finished
+ */
+const whenIdle = () => running || Promise.resolve();
+
+module.exports = { queueTimezoneRebuild, whenIdle };
@@ -1,14 +1,37 @@
 /**
  * Auth Middleware
- * @description JWT authentication and authorization middleware
+ * @description JWT / API key authentication and authorization middleware
  */
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const tokenService = require('../services/token.service');
+const apiKeyService = require('../services/apiKey.service');
+const permissionService = require('../services/permission.service');
+const { env } = require('../config/env');
 const { logger } = require('../config/logger');
 
+// Authenticate an API key; req.authSession stays null for key requests
+const protectWithApiKey = async (req, res, next, key) => {
+  const apiKey = await apiKeyService.findActiveApiKey(key);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user || !user.isActive) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  await apiKeyService.touchApiKey(apiKey, { ip: req.ip });
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.authSession = null;
+  next();
+};
+
 /**
- * Protect routes - require authentication
+ * Protect routes - require authentication (session JWT or API key)
  */
 const protect = async (req, res, next) => {
   try {
@@ -18,6 +41,10 @@ const protect = async (req, res, next) => {
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
     } 
+    // Check API key header
+    else if (req.headers['x-api-key']) {
+      token = req.headers['x-api-key'];
+    }
     // Check cookies
     else if (req.cookies && req.cookies.token) {
       token = req.cookies.token;
@@ -27,8 +54,19 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ error: 'Not authorized, no token provided' });
     }
 
+    if (apiKeyService.isApiKey(token)) {
+      return await protectWithApiKey(req, res, next, token);
+    }
+
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
+
+    // Reject tokens whose session was logged out or revoked
+    const session = await tokenService.findActiveSession(decoded.sid, decoded.id);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
 
     // Get user from token
     const user = await User.findById(decoded.id);
@@ -41,7 +79,11 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
+    await tokenService.touchSession(session, { ip: req.ip });
+
     req.user = user;
+    req.apiKey = null;
+    req.authSession = session;
     next();
   } catch (error) {
     logger.error('Auth middleware error:', error.message);
@@ -58,18 +100,82 @@ const protect = async (req, res, next) => {
 };
 
 /**
- * Restrict to specific roles
+ * Require a permission, optionally on a resource owned by another user
+ * @param {string} permission - Permission name (see config/permissions)
+ * @param {Function} [getOwnerId] - (req) => owner user ID, may be async;
+ *   returning null/undefined responds 404
  */
-const authorize = (...roles) => {
+const authorize = (permission, getOwnerId) => {
+  return async (req, res, next) => {
+    try {
+      let ownerId;
+      if (getOwnerId) {
+        ownerId = await getOwnerId(req);
+        if (ownerId === null || ownerId === undefined) {
+          return res.status(404).json({ error: 'Resource not found' });
+        }
+      }
+
+      if (!(await permissionService.can(req.user, permission, ownerId))) {
+        return res.status(403).json({
+          error: 'Not authorized to access this resource'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Block features that unverified accounts may not use
+ * @param {string} feature - Feature name listed in UNVERIFIED_RESTRICTIONS
+ */
+const requireVerifiedEmail = (feature) => {
+  return (req, res, next) => {
+    if (!req.user.emailVerified && env.UNVERIFIED_RESTRICTIONS.includes(feature)) {
+      return res.status(403).json({
+        error: 'Please verify your email address to use this feature'
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Require the scope for this request when authenticated with an API key
+ * @param {string} scope - Full scope ("ai:read") or a resource ("intake"),
+ *   which needs "<resource>:read" for GET/HEAD and "<resource>:write" otherwise
+ */
+const requireScope = (scope) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        error: 'Not authorized to access this resource' 
+    if (!req.apiKey) return next();
+
+    const required = scope.includes(':')
+      ? scope
+      : `${scope}:${['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'}`;
+
+    if (!req.apiKey.scopes.includes(required)) {
+      return res.status(403).json({
+        error: `API key is missing the "${required}" scope`
       });
     }
     next();
   };
 };
 
-module.exports = { protect, authorize };
+/**
+ * Refuse API keys - for auth and account management routes
+ */
+const requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return res.status(403).json({
+      error: 'API keys cannot be used for this action'
+    });
+  }
+  next();
+};
+
+module.exports = { protect, authorize, requireVerifiedEmail, requireScope, requireSession };
 
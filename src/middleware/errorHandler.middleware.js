@@ -53,7 +53,7 @@ const errorHandler = (err, req, res, next) => {
 
   // Zod validation error
   if (err.name === 'ZodError') {
-    const messages = err.errors.map((e) => `${e.path.join('.')}: ${e.message}`);
+    const messages = err.issues.map((e) => `${e.path.join('.')}: ${e.message}`);
     const message = messages.join(', ');
     error = new ApiError(message, 400);
   }
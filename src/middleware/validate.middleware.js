@@ -16,7 +16,7 @@ const validate = (schema) => {
       next();
     } catch (error) {
       if (error instanceof ZodError) {
-        const messages = error.errors.map((err) => ({
+        const messages = error.issues.map((err) => ({
           field: err.path.join('.'),
           message: err.message
         }));
@@ -43,7 +43,7 @@ const validateQuery = (schema) => {
       next();
     } catch (error) {
       if (error instanceof ZodError) {
-        const messages = error.errors.map((err) => ({
+        const messages = error.issues.map((err) => ({
           field: err.path.join('.'),
           message: err.message
         }));
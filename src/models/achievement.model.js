@@ -85,6 +85,32 @@ const ACHIEVEMENTS = {
     category: 'consistency'
   },
   
+  // Resisted cravings
+  CRAVING_CRUSHER: {
+    id: 'craving_crusher',
+    name: 'Craving Crusher',
+    description: 'Resist your first craving',
+    icon: '🛡️',
+    xp: 50,
+    category: 'resistance'
+  },
+  IRON_WILL: {
+    id: 'iron_will',
+    name: 'Iron Will',
+    description: 'Resist 10 cravings',
+    icon: '💪',
+    xp: 200,
+    category: 'resistance'
+  },
+  UNSHAKEABLE: {
+    id: 'unshakeable',
+    name: 'Unshakeable',
+    description: 'Resist 50 cravings',
+    icon: '🧘',
+    xp: 750,
+    category: 'resistance'
+  },
+  
   // Wellness achievements
   INSIGHT_SEEKER: {
     id: 'insight_seeker',
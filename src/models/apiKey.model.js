@@ -0,0 +1,92 @@
+/**
+ * API Key Model
+ * @description MongoDB schema for personal API keys used by integrations
+ */
+
+const mongoose = require('mongoose');
+
+// Scopes are "<resource>:<read|write>"; see requireScope in auth.middleware
+const API_KEY_SCOPES = [
+  'intake:read',
+  'intake:write',
+  'cravings:read',
+  'cravings:write',
+  'analytics:read',
+  'ai:read',
+  'gamification:read',
+  'gamification:write',
+  'health:read',
+  'health:write',
+  'user:read',
+  'user:write'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Only the SHA-256 hash is stored; the raw key is shown once on creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [(scopes) => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: String,
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Whether the key can still be used
+ */
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = { ApiKey, API_KEY_SCOPES };
@@ -0,0 +1,45 @@
+/**
+ * Auth Token Model
+ * @description MongoDB schema for single-use emailed tokens (password reset, email verification, unlock)
+ */
+
+const mongoose = require('mongoose');
+
+const TOKEN_TYPES = ['password_reset', 'email_verification', 'account_unlock'];
+
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: TOKEN_TYPES,
+    required: true
+  },
+  // Only the SHA-256 hash is stored; the raw token lives in the email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Remove expired tokens automatically
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+module.exports = { AuthToken, TOKEN_TYPES };
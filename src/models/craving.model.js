@@ -0,0 +1,92 @@
+/**
+ * Craving Model
+ * @description MongoDB schema for craving events, including the ones the user resisted
+ */
+
+const mongoose = require('mongoose');
+
+const CRAVING_OUTCOMES = ['resisted', 'gave_in'];
+
+const COPING_TECHNIQUES = [
+  'breathing',
+  'water',
+  'walk',
+  'exercise',
+  'distraction',
+  'call_someone',
+  'snack',
+  'meditation',
+  'nicotine_replacement',
+  'other'
+];
+
+const cravingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // What triggered it (same contexts as intakes)
+  context: {
+    type: String,
+    enum: ['stress', 'bored', 'habit', 'social', 'other'],
+    required: [true, 'Context is required']
+  },
+  intensity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: [true, 'Intensity is required']
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    max: [240, 'Duration cannot exceed 240 minutes']
+  },
+  copingTechnique: {
+    type: String,
+    enum: COPING_TECHNIQUES
+  },
+  outcome: {
+    type: String,
+    enum: CRAVING_OUTCOMES,
+    required: [true, 'Outcome is required']
+  },
+  // The intake logged when the user gave in
+  intakeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    default: null
+  },
+  mood: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    trim: true
+  },
+  loggedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+cravingSchema.index({ userId: 1, loggedAt: -1 });
+
+// Same scale as the intake virtual
+cravingSchema.virtual('intensityScore').get(function() {
+  const scores = { low: 1, medium: 2, high: 3 };
+  return scores[this.intensity] || 0;
+});
+
+cravingSchema.set('toJSON', { virtuals: true });
+cravingSchema.set('toObject', { virtuals: true });
+
+const Craving = mongoose.model('Craving', cravingSchema);
+
+module.exports = { Craving, CRAVING_OUTCOMES, COPING_TECHNIQUES };
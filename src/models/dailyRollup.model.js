@@ -0,0 +1,65 @@
+/**
+ * Daily Rollup Model
+ * @description Per-user totals of one calendar day, maintained from intakes so analytics
+ * don't have to read every intake
+ */
+
+const mongoose = require('mongoose');
+
+// Sessions and puffs of one context or intensity
+const tallySchema = new mongoose.Schema({
+  sessions: { type: Number, default: 0 },
+  puffs: { type: Number, default: 0 }
+}, { _id: false });
+
+const productTotalSchema = new mongoose.Schema({
+  // Null for intakes logged without a product
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null },
+  unit: { type: String, default: 'puff' },
+  quantity: { type: Number, default: 0 },
+  nicotineMg: { type: Number, default: 0 },
+  sessions: { type: Number, default: 0 }
+}, { _id: false });
+
+const dailyRollupSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Calendar day (YYYY-MM-DD) in the timezone below
+  date: {
+    type: String,
+    required: true
+  },
+  // The user's timezone when the day was rolled up; a different one means the rollups are stale
+  timezone: {
+    type: String,
+    required: true
+  },
+  totalPuffs: { type: Number, default: 0 },
+  sessions: { type: Number, default: 0 },
+  nicotineMg: { type: Number, default: 0 },
+  // Sessions without a nicotine estimate
+  unestimatedLogs: { type: Number, default: 0 },
+  // Puffs and sessions per local hour, 0-23
+  hourlyPuffs: { type: [Number], default: () => Array(24).fill(0) },
+  hourlySessions: { type: [Number], default: () => Array(24).fill(0) },
+  contexts: { type: Map, of: tallySchema, default: {} },
+  intensities: { type: Map, of: tallySchema, default: {} },
+  // Sessions per mood score (1-5)
+  moods: { type: Map, of: Number, default: {} },
+  // Amount per unit (puff, cigarette, ...)
+  units: { type: Map, of: Number, default: {} },
+  products: { type: [productTotalSchema], default: [] },
+  firstLoggedAt: { type: Date, default: null },
+  lastLoggedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+dailyRollupSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+const DailyRollup = mongoose.model('DailyRollup', dailyRollupSchema);
+
+module.exports = DailyRollup;
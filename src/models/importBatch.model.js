@@ -0,0 +1,40 @@
+/**
+ * Import Batch Model
+ * @description MongoDB schema for bulk intake imports, so an import can be rolled back as a unit
+ */
+
+const mongoose = require('mongoose');
+
+const importBatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'rolled_back'],
+    default: 'completed'
+  },
+  // Totals across every upload added to this batch
+  totalRows: { type: Number, default: 0 },
+  importedCount: { type: Number, default: 0 },
+  duplicateCount: { type: Number, default: 0 },
+  invalidCount: { type: Number, default: 0 },
+  rolledBackAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { pointSchema } = require('./place.model');
 
 const intakeSchema = new mongoose.Schema({
   userId: {
@@ -12,12 +13,28 @@ const intakeSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+  // Amount in the product's unit (puffs for vapes and logs without a product)
   puffs: {
     type: Number,
     required: [true, 'Puff count is required'],
     min: [1, 'Puffs must be at least 1'],
     max: [100, 'Puffs cannot exceed 100']
   },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  unit: {
+    type: String,
+    enum: ['puff', 'cigarette', 'pouch', 'piece'],
+    default: 'puff'
+  },
+  // Estimated at log time from the product, null when unknown
+  nicotineMg: {
+    type: Number,
+    default: null
+  },
   intensity: {
     type: String,
     enum: ['low', 'medium', 'high'],
@@ -42,18 +59,74 @@ const intakeSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Coarsened to the user's location precision; only stored when they opted in
+  geo: {
+    type: pointSchema,
+    default: undefined
+  },
+  // Named place the intake was matched to
+  placeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    default: null
+  },
   mood: {
     type: Number,
     min: 1,
     max: 5
+  },
+  // App-generated ID making offline uploads idempotent
+  clientId: {
+    type: String,
+    trim: true
+  },
+  // Set for entries created by a bulk import
+  importBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    default: undefined,
+    index: { sparse: true }
+  },
+  // Set while the intake is in the trash; purged for good after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
-// Compound index for efficient user + date queries
-intakeSchema.index({ userId: 1, loggedAt: -1 });
+// Compound index for efficient user + date queries; _id breaks ties for cursor pagination
+intakeSchema.index({ userId: 1, loggedAt: -1, _id: -1 });
 intakeSchema.index({ userId: 1, createdAt: -1 });
+intakeSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+intakeSchema.index({ geo: '2dsphere' });
+intakeSchema.index({ userId: 1, placeId: 1 }, { partialFilterExpression: { placeId: { $type: 'objectId' } } });
+intakeSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+/**
+ * Intakes in the trash are invisible to queries unless they filter on deletedAt
+ * themselves or opt in with setOptions({ withDeleted: true }).
+ */
+function excludeDeleted() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+}
+
+intakeSchema.pre(
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'],
+  excludeDeleted
+);
+
+// Same for pipelines, unless their first $match filters on deletedAt
+intakeSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (first?.$match && 'deletedAt' in first.$match) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
 
 // Virtual for intensity score
 intakeSchema.virtual('intensityScore').get(function() {
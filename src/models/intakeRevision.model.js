@@ -0,0 +1,40 @@
+/**
+ * Intake Revision Model
+ * @description MongoDB schema for the edit history of intake logs
+ */
+
+const mongoose = require('mongoose');
+
+const intakeRevisionSchema = new mongoose.Schema({
+  intakeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake',
+    required: true
+  },
+  // Owner of the intake (export and account purge key on this)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+intakeRevisionSchema.index({ intakeId: 1, createdAt: 1 });
+
+const IntakeRevision = mongoose.model('IntakeRevision', intakeRevisionSchema);
+
+module.exports = IntakeRevision;
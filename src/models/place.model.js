@@ -0,0 +1,71 @@
+/**
+ * Place Model
+ * @description MongoDB schema for a user's named places (home, office, ...) used to group intakes by location
+ */
+
+const mongoose = require('mongoose');
+
+// Decimal places kept from logged coordinates per privacy setting (0.1° is about 11 km)
+const LOCATION_PRECISION = {
+  off: null,
+  city: 1,
+  neighborhood: 2,
+  street: 3,
+  exact: 5
+};
+
+// GeoJSON point; coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: ([lng, lat, ...rest]) => rest.length === 0 && Math.abs(lng) <= 180 && Math.abs(lat) <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+const placeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Other names typed as an intake's location, e.g. "work" for "Office"
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }],
+  center: {
+    type: pointSchema,
+    required: [true, 'Center is required']
+  },
+  radiusMeters: {
+    type: Number,
+    min: 25,
+    max: 5000,
+    default: 150
+  }
+}, {
+  timestamps: true
+});
+
+placeSchema.index({ center: '2dsphere' });
+
+const Place = mongoose.model('Place', placeSchema);
+
+module.exports = { Place, pointSchema, LOCATION_PRECISION };
@@ -0,0 +1,61 @@
+/**
+ * Preset Model
+ * @description MongoDB schema for quick-log presets (one-tap intake templates)
+ */
+
+const mongoose = require('mongoose');
+
+const presetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  puffs: {
+    type: Number,
+    required: [true, 'Puff count is required'],
+    min: 1,
+    max: 100
+  },
+  intensity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: [true, 'Intensity is required']
+  },
+  context: {
+    type: String,
+    enum: ['stress', 'bored', 'habit', 'social', 'other'],
+    required: [true, 'Context is required']
+  },
+  // Null logs with the user's default product
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Preset = mongoose.model('Preset', presetSchema);
+
+module.exports = Preset;
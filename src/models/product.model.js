@@ -0,0 +1,115 @@
+/**
+ * Product Model
+ * @description MongoDB schema for a user's nicotine products (vapes, cigarettes, pouches, gum)
+ */
+
+const mongoose = require('mongoose');
+
+const PRODUCT_TYPES = ['vape', 'cigarette', 'pouch', 'gum'];
+
+// Unit an intake of each product type is counted in
+const PRODUCT_UNITS = {
+  vape: 'puff',
+  cigarette: 'cigarette',
+  pouch: 'pouch',
+  gum: 'piece'
+};
+
+// Largest amount a single intake may log, per unit
+const MAX_QUANTITY = {
+  puff: 100,
+  cigarette: 40,
+  pouch: 10,
+  piece: 10
+};
+
+// Units per pack when none is given (for vapes: puffs per pod)
+const DEFAULT_UNITS_PER_PACK = {
+  vape: 200,
+  cigarette: 20,
+  pouch: 20,
+  gum: 10
+};
+
+const productSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: PRODUCT_TYPES,
+    required: [true, 'Type is required']
+  },
+  // Vapes: pod or tank size and e-liquid strength
+  podSizeMl: {
+    type: Number,
+    min: 0
+  },
+  strengthMgPerMl: {
+    type: Number,
+    min: 0
+  },
+  // Cigarettes, pouches and gum: nicotine per unit from the label
+  nicotineMgPerUnit: {
+    type: Number,
+    min: 0
+  },
+  // Price of a pack (cigarettes, can, gum pack, or one pod for vapes)
+  packPrice: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  unitsPerPack: {
+    type: Number,
+    min: 1,
+    default: function() {
+      return DEFAULT_UNITS_PER_PACK[this.type];
+    }
+  },
+  // Used for intakes logged without a product
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Retired products stay attached to past intakes
+  archivedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+productSchema.virtual('unit').get(function() {
+  return PRODUCT_UNITS[this.type];
+});
+
+// Estimated nicotine per unit; for vapes the pod's nicotine spread over its puffs
+productSchema.virtual('mgPerUnit').get(function() {
+  if (this.type === 'vape') {
+    if (this.podSizeMl == null || this.strengthMgPerMl == null) return null;
+    return (this.podSizeMl * this.strengthMgPerMl) / this.unitsPerPack;
+  }
+  return this.nicotineMgPerUnit ?? null;
+});
+
+productSchema.virtual('costPerUnit').get(function() {
+  return this.packPrice / this.unitsPerPack;
+});
+
+productSchema.set('toJSON', { virtuals: true });
+productSchema.set('toObject', { virtuals: true });
+
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = { Product, PRODUCT_TYPES, PRODUCT_UNITS, MAX_QUANTITY, DEFAULT_UNITS_PER_PACK };
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { createCalendar } = require('../utils/calendar');
 
 const streakSchema = new mongoose.Schema({
   userId: {
@@ -43,6 +44,10 @@ const streakSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  cravingsResisted: {
+    type: Number,
+    default: 0
+  },
   smokeFreedays: {
     type: Number,
     default: 0
@@ -65,8 +70,17 @@ const streakSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Same baseline as estimated nicotine and spend across all products
+  baselineDailyNicotineMg: {
+    type: Number,
+    default: null
+  },
+  baselineDailySpend: {
+    type: Number,
+    default: null
+  },
   
-  // Money tracking
+  // Money tracking for intakes logged without a product
   costPerPack: {
     type: Number,
     default: 10 // Default $10 per pack
@@ -118,22 +132,21 @@ streakSchema.methods.addXP = async function(amount) {
   return { totalXP: this.totalXP, level: this.level, added: amount };
 };
 
-// Update streak
-streakSchema.methods.updateStreak = async function(didLog = true) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const lastActive = this.lastActiveDate ? new Date(this.lastActiveDate) : null;
-  if (lastActive) lastActive.setHours(0, 0, 0, 0);
+// Update streak for activity on a given day (defaults to today).
+// Days are the user's calendar days; pass their calendar (defaults to UTC).
+streakSchema.methods.updateStreak = async function(didLog = true, date = new Date(), calendar = createCalendar()) {
+  const today = calendar.dayKey(date);
+  const lastActive = this.lastActiveDate ? calendar.dayKey(this.lastActiveDate) : null;
   
   if (!lastActive) {
     // First time logging
     this.currentStreak = didLog ? 1 : 0;
   } else {
-    const diffDays = Math.floor((today - lastActive) / (1000 * 60 * 60 * 24));
+    // Counted in calendar days, so 23- and 25-hour DST days still count as one
+    const diffDays = calendar.daysBetween(lastActive, today);
     
-    if (diffDays === 0) {
-      // Same day, no change
+    if (diffDays <= 0) {
+      // Same day, or an earlier (backdated) day: no change here
     } else if (diffDays === 1 && didLog) {
       // Consecutive day
       this.currentStreak += 1;
@@ -148,7 +161,9 @@ streakSchema.methods.updateStreak = async function(didLog = true) {
     this.longestStreak = this.currentStreak;
   }
   
-  this.lastActiveDate = today;
+  if (!lastActive || today > lastActive) {
+    this.lastActiveDate = calendar.startOfDay(today).toDate();
+  }
   await this.save();
   
   return {
@@ -157,6 +172,9 @@ streakSchema.methods.updateStreak = async function(didLog = true) {
   };
 };
 
+// Leaderboard reads streaks by XP, highest first
+streakSchema.index({ totalXP: -1 });
+
 const Streak = mongoose.model('Streak', streakSchema);
 
 module.exports = Streak;
@@ -5,6 +5,9 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+const { LOCATION_PRECISION } = require('./place.model');
+const { WEEK_DAYS } = require('../utils/calendar');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -17,7 +20,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through a sign-in provider may have no password
+    required: [function() { return !this.identities?.length; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
@@ -31,21 +35,71 @@ const userSchema = new mongoose.Schema({
     smokingStartDate: Date,
     dailyTarget: { type: Number, default: 0 },
     motivations: [String],
-    timezone: { type: String, default: 'UTC' }
+    timezone: { type: String, default: 'UTC' },
+    // First day of the week for weekly analytics
+    weekStart: { type: String, enum: WEEK_DAYS, default: 'sunday' },
+    // How precisely intake coordinates are stored; 'off' ignores them (opt-in)
+    locationPrecision: { type: String, enum: Object.keys(LOCATION_PRECISION), default: 'off' }
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
+  // Set when the user asks to delete their account; data is purged after this date
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  // Coaches (clinicians) allowed to see this user's data
+  coaches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Linked OpenID Connect identities (e.g. Google, Apple)
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String, lowercase: true, trim: true },
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    // Base32 TOTP secret, only set once enrollment is confirmed
+    secret: { type: String, select: false },
+    // Secret handed out by setup, waiting for the first valid code
+    pendingSecret: { type: String, select: false },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: { type: [String], select: false },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false }
   }
 }, {
   timestamps: true
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+userSchema.index({ coaches: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { partialFilterExpression: { deletionScheduledFor: { $type: 'date' } } });
+
 // Hash password before saving
 userSchema.pre('save', async function() {
   if (!this.isModified('password')) return;
@@ -56,6 +110,7 @@ userSchema.pre('save', async function() {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -64,6 +119,12 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.__v;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
@@ -6,10 +6,10 @@
 const express = require('express');
 const router = express.Router();
 const { getInsights, getCoaching, predictCraving } = require('../controllers/ai.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, requireVerifiedEmail, requireScope, authorize } = require('../middleware/auth.middleware');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication (and a verified email, per policy)
+router.use(protect, requireScope('ai:read'), requireVerifiedEmail('ai'));
 
 // POST /api/ai/insights
 router.post('/insights', getInsights);
@@ -18,7 +18,11 @@ router.post('/insights', getInsights);
 router.post('/coaching', getCoaching);
 
 // GET /api/ai/predict-craving/:userId
-router.get('/predict-craving/:userId', predictCraving);
+router.get(
+  '/predict-craving/:userId',
+  authorize('predictions:read', (req) => req.params.userId),
+  predictCraving
+);
 
 module.exports = router;
 
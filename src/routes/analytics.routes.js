@@ -8,21 +8,49 @@ const router = express.Router();
 const { 
   getDailyAnalytics, 
   getWeeklyAnalytics, 
-  getMonthlyAnalytics 
+  getMonthlyAnalytics,
+  getPlaceAnalytics,
+  getRangeAnalytics,
+  getHeatmapAnalytics,
+  getMoodAnalytics
 } = require('../controllers/analytics.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, requireScope, authorize } = require('../middleware/auth.middleware');
+const { validateQuery } = require('../middleware/validate.middleware');
+const {
+  analyticsPlacesQuerySchema,
+  analyticsRangeQuerySchema,
+  analyticsHeatmapQuerySchema,
+  analyticsMoodQuerySchema
+} = require('../utils/validators');
 
 // All routes require authentication
-router.use(protect);
+router.use(protect, requireScope('analytics'));
+
+const canReadAnalytics = authorize('analytics:read', (req) => req.params.userId);
+
+// Place names and free-text locations: the owner, their coaches and admins only
+const canReadPlaces = authorize('places:read', (req) => req.params.userId);
 
 // GET /api/analytics/daily/:userId
-router.get('/daily/:userId', getDailyAnalytics);
+router.get('/daily/:userId', canReadAnalytics, getDailyAnalytics);
 
 // GET /api/analytics/weekly/:userId
-router.get('/weekly/:userId', getWeeklyAnalytics);
+router.get('/weekly/:userId', canReadAnalytics, getWeeklyAnalytics);
 
 // GET /api/analytics/monthly/:userId
-router.get('/monthly/:userId', getMonthlyAnalytics);
+router.get('/monthly/:userId', canReadAnalytics, getMonthlyAnalytics);
+
+// GET /api/analytics/places/:userId - Places ranked by consumption
+router.get('/places/:userId', canReadPlaces, validateQuery(analyticsPlacesQuerySchema), getPlaceAnalytics);
+
+// GET /api/analytics/range/:userId - Series for a date range, with optional comparison
+router.get('/range/:userId', canReadAnalytics, validateQuery(analyticsRangeQuerySchema), getRangeAnalytics);
+
+// GET /api/analytics/heatmap/:userId - Weekday x hour heatmap with hotspots
+router.get('/heatmap/:userId', canReadAnalytics, validateQuery(analyticsHeatmapQuerySchema), getHeatmapAnalytics);
+
+// GET /api/analytics/mood/:userId - Mood by trigger, intensity and puffs, with tested associations
+router.get('/mood/:userId', canReadAnalytics, validateQuery(analyticsMoodQuerySchema), getMoodAnalytics);
 
 module.exports = router;
 
@@ -5,10 +5,58 @@
 
 const express = require('express');
 const router = express.Router();
-const { register, login, logout } = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware');
+const {
+  register,
+  login,
+  verifyLoginMfa,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount
+} = require('../controllers/auth.controller');
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../controllers/session.controller');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactor.controller');
+const {
+  listProviders,
+  startOidcLogin,
+  oidcCallback
+} = require('../controllers/oidc.controller');
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKey.controller');
+const { protect, requireSession } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validate.middleware');
-const { registerSchema, loginSchema } = require('../utils/validators');
+const {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  verifyEmailSchema,
+  unlockAccountSchema,
+  mfaLoginSchema,
+  enableTwoFactorSchema,
+  disableTwoFactorSchema,
+  secondFactorSchema,
+  createApiKeySchema
+} = require('../utils/validators');
 
 // POST /api/auth/register
 router.post('/register', validate(registerSchema), register);
@@ -16,8 +64,74 @@ router.post('/register', validate(registerSchema), register);
 // POST /api/auth/login
 router.post('/login', validate(loginSchema), login);
 
+// POST /api/auth/login/2fa - Second step of a two-factor login
+router.post('/login/2fa', validate(mfaLoginSchema), verifyLoginMfa);
+
+// POST /api/auth/refresh
+router.post('/refresh', validate(refreshTokenSchema), refresh);
+
 // POST /api/auth/logout
-router.post('/logout', protect, logout);
+router.post('/logout', protect, requireSession, logout);
+
+// POST /api/auth/forgot-password
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPassword);
+
+// POST /api/auth/reset-password
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+
+// POST /api/auth/change-password
+router.post('/change-password', protect, requireSession, validate(changePasswordSchema), changePassword);
+
+// POST /api/auth/verify-email
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+
+// POST /api/auth/resend-verification
+router.post('/resend-verification', protect, requireSession, resendVerification);
+
+// POST /api/auth/unlock-account
+router.post('/unlock-account', validate(unlockAccountSchema), unlockAccount);
+
+// GET /api/auth/sessions - List signed-in devices
+router.get('/sessions', protect, requireSession, getSessions);
+
+// DELETE /api/auth/sessions - Sign out everywhere else
+router.delete('/sessions', protect, requireSession, revokeOtherSessions);
+
+// DELETE /api/auth/sessions/:id - Sign out a specific device
+router.delete('/sessions/:id', protect, requireSession, revokeSession);
+
+// GET /api/auth/2fa - Two-factor status
+router.get('/2fa', protect, requireSession, getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Start enrollment (returns otpauth URI)
+router.post('/2fa/setup', protect, requireSession, setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm enrollment with first code
+router.post('/2fa/enable', protect, requireSession, validate(enableTwoFactorSchema), enableTwoFactor);
+
+// POST /api/auth/2fa/disable
+router.post('/2fa/disable', protect, requireSession, validate(disableTwoFactorSchema), disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Regenerate recovery codes
+router.post('/2fa/recovery-codes', protect, requireSession, validate(secondFactorSchema), regenerateRecoveryCodes);
+
+// GET /api/auth/oidc - Configured sign-in providers
+router.get('/oidc', listProviders);
+
+// GET /api/auth/oidc/:provider - Redirect to provider login
+router.get('/oidc/:provider', startOidcLogin);
+
+// GET /api/auth/oidc/:provider/callback - Provider redirects back here
+router.get('/oidc/:provider/callback', oidcCallback);
+
+// GET /api/auth/api-keys - List personal API keys
+router.get('/api-keys', protect, requireSession, getApiKeys);
+
+// POST /api/auth/api-keys - Create an API key (shown once)
+router.post('/api-keys', protect, requireSession, validate(createApiKeySchema), createApiKey);
+
+// DELETE /api/auth/api-keys/:id - Revoke an API key
+router.delete('/api-keys/:id', protect, requireSession, revokeApiKey);
 
 module.exports = router;
 
@@ -0,0 +1,22 @@
+/**
+ * Craving Routes
+ * @description Craving event logging endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logCraving, getUserCravings } = require('../controllers/craving.controller');
+const { protect, requireScope, authorize } = require('../middleware/auth.middleware');
+const { validate, validateQuery } = require('../middleware/validate.middleware');
+const { cravingSchema, cravingListQuerySchema } = require('../utils/validators');
+
+// All routes require authentication
+router.use(protect, requireScope('cravings'));
+
+// POST /api/cravings
+router.post('/', authorize('cravings:write'), validate(cravingSchema), logCraving);
+
+// GET /api/cravings/user/:id
+router.get('/user/:id', authorize('cravings:read', (req) => req.params.id), validateQuery(cravingListQuerySchema), getUserCravings);
+
+module.exports = router;
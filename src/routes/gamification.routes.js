@@ -12,10 +12,10 @@ const {
   setBaseline,
   getReductionProgress
 } = require('../controllers/gamification.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, requireScope } = require('../middleware/auth.middleware');
 
 // All routes require authentication
-router.use(protect);
+router.use(protect, requireScope('gamification'));
 
 // GET /api/gamification/stats - Get user's complete gamification stats
 router.get('/stats', getStats);
@@ -13,13 +13,13 @@ const {
   getMoneySaved,
   getMilestones
 } = require('../controllers/health.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, requireScope } = require('../middleware/auth.middleware');
 
 // Public route - get all milestones info
 router.get('/milestones', getMilestones);
 
 // Protected routes
-router.use(protect);
+router.use(protect, requireScope('health'));
 
 // GET /api/health/dashboard - Get comprehensive health dashboard
 router.get('/dashboard', getDashboard);
@@ -5,22 +5,108 @@
 
 const express = require('express');
 const router = express.Router();
-const { logIntake, getUserIntakes, deleteIntake } = require('../controllers/intake.controller');
-const { protect } = require('../middleware/auth.middleware');
-const { validate } = require('../middleware/validate.middleware');
-const { intakeSchema } = require('../utils/validators');
+const Intake = require('../models/intake.model');
+const ImportBatch = require('../models/importBatch.model');
+const {
+  logIntake,
+  quickLogIntake,
+  syncIntakes,
+  importIntakes,
+  listImports,
+  rollbackImport,
+  exportIntakes,
+  getUserIntakes,
+  updateIntake,
+  getIntakeHistory,
+  deleteIntake,
+  restoreIntake,
+  getTrash
+} = require('../controllers/intake.controller');
+const { protect, requireScope, authorize } = require('../middleware/auth.middleware');
+const { validate, validateQuery } = require('../middleware/validate.middleware');
+const {
+  intakeSchema,
+  intakeUpdateSchema,
+  intakeSyncSchema,
+  importQuerySchema,
+  intakeExportQuerySchema,
+  intakeListQuerySchema,
+  quickLogSchema
+} = require('../utils/validators');
+const { env } = require('../config/env');
 
 // All routes require authentication
-router.use(protect);
+router.use(protect, requireScope('intake'));
+
+// Owner of the intake log in :logId
+const intakeOwner = async (req) => {
+  const intake = await Intake.findById(req.params.logId).select('userId');
+  return intake?.userId;
+};
+
+// Owner of the deleted intake log in :logId
+const trashedIntakeOwner = async (req) => {
+  const intake = await Intake.findOne({ _id: req.params.logId, deletedAt: { $ne: null } }).select('userId');
+  return intake?.userId;
+};
+
+// Owner of the import batch in :batchId
+const importOwner = async (req) => {
+  const batch = await ImportBatch.findById(req.params.batchId).select('userId');
+  return batch?.userId;
+};
+
+// Import files are read as text after authentication, with their own size limit
+const importBody = express.text({ type: ['text/csv', 'text/plain', 'application/json'], limit: env.IMPORT_MAX_BYTES });
 
 // POST /api/intake/log
-router.post('/log', validate(intakeSchema), logIntake);
+router.post('/log', authorize('intake:write'), validate(intakeSchema), logIntake);
+
+// POST /api/intake/quick/:presetId - One-tap log from a preset
+router.post('/quick/:presetId', authorize('intake:write'), validate(quickLogSchema), quickLogIntake);
+
+// POST /api/intake/sync - Batch upload of offline entries
+router.post('/sync', authorize('intake:write'), validate(intakeSyncSchema), syncIntakes);
+
+// POST /api/intake/import - Bulk import of historical data
+router.post('/import', authorize('intake:write'), validateQuery(importQuerySchema), importBody, importIntakes);
 
-// GET /api/intake/user/:id
-router.get('/user/:id', getUserIntakes);
+// GET /api/intake/imports
+router.get('/imports', authorize('intake:read'), listImports);
+
+// DELETE /api/intake/import/:batchId - Roll back an import
+router.delete('/import/:batchId', authorize('intake:delete', importOwner), rollbackImport);
+
+// GET /api/intake/export - Stream a download (?userId= for another user's logs, e.g. support)
+router.get(
+  '/export',
+  authorize('intake:read', (req) => req.query.userId || req.user.id),
+  validateQuery(intakeExportQuerySchema),
+  exportIntakes
+);
+
+// GET /api/intake/trash - Deleted logs awaiting purge
+router.get('/trash', authorize('intake:read'), getTrash);
+
+// GET /api/intake/user/:id - ?cursor= for the next page, or ?page= for page numbers
+router.get(
+  '/user/:id',
+  authorize('intake:read', (req) => req.params.id),
+  validateQuery(intakeListQuerySchema),
+  getUserIntakes
+);
+
+// PATCH /api/intake/:logId
+router.patch('/:logId', authorize('intake:write', intakeOwner), validate(intakeUpdateSchema), updateIntake);
+
+// GET /api/intake/:logId/history - Edit history
+router.get('/:logId/history', authorize('intake:read', intakeOwner), getIntakeHistory);
 
 // DELETE /api/intake/:logId
-router.delete('/:logId', deleteIntake);
+router.delete('/:logId', authorize('intake:delete', intakeOwner), deleteIntake);
+
+// POST /api/intake/:logId/restore - Undo a delete
+router.post('/:logId/restore', authorize('intake:delete', trashedIntakeOwner), restoreIntake);
 
 module.exports = router;
 
@@ -0,0 +1,33 @@
+/**
+ * Place Routes
+ * @description Named place endpoints (part of intake logging)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listPlaces,
+  createPlace,
+  updatePlace,
+  deletePlace
+} = require('../controllers/place.controller');
+const { protect, requireScope, authorize } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { placeSchema, placeUpdateSchema } = require('../utils/validators');
+
+// All routes require authentication
+router.use(protect, requireScope('intake'));
+
+// GET /api/places
+router.get('/', authorize('intake:read'), listPlaces);
+
+// POST /api/places
+router.post('/', authorize('intake:write'), validate(placeSchema), createPlace);
+
+// PATCH /api/places/:id
+router.patch('/:id', authorize('intake:write'), validate(placeUpdateSchema), updatePlace);
+
+// DELETE /api/places/:id
+router.delete('/:id', authorize('intake:write'), deletePlace);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Preset Routes
+ * @description Quick-log preset endpoints (part of intake logging)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listPresets,
+  getPresetSuggestions,
+  createPreset,
+  updatePreset,
+  deletePreset
+} = require('../controllers/preset.controller');
+const { protect, requireScope, authorize } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { presetSchema, presetUpdateSchema } = require('../utils/validators');
+
+// All routes require authentication
+router.use(protect, requireScope('intake'));
+
+// GET /api/presets
+router.get('/', authorize('intake:read'), listPresets);
+
+// GET /api/presets/suggestions - Learned from frequent intakes
+router.get('/suggestions', authorize('intake:read'), getPresetSuggestions);
+
+// POST /api/presets
+router.post('/', authorize('intake:write'), validate(presetSchema), createPreset);
+
+// PATCH /api/presets/:id
+router.patch('/:id', authorize('intake:write'), validate(presetUpdateSchema), updatePreset);
+
+// DELETE /api/presets/:id
+router.delete('/:id', authorize('intake:write'), deletePreset);
+
+module.exports = router;
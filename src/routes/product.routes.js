@@ -0,0 +1,33 @@
+/**
+ * Product Routes
+ * @description Nicotine product catalog endpoints (part of intake logging)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listProducts,
+  createProduct,
+  updateProduct,
+  archiveProduct
+} = require('../controllers/product.controller');
+const { protect, requireScope, authorize } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { productSchema, productUpdateSchema } = require('../utils/validators');
+
+// All routes require authentication
+router.use(protect, requireScope('intake'));
+
+// GET /api/products
+router.get('/', authorize('intake:read'), listProducts);
+
+// POST /api/products
+router.post('/', authorize('intake:write'), validate(productSchema), createProduct);
+
+// PATCH /api/products/:id
+router.patch('/:id', authorize('intake:write'), validate(productUpdateSchema), updateProduct);
+
+// DELETE /api/products/:id - Archive
+router.delete('/:id', authorize('intake:write'), archiveProduct);
+
+module.exports = router;
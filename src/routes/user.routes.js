@@ -5,13 +5,28 @@
 
 const express = require('express');
 const router = express.Router();
-const { getMe, updateProfile } = require('../controllers/user.controller');
-const { protect } = require('../middleware/auth.middleware');
+const {
+  getMe,
+  updateProfile,
+  exportData,
+  deleteMe,
+  restoreMe,
+  getPatients,
+  updateRole,
+  assignCoach,
+  unassignCoach
+} = require('../controllers/user.controller');
+const {
+  protect,
+  requireScope,
+  requireSession,
+  authorize
+} = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validate.middleware');
-const { updateProfileSchema } = require('../utils/validators');
+const { updateProfileSchema, updateRoleSchema, deleteAccountSchema } = require('../utils/validators');
 
 // All routes require authentication
-router.use(protect);
+router.use(protect, requireScope('user'));
 
 // GET /api/user/me
 router.get('/me', getMe);
@@ -19,5 +34,32 @@ router.get('/me', getMe);
 // PATCH /api/user/update
 router.patch('/update', validate(updateProfileSchema), updateProfile);
 
+// GET /api/user/export - Download all personal data
+router.get('/export', requireSession, exportData);
+
+// DELETE /api/user/me - Schedule account deletion
+router.delete('/me', requireSession, validate(deleteAccountSchema), deleteMe);
+
+// POST /api/user/me/restore - Cancel a scheduled deletion
+router.post('/me/restore', requireSession, restoreMe);
+
+// GET /api/user/patients - Users assigned to the current coach
+router.get('/patients', authorize('patients:read'), getPatients);
+
+// PATCH /api/user/:id/role - Change a user's role (admin)
+router.patch(
+  '/:id/role',
+  requireSession,
+  authorize('users:manage'),
+  validate(updateRoleSchema),
+  updateRole
+);
+
+// PUT /api/user/:id/coaches/:coachId - Assign a coach (admin)
+router.put('/:id/coaches/:coachId', requireSession, authorize('users:manage'), assignCoach);
+
+// DELETE /api/user/:id/coaches/:coachId - Remove a coach (admin)
+router.delete('/:id/coaches/:coachId', requireSession, authorize('users:manage'), unassignCoach);
+
 module.exports = router;
 
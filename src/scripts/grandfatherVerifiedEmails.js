@@ -0,0 +1,49 @@
+/**
+ * Grandfather Verified Emails
+ * @description Marks accounts created before email verification existed as verified, so
+ * UNVERIFIED_RESTRICTIONS does not lock existing users out of AI or the leaderboard.
+ * Run once after deploying email verification:
+ *   npm run users:grandfather-verified
+ *   npm run users:grandfather-verified -- --before 2026-01-31
+ * By default only accounts saved without an emailVerified field are updated; with --before,
+ * unverified accounts created before that date are updated as well.
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/db');
+const { logger } = require('../config/logger');
+const User = require('../models/user.model');
+
+const parseBefore = (args) => {
+  const index = args.indexOf('--before');
+  if (index === -1) return null;
+
+  const before = new Date(args[index + 1]);
+  if (Number.isNaN(before.getTime())) {
+    throw new Error('--before needs a date, e.g. 2026-01-31');
+  }
+  return before;
+};
+
+const run = async (args) => {
+  const before = parseBefore(args);
+  await connectDB();
+
+  const filter = before
+    ? { $or: [{ emailVerified: { $exists: false } }, { emailVerified: false, createdAt: { $lt: before } }] }
+    : { emailVerified: { $exists: false } };
+
+  // emailVerifiedAt stays null, telling grandfathered accounts apart from confirmed ones
+  const result = await User.updateMany(filter, { $set: { emailVerified: true, emailVerifiedAt: null } });
+
+  logger.info(`Grandfathered ${result.modifiedCount} existing users as verified`);
+  await disconnectDB();
+};
+
+run(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(`Grandfathering verified emails failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+/**
+ * Rebuild Daily Rollups
+ * @description Recomputes daily rollups from intakes, for all users or the given user IDs.
+ * Run after deploying rollups or to repair them:
+ *   npm run rollups:rebuild
+ *   npm run rollups:rebuild -- <userId> [<userId> ...]
+ */
+
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/db');
+const { logger } = require('../config/logger');
+const Intake = require('../models/intake.model');
+const DailyRollup = require('../models/dailyRollup.model');
+const rollupService = require('../services/rollup.service');
+
+const run = async (userIds) => {
+  await connectDB();
+
+  // Users with intakes, plus users whose rollups outlived their intakes
+  const targets = userIds.length
+    ? userIds
+    : [...new Set([...await Intake.distinct('userId'), ...await DailyRollup.distinct('userId')].map(String))];
+
+  let days = 0;
+  let failed = 0;
+  for (const userId of targets) {
+    try {
+      days += (await rollupService.rebuildUserRollups(userId)).days;
+    } catch (error) {
+      failed += 1;
+      logger.error(`Rollup rebuild failed for user ${userId}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Rollup rebuild done: ${targets.length - failed} users, ${days} days, ${failed} failed`);
+  await disconnectDB();
+  return failed;
+};
+
+run(process.argv.slice(2))
+  .then((failed) => process.exit(failed ? 1 : 0))
+  .catch((error) => {
+    logger.error(`Rollup rebuild failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -17,11 +17,17 @@ const path = require('path');
 const { connectDB } = require('./config/db');
 const { logger } = require('./config/logger');
 const { errorHandler } = require('./middleware/errorHandler.middleware');
+const { startAccountPurgeJob } = require('./jobs/accountPurge.job');
+const { startIntakePurgeJob } = require('./jobs/intakePurge.job');
 
 // Route imports
 const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
 const intakeRoutes = require('./routes/intake.routes');
+const cravingRoutes = require('./routes/craving.routes');
+const productRoutes = require('./routes/product.routes');
+const presetRoutes = require('./routes/preset.routes');
+const placeRoutes = require('./routes/place.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const aiRoutes = require('./routes/ai.routes');
 const gamificationRoutes = require('./routes/gamification.routes');
@@ -46,7 +52,9 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10kb' }));
+// Bulk imports are parsed by their route (after authentication) with a larger limit
+const isImportUpload = (req) => req.method === 'POST' && req.path === '/api/intake/import';
+app.use(express.json({ limit: '10kb', type: (req) => !isImportUpload(req) && Boolean(req.is('application/json')) }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -66,6 +74,10 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/intake', intakeRoutes);
+app.use('/api/cravings', cravingRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/presets', presetRoutes);
+app.use('/api/places', placeRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/gamification', gamificationRoutes);
@@ -83,6 +95,8 @@ app.use(errorHandler);
 const startServer = async () => {
   try {
     await connectDB();
+    startAccountPurgeJob();
+    startIntakePurgeJob();
     app.listen(PORT, () => {
       logger.info(`🚀 SmokeLess AI Server running on port ${PORT}`);
     });
@@ -0,0 +1,191 @@
+/**
+ * Account Service
+ * @description Personal data export, scheduled account deletion and purge
+ */
+
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const IntakeRevision = require('../models/intakeRevision.model');
+const ImportBatch = require('../models/importBatch.model');
+const { Craving } = require('../models/craving.model');
+const { Product } = require('../models/product.model');
+const Preset = require('../models/preset.model');
+const { Place } = require('../models/place.model');
+const Streak = require('../models/streak.model');
+const DailyRollup = require('../models/dailyRollup.model');
+const Session = require('../models/session.model');
+const AuditLog = require('../models/auditLog.model');
+const { UserAchievement } = require('../models/achievement.model');
+const { ApiKey } = require('../models/apiKey.model');
+const { AuthToken } = require('../models/authToken.model');
+const tokenService = require('./token.service');
+const auditService = require('./audit.service');
+const loginThrottle = require('./loginThrottle.service');
+const mailService = require('./mail.service');
+const { toCsv } = require('../utils/csv');
+const { createZip } = require('../utils/zip');
+const { env } = require('../config/env');
+const { logger } = require('../config/logger');
+
+/**
+ * Every collection holding per-user documents (keyed by userId).
+ * New collections with user data must be added here so they are
+ * exported and purged with the account.
+ */
+const USER_DATA = [
+  { key: 'intakes', model: Intake },
+  { key: 'intakeRevisions', model: IntakeRevision },
+  { key: 'imports', model: ImportBatch },
+  { key: 'cravings', model: Craving },
+  { key: 'products', model: Product },
+  { key: 'presets', model: Preset },
+  { key: 'places', model: Place },
+  { key: 'streak', model: Streak },
+  // Derived from intakes, rebuilt on demand
+  { key: 'dailyRollups', model: DailyRollup, exported: false },
+  { key: 'achievements', model: UserAchievement },
+  { key: 'sessions', model: Session },
+  { key: 'apiKeys', model: ApiKey },
+  { key: 'auditLog', model: AuditLog },
+  { key: 'authTokens', model: AuthToken, exported: false }
+];
+
+const INTAKE_CSV_COLUMNS = [
+  'id', 'loggedAt', 'puffs', 'intensity', 'context', 'mood', 'location', 'notes', 'createdAt'
+];
+
+// Accounts purged per run, so a backlog cannot hog the database
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * Collect every record tied to a user
+ * @param {string} userId - User ID
+ * @returns {Object} { exportedAt, user, intakes, streak, ... }
+ */
+const exportUserData = async (userId) => {
+  const user = await User.findById(userId);
+  const data = { exportedAt: new Date(), user: user.toJSON() };
+
+  for (const source of USER_DATA.filter((s) => s.exported !== false)) {
+    // Includes intakes waiting in the trash
+    const docs = await source.model.find({ userId }).setOptions({ withDeleted: true }).sort({ createdAt: 1 });
+    data[source.key] = docs.map((doc) => doc.toJSON());
+  }
+
+  return data;
+};
+
+/**
+ * Build the downloadable export archive (JSON of everything plus intakes as CSV)
+ * @param {string} userId - User ID
+ * @returns {Buffer} ZIP archive
+ */
+const buildExportArchive = async (userId) => {
+  const data = await exportUserData(userId);
+
+  const intakeRows = data.intakes.map((intake) => ({ ...intake, id: intake._id }));
+
+  return createZip([
+    { name: 'smokeless-data.json', content: JSON.stringify(data, null, 2) },
+    { name: 'intakes.csv', content: toCsv(intakeRows, INTAKE_CSV_COLUMNS) }
+  ]);
+};
+
+/**
+ * Schedule an account for deletion and sign it out everywhere
+ * @param {Object} user - User document
+ * @param {Object} meta - { ip, userAgent } for the audit log
+ * @returns {Date} When the data will be purged
+ */
+const requestDeletion = async (user, meta = {}) => {
+  const scheduledFor = new Date(Date.now() + env.ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  user.deletionScheduledFor = scheduledFor;
+  await user.save();
+
+  await tokenService.revokeUserSessions(user._id, { reason: 'account_deleted' });
+  await ApiKey.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  await auditService.recordEvent('account.deletion_requested', {
+    userId: user._id,
+    email: user.email,
+    ...meta,
+    details: { scheduledFor }
+  });
+
+  try {
+    await mailService.sendAccountDeletionEmail(user, scheduledFor);
+  } catch (error) {
+    logger.error(`Failed to send deletion notice to ${user.email}:`, error);
+  }
+
+  return scheduledFor;
+};
+
+/**
+ * Cancel a pending deletion during the grace period
+ * @param {Object} user - User document
+ * @param {Object} meta - { ip, userAgent } for the audit log
+ * @returns {boolean} Whether a deletion was pending
+ */
+const cancelDeletion = async (user, meta = {}) => {
+  if (!user.deletionScheduledFor) return false;
+
+  user.deletionScheduledFor = null;
+  await user.save();
+
+  await auditService.recordEvent('account.deletion_cancelled', {
+    userId: user._id,
+    email: user.email,
+    ...meta
+  });
+
+  return true;
+};
+
+/**
+ * Permanently delete a user and everything tied to them
+ * @param {Object} user - User document (needs _id and email)
+ */
+const purgeUser = async (user) => {
+  for (const source of USER_DATA) {
+    await source.model.deleteMany({ userId: user._id });
+  }
+
+  await User.updateMany({ coaches: user._id }, { $pull: { coaches: user._id } });
+  await loginThrottle.clearEmail(user.email);
+  await User.deleteOne({ _id: user._id });
+
+  // Keep proof of the purge without any personal data
+  await auditService.recordEvent('account.purged', { userId: user._id });
+};
+
+/**
+ * Purge accounts whose grace period has ended
+ * @returns {number} Accounts purged
+ */
+const purgeDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } })
+    .select('_id email')
+    .limit(PURGE_BATCH_SIZE);
+
+  for (const user of due) {
+    await purgeUser(user);
+  }
+
+  if (due.length) {
+    logger.info(`Purged ${due.length} deleted accounts`);
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  USER_DATA,
+  exportUserData,
+  buildExportArchive,
+  requestDeletion,
+  cancelDeletion,
+  purgeUser,
+  purgeDueAccounts
+};
@@ -6,6 +6,8 @@
 const Intake = require('../models/intake.model');
 const Streak = require('../models/streak.model');
 const { getAICoaching, getAIInsights } = require('./openai.service');
+const { getUserCalendar } = require('./calendar.service');
+const rollupService = require('./rollup.service');
 const { logger } = require('../config/logger');
 const dayjs = require('dayjs');
 
@@ -16,16 +18,13 @@ const dayjs = require('dayjs');
  */
 const generateInsights = async (userId, timeframe = '7d') => {
   try {
-    // Get user's intake data
+    // Get the user's daily rollups, today included
     const days = parseInt(timeframe) || 7;
-    const startDate = dayjs().subtract(days, 'day').toDate();
-    
-    const intakes = await Intake.find({
-      userId,
-      loggedAt: { $gte: startDate }
-    }).sort({ loggedAt: -1 });
+    const calendar = await getUserCalendar(userId);
+    const today = calendar.today();
+    const rollups = await rollupService.loadRollups(userId, calendar, calendar.addDays(today, -(days - 1)), today);
 
-    if (intakes.length === 0) {
+    if (rollups.length === 0) {
       return {
         message: 'Not enough data for insights. Start logging your intake!',
         insights: [],
@@ -34,18 +33,18 @@ const generateInsights = async (userId, timeframe = '7d') => {
     }
 
     // Analyze patterns
-    const analyticsData = analyzePatterns(intakes, days);
+    const analyticsData = analyzePatterns(rollups, days);
     
     // Try to get AI-powered insights
     const aiResponse = await getAIInsights(analyticsData);
     
     // Combine rule-based insights with AI insights
-    const ruleBasedInsights = generateRuleBasedInsights(intakes, analyticsData, days);
+    const ruleBasedInsights = generateRuleBasedInsights(analyticsData, days);
 
     return {
       generated: new Date().toISOString(),
       timeframe,
-      totalLogs: intakes.length,
+      totalLogs: analyticsData.totalSessions,
       insights: ruleBasedInsights,
       aiInsights: aiResponse.success ? aiResponse.content : null,
       aiPowered: aiResponse.success,
@@ -58,50 +57,45 @@ const generateInsights = async (userId, timeframe = '7d') => {
 };
 
 /**
- * Analyze intake patterns
+ * Analyze intake patterns from daily rollups (oldest first); hours are the user's local hours
  */
-const analyzePatterns = (intakes, days) => {
+const analyzePatterns = (rollups, days) => {
+  const summary = rollupService.mergeRollups(rollups);
+
   // Hour analysis
-  const hourCounts = {};
-  intakes.forEach((intake) => {
-    const hour = dayjs(intake.loggedAt).hour();
-    hourCounts[hour] = (hourCounts[hour] || 0) + intake.puffs;
-  });
-  const peakHourEntry = Object.entries(hourCounts).sort((a, b) => b[1] - a[1])[0];
+  const peakPuffs = Math.max(...summary.hourlyPuffs);
   
   // Context analysis
-  const contextCounts = {};
-  intakes.forEach((intake) => {
-    contextCounts[intake.context] = (contextCounts[intake.context] || 0) + 1;
-  });
+  const contextCounts = Object.fromEntries(
+    Object.entries(summary.contexts).map(([context, { sessions }]) => [context, sessions])
+  );
   const topContextEntry = Object.entries(contextCounts).sort((a, b) => b[1] - a[1])[0];
   
   // Intensity analysis
   const intensityBreakdown = { low: 0, medium: 0, high: 0 };
-  intakes.forEach((intake) => {
-    intensityBreakdown[intake.intensity] += intake.puffs;
+  Object.entries(summary.intensities).forEach(([intensity, { puffs }]) => {
+    intensityBreakdown[intensity] = puffs;
   });
   
   // Totals
-  const totalPuffs = intakes.reduce((sum, i) => sum + i.puffs, 0);
-  const dailyAverage = totalPuffs / days;
+  const dailyAverage = summary.totalPuffs / days;
   
-  // Trend calculation
-  const midpoint = Math.floor(intakes.length / 2);
-  const firstHalf = intakes.slice(midpoint);
-  const secondHalf = intakes.slice(0, midpoint);
-  const firstHalfAvg = firstHalf.reduce((s, i) => s + i.puffs, 0) / (firstHalf.length || 1);
-  const secondHalfAvg = secondHalf.reduce((s, i) => s + i.puffs, 0) / (secondHalf.length || 1);
+  // Trend: average puffs per active day, earlier half against the later half
+  const midpoint = Math.floor(rollups.length / 2);
+  const average = (list) => list.reduce((s, r) => s + r.totalPuffs, 0) / (list.length || 1);
+  const firstHalfAvg = average(rollups.slice(0, midpoint));
+  const secondHalfAvg = average(rollups.slice(midpoint));
   const trend = secondHalfAvg < firstHalfAvg ? 'decreasing' : secondHalfAvg > firstHalfAvg ? 'increasing' : 'stable';
 
   return {
-    totalPuffs,
-    totalSessions: intakes.length,
+    totalPuffs: summary.totalPuffs,
+    totalSessions: summary.sessions,
     dailyAverage: Math.round(dailyAverage * 10) / 10,
-    peakHour: peakHourEntry ? parseInt(peakHourEntry[0]) : null,
+    peakHour: peakPuffs > 0 ? summary.hourlyPuffs.indexOf(peakPuffs) : null,
     topContext: topContextEntry ? topContextEntry[0] : null,
     contextBreakdown: contextCounts,
     intensityBreakdown,
+    highIntensitySessions: summary.intensities.high?.sessions || 0,
     trend
   };
 };
@@ -109,7 +103,7 @@ const analyzePatterns = (intakes, days) => {
 /**
  * Generate rule-based insights
  */
-const generateRuleBasedInsights = (intakes, analytics, days) => {
+const generateRuleBasedInsights = (analytics, days) => {
   const insights = [];
 
   // Peak hour insight
@@ -166,14 +160,15 @@ const generateRuleBasedInsights = (intakes, analytics, days) => {
   });
 
   // High intensity warning
-  const highIntensityCount = intakes.filter(i => i.intensity === 'high').length;
-  if (highIntensityCount > intakes.length * 0.3) {
+  const highIntensityCount = analytics.highIntensitySessions;
+  const sessions = analytics.totalSessions;
+  if (highIntensityCount > sessions * 0.3) {
     insights.push({
       type: 'reduction_opportunity',
       icon: '💡',
       title: 'Reduction Opportunity',
-      message: `${Math.round(highIntensityCount / intakes.length * 100)}% of your sessions are high intensity. Try reducing intensity first.`,
-      data: { highIntensityPercent: Math.round(highIntensityCount / intakes.length * 100) }
+      message: `${Math.round(highIntensityCount / sessions * 100)}% of your sessions are high intensity. Try reducing intensity first.`,
+      data: { highIntensityPercent: Math.round(highIntensityCount / sessions * 100) }
     });
   }
 
@@ -3,55 +3,137 @@
  * @description Aggregation and trend analysis for intake data
  */
 
+const mongoose = require('mongoose');
 const Intake = require('../models/intake.model');
+const Streak = require('../models/streak.model');
+const { Craving } = require('../models/craving.model');
+const { Place } = require('../models/place.model');
+const productService = require('./product.service');
+const { getUserCalendar } = require('./calendar.service');
+const rollupService = require('./rollup.service');
 const dayjs = require('dayjs');
 const { logger } = require('../config/logger');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+const { percentChange } = require('../utils/helpers');
+const { welchTest, holmAdjust } = require('../utils/stats');
+
+const RANGE_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const RANGE_COMPARISONS = ['previous', 'baseline', 'sameRangeLastYear'];
+
+// Longest range per granularity, in days, so a series stays chartable
+const MAX_RANGE_DAYS = { hour: 31, day: 731, week: 3660, month: 3660 };
+
+// Metrics compared between two periods
+const RANGE_METRICS = ['totalPuffs', 'sessions', 'nicotineMg', 'dailyAverage'];
+
+// Intensity as a number, as in the intake's intensityScore virtual
+const INTENSITY_SCORES = { low: 1, medium: 2, high: 3 };
+
+// Metrics on which a context's sessions are compared with all other sessions
+const MOOD_ASSOCIATION_METRICS = ['mood', 'intensity', 'puffs'];
+
+// Sessions needed on both sides of a comparison before it is tested; also the lowest allowed minSamples
+const MIN_ASSOCIATION_SAMPLES = 5;
+
+// Family-wise significance level at which an association is flagged, after Holm's correction
+const ASSOCIATION_ALPHA = 0.05;
+
+// The next entry's mood counts as the mood after a session when logged within this many hours
+const MOOD_FOLLOW_UP_HOURS = 6;
+
+/**
+ * Summarize cravings in a period: how many were resisted and what helped
+ * @param {string} userId - User ID
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end
+ */
+const summarizeCravings = async (userId, start, end) => {
+  const resistedFlag = { $cond: [{ $eq: ['$outcome', 'resisted'] }, 1, 0] };
+
+  const [{ totals: [totals], techniques }] = await Craving.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), loggedAt: { $gte: start, $lte: end } } },
+    {
+      $facet: {
+        // $avg skips cravings without a duration
+        totals: [{ $group: { _id: null, total: { $sum: 1 }, resisted: { $sum: resistedFlag }, averageDuration: { $avg: '$durationMinutes' } } }],
+        // Per technique: how often it was used and how often it worked
+        techniques: [
+          { $match: { copingTechnique: { $ne: null } } },
+          { $group: { _id: '$copingTechnique', used: { $sum: 1 }, resisted: { $sum: resistedFlag } } }
+        ]
+      }
+    }
+  ]);
+
+  const total = totals?.total || 0;
+  const resisted = totals?.resisted || 0;
+
+  return {
+    total,
+    resisted,
+    gaveIn: total - resisted,
+    resistRate: total ? Math.round((resisted / total) * 100) : null,
+    averageDurationMinutes: totals?.averageDuration != null ? Math.round(totals.averageDuration * 10) / 10 : null,
+    copingTechniques: Object.fromEntries(techniques.map(({ _id, used, resisted: worked }) => [_id, { used, resisted: worked }]))
+  };
+};
+
+/**
+ * Amounts per unit (puffs, cigarettes, ...), estimated nicotine and per-product totals
+ * @param {Object} summary - Merged daily rollups
+ */
+const summarizeConsumption = async (summary) => {
+  const products = await productService.loadProducts(summary.products);
+
+  return {
+    units: summary.units,
+    nicotineMg: Math.round(summary.nicotineMg * 100) / 100,
+    unestimatedLogs: summary.unestimatedLogs,
+    byProduct: summary.products.map(({ productId, unit, quantity, nicotineMg }) => {
+      const product = productId ? products.get(String(productId)) : null;
+      return {
+        productId: product?._id || null,
+        name: product?.name || null,
+        type: product?.type || null,
+        unit,
+        quantity,
+        nicotineMg: Math.round(nicotineMg * 100) / 100
+      };
+    })
+  };
+};
+
+// Sessions (or puffs) per context or intensity from a rollup tally
+const tallyOf = (tallies, field) => Object.fromEntries(
+  Object.entries(tallies).map(([key, tally]) => [key, tally[field]])
+);
 
 /**
  * Get daily statistics for a user
  * @param {string} userId - User ID
- * @param {string} date - Date string (YYYY-MM-DD), defaults to today
+ * @param {string} date - Date string (YYYY-MM-DD), defaults to today in the user's timezone
  */
 const getDailyStats = async (userId, date) => {
   try {
-    const targetDate = date ? dayjs(date) : dayjs();
-    const startOfDay = targetDate.startOf('day').toDate();
-    const endOfDay = targetDate.endOf('day').toDate();
-
-    const intakes = await Intake.find({
-      userId,
-      loggedAt: { $gte: startOfDay, $lte: endOfDay }
-    }).sort({ loggedAt: 1 });
-
-    // Hourly breakdown
-    const hourlyData = Array(24).fill(0);
-    intakes.forEach((intake) => {
-      const hour = dayjs(intake.loggedAt).hour();
-      hourlyData[hour] += intake.puffs;
-    });
+    const calendar = await getUserCalendar(userId);
+    const targetDate = date ? calendar.dayKey(date) : calendar.today();
+    const { start: startOfDay, end: endOfDay } = calendar.dayRange(targetDate);
 
-    // Context breakdown
-    const contextBreakdown = {};
-    intakes.forEach((intake) => {
-      contextBreakdown[intake.context] = (contextBreakdown[intake.context] || 0) + 1;
-    });
-
-    // Intensity breakdown
-    const intensityBreakdown = { low: 0, medium: 0, high: 0 };
-    intakes.forEach((intake) => {
-      intensityBreakdown[intake.intensity] += intake.puffs;
-    });
+    const day = rollupService.mergeRollups(await rollupService.loadRollups(userId, calendar, targetDate, targetDate));
 
     return {
-      date: targetDate.format('YYYY-MM-DD'),
-      totalPuffs: intakes.reduce((sum, i) => sum + i.puffs, 0),
-      totalSessions: intakes.length,
-      hourlyData,
-      contextBreakdown,
-      intensityBreakdown,
-      peakHour: hourlyData.indexOf(Math.max(...hourlyData)),
-      firstIntake: intakes[0]?.loggedAt || null,
-      lastIntake: intakes[intakes.length - 1]?.loggedAt || null
+      date: targetDate,
+      timezone: calendar.timezone,
+      totalPuffs: day.totalPuffs,
+      totalSessions: day.sessions,
+      hourlyData: day.hourlyPuffs,
+      contextBreakdown: tallyOf(day.contexts, 'sessions'),
+      intensityBreakdown: { low: 0, medium: 0, high: 0, ...tallyOf(day.intensities, 'puffs') },
+      peakHour: day.hourlyPuffs.indexOf(Math.max(...day.hourlyPuffs)),
+      firstIntake: day.firstLoggedAt,
+      lastIntake: day.lastLoggedAt,
+      consumption: await summarizeConsumption(day),
+      cravings: await summarizeCravings(userId, startOfDay, endOfDay)
     };
   } catch (error) {
     logger.error('Error getting daily stats:', error);
@@ -62,51 +144,45 @@ const getDailyStats = async (userId, date) => {
 /**
  * Get weekly statistics for a user
  * @param {string} userId - User ID
- * @param {string} startDate - Start date of week (YYYY-MM-DD)
+ * @param {string} startDate - Start date of week (YYYY-MM-DD), defaults to the current week
+ *   starting on the user's preferred week day
  */
 const getWeeklyStats = async (userId, startDate) => {
   try {
-    const weekStart = startDate ? dayjs(startDate) : dayjs().startOf('week');
-    const weekEnd = weekStart.add(6, 'day').endOf('day');
+    const calendar = await getUserCalendar(userId);
+    const weekStart = startDate ? calendar.dayKey(startDate) : calendar.weekStartKey(calendar.today());
+    const weekEnd = calendar.addDays(weekStart, 6);
+    const start = calendar.startOfDay(weekStart).toDate();
+    const end = calendar.endOfDay(weekEnd).toDate();
 
-    const intakes = await Intake.find({
-      userId,
-      loggedAt: { $gte: weekStart.toDate(), $lte: weekEnd.toDate() }
-    }).sort({ loggedAt: 1 });
+    const rollups = await rollupService.loadRollups(userId, calendar, weekStart, weekEnd);
+    const byDate = new Map(rollups.map((rollup) => [rollup.date, rollup]));
+    const week = rollupService.mergeRollups(rollups);
 
     // Daily breakdown
-    const dailyData = [];
-    for (let i = 0; i < 7; i++) {
-      const day = weekStart.add(i, 'day');
-      const dayIntakes = intakes.filter((intake) => 
-        dayjs(intake.loggedAt).isSame(day, 'day')
-      );
-      dailyData.push({
-        date: day.format('YYYY-MM-DD'),
-        dayOfWeek: day.format('dddd'),
-        totalPuffs: dayIntakes.reduce((sum, i) => sum + i.puffs, 0),
-        sessions: dayIntakes.length
-      });
-    }
+    const dailyData = calendar.eachDay(weekStart, weekEnd).map((day) => ({
+      date: day,
+      dayOfWeek: dayjs(day).format('dddd'),
+      totalPuffs: byDate.get(day)?.totalPuffs || 0,
+      nicotineMg: Math.round((byDate.get(day)?.nicotineMg || 0) * 100) / 100,
+      sessions: byDate.get(day)?.sessions || 0
+    }));
 
     // Calculate trend (simple linear regression slope)
     const puffsPerDay = dailyData.map(d => d.totalPuffs);
     const trend = calculateTrend(puffsPerDay);
 
-    // Context summary
-    const contextSummary = {};
-    intakes.forEach((intake) => {
-      contextSummary[intake.context] = (contextSummary[intake.context] || 0) + intake.puffs;
-    });
-
     return {
-      weekStart: weekStart.format('YYYY-MM-DD'),
-      weekEnd: weekEnd.format('YYYY-MM-DD'),
-      totalPuffs: intakes.reduce((sum, i) => sum + i.puffs, 0),
-      totalSessions: intakes.length,
-      dailyAverage: intakes.reduce((sum, i) => sum + i.puffs, 0) / 7,
+      weekStart,
+      weekEnd,
+      timezone: calendar.timezone,
+      totalPuffs: week.totalPuffs,
+      totalSessions: week.sessions,
+      dailyAverage: week.totalPuffs / 7,
       dailyData,
-      contextSummary,
+      contextSummary: tallyOf(week.contexts, 'puffs'),
+      consumption: await summarizeConsumption(week),
+      cravings: await summarizeCravings(userId, start, end),
       trend: {
         direction: trend > 0 ? 'increasing' : trend < 0 ? 'decreasing' : 'stable',
         slope: trend,
@@ -127,59 +203,62 @@ const getWeeklyStats = async (userId, startDate) => {
  */
 const getMonthlyStats = async (userId, month, year) => {
   try {
-    const targetMonth = month ? parseInt(month) - 1 : dayjs().month();
-    const targetYear = year ? parseInt(year) : dayjs().year();
-    
-    const monthStart = dayjs().year(targetYear).month(targetMonth).startOf('month');
-    const monthEnd = monthStart.endOf('month');
-    const daysInMonth = monthEnd.date();
-
-    const intakes = await Intake.find({
-      userId,
-      loggedAt: { $gte: monthStart.toDate(), $lte: monthEnd.toDate() }
-    }).sort({ loggedAt: 1 });
-
-    // Weekly breakdown
+    const calendar = await getUserCalendar(userId);
+    const today = calendar.today();
+    const targetMonth = month ? parseInt(month) : parseInt(today.slice(5, 7));
+    const targetYear = year ? parseInt(year) : parseInt(today.slice(0, 4));
+
+    const monthStart = `${targetYear}-${String(targetMonth).padStart(2, '0')}-01`;
+    const monthEnd = calendar.monthEndKey(monthStart);
+    const { start, end } = calendar.monthRange(monthStart);
+    const daysInMonth = calendar.daysBetween(monthStart, monthEnd) + 1;
+
+    const rollups = await rollupService.loadRollups(userId, calendar, monthStart, monthEnd);
+    const monthTotals = rollupService.mergeRollups(rollups);
+
+    // Weekly breakdown: weeks start on the user's week day, the first and last are cut at the month's edges
     const weeklyData = [];
     let weekStart = monthStart;
-    while (weekStart.isBefore(monthEnd)) {
-      const weekEnd = weekStart.add(6, 'day');
-      const actualEnd = weekEnd.isAfter(monthEnd) ? monthEnd : weekEnd;
-      
-      const weekIntakes = intakes.filter((intake) => {
-        const logDate = dayjs(intake.loggedAt);
-        return logDate.isAfter(weekStart.subtract(1, 'day')) && logDate.isBefore(actualEnd.add(1, 'day'));
-      });
+    while (weekStart <= monthEnd) {
+      const weekEnd = calendar.weekEndKey(weekStart);
+      const actualEnd = weekEnd > monthEnd ? monthEnd : weekEnd;
+
+      const week = rollupService.mergeRollups(rollups.filter((rollup) => rollup.date >= weekStart && rollup.date <= actualEnd));
 
       weeklyData.push({
-        weekStart: weekStart.format('YYYY-MM-DD'),
-        weekEnd: actualEnd.format('YYYY-MM-DD'),
-        totalPuffs: weekIntakes.reduce((sum, i) => sum + i.puffs, 0),
-        sessions: weekIntakes.length
+        weekStart,
+        weekEnd: actualEnd,
+        totalPuffs: week.totalPuffs,
+        sessions: week.sessions
       });
 
-      weekStart = weekStart.add(7, 'day');
+      weekStart = calendar.addDays(actualEnd, 1);
     }
 
-    // Heatmap data (hour x day)
+    // Heatmap data (day x hour, 0 = Sunday)
     const heatmapData = {};
-    intakes.forEach((intake) => {
-      const day = dayjs(intake.loggedAt).day();
-      const hour = dayjs(intake.loggedAt).hour();
-      const key = `${day}-${hour}`;
-      heatmapData[key] = (heatmapData[key] || 0) + intake.puffs;
+    rollups.forEach((rollup) => {
+      const day = calendar.weekday(rollup.date);
+      rollup.hourlyPuffs.forEach((puffs, hour) => {
+        if (!puffs) return;
+        const key = `${day}-${hour}`;
+        heatmapData[key] = (heatmapData[key] || 0) + puffs;
+      });
     });
 
     return {
-      month: monthStart.format('MMMM YYYY'),
-      monthStart: monthStart.format('YYYY-MM-DD'),
-      monthEnd: monthEnd.format('YYYY-MM-DD'),
-      totalPuffs: intakes.reduce((sum, i) => sum + i.puffs, 0),
-      totalSessions: intakes.length,
-      dailyAverage: intakes.reduce((sum, i) => sum + i.puffs, 0) / daysInMonth,
+      month: dayjs(monthStart).format('MMMM YYYY'),
+      monthStart,
+      monthEnd,
+      timezone: calendar.timezone,
+      totalPuffs: monthTotals.totalPuffs,
+      totalSessions: monthTotals.sessions,
+      dailyAverage: monthTotals.totalPuffs / daysInMonth,
       weeklyData,
       heatmapData,
-      daysWithLogs: new Set(intakes.map(i => dayjs(i.loggedAt).format('YYYY-MM-DD'))).size,
+      consumption: await summarizeConsumption(monthTotals),
+      cravings: await summarizeCravings(userId, start, end),
+      daysWithLogs: rollups.length,
       daysInMonth
     };
   } catch (error) {
@@ -220,5 +299,499 @@ const getTrendMessage = (slope) => {
   return 'Your usage is increasing. Consider reviewing your triggers.';
 };
 
-module.exports = { getDailyStats, getWeeklyStats, getMonthlyStats };
+/**
+ * Places ranked by consumption, plus what was logged outside known places
+ * @param {string} userId - User ID
+ * @param {Object} range - { startDate, endDate } as days in the user's timezone, defaults to the last 30 days
+ */
+const getPlaceStats = async (userId, { startDate, endDate } = {}) => {
+  const calendar = await getUserCalendar(userId);
+  const { from: startDay, to: endDay } = resolveRange(calendar, { from: startDate, to: endDate }, 30);
+  const start = calendar.startOfDay(startDay).toDate();
+  const end = calendar.endOfDay(endDay).toDate();
+
+  const groups = await Intake.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        loggedAt: { $gte: start, $lte: end }
+      }
+    },
+    {
+      $group: {
+        _id: '$placeId',
+        sessions: { $sum: 1 },
+        totalPuffs: { $sum: '$puffs' },
+        nicotineMg: { $sum: { $ifNull: ['$nicotineMg', 0] } },
+        avgIntensity: { $avg: { $add: [{ $indexOfArray: [['low', 'medium', 'high'], '$intensity'] }, 1] } },
+        locations: { $push: { $toLower: { $trim: { input: { $ifNull: ['$location', ''] } } } } }
+      }
+    },
+    { $sort: { totalPuffs: -1 } }
+  ]);
+
+  const totalPuffs = groups.reduce((sum, group) => sum + group.totalPuffs, 0);
+  const places = await Place.find({ _id: { $in: groups.map((group) => group._id).filter(Boolean) } });
+  const names = new Map(places.map((place) => [String(place._id), place.name]));
+
+  const summarize = (group) => ({
+    sessions: group.sessions,
+    totalPuffs: group.totalPuffs,
+    nicotineMg: Math.round(group.nicotineMg * 100) / 100,
+    avgIntensity: Math.round(group.avgIntensity * 10) / 10,
+    share: totalPuffs ? Math.round((group.totalPuffs / totalPuffs) * 100) : 0
+  });
+
+  const unmatched = groups.find((group) => !group._id);
+  const textCounts = {};
+  (unmatched?.locations || []).filter(Boolean).forEach((location) => {
+    textCounts[location] = (textCounts[location] || 0) + 1;
+  });
+
+  return {
+    period: { start: startDay, end: endDay, timezone: calendar.timezone },
+    places: groups
+      .filter((group) => group._id && names.has(String(group._id)))
+      .map((group, index) => ({ rank: index + 1, placeId: group._id, name: names.get(String(group._id)), ...summarize(group) })),
+    // Frequent free-text locations here are good candidates for a new place
+    unmatched: unmatched
+      ? {
+        ...summarize(unmatched),
+        topLocations: Object.entries(textCounts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([location, sessions]) => ({ location, sessions }))
+      }
+      : null
+  };
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Puffs, sessions and nicotine per hour or day of a range, keyed like the calendar.
+ * Days come from the daily rollups; rollups have no hourly nicotine, so hours are aggregated from intakes.
+ * @param {string} userId - User ID
+ * @param {Object} calendar - The user's calendar
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @param {boolean} hourly - Group by hour instead of day
+ * @returns {Map} key -> { totalPuffs, sessions, nicotineMg }
+ */
+const aggregateRange = async (userId, calendar, from, to, hourly) => {
+  if (!hourly) {
+    const rollups = await rollupService.loadRollups(userId, calendar, from, to);
+    return new Map(rollups.map(({ date, totalPuffs, sessions, nicotineMg }) => [date, { totalPuffs, sessions, nicotineMg }]));
+  }
+
+  const groups = await Intake.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        loggedAt: { $gte: calendar.startOfDay(from).toDate(), $lte: calendar.endOfDay(to).toDate() }
+      }
+    },
+    {
+      $group: {
+        _id: calendar.hourKeyExpression('$loggedAt'),
+        totalPuffs: { $sum: '$puffs' },
+        sessions: { $sum: 1 },
+        nicotineMg: { $sum: { $ifNull: ['$nicotineMg', 0] } }
+      }
+    }
+  ]);
+
+  return new Map(groups.map(({ _id, ...totals }) => [_id, totals]));
+};
+
+/**
+ * Bucketed series for a range; weeks and months are cut at the range's edges
+ * @param {string} userId - User ID
+ * @param {Object} calendar - The user's calendar
+ * @param {Object} range - { from, to, granularity }
+ */
+const buildSeries = async (userId, calendar, { from, to, granularity }) => {
+  const hourly = granularity === 'hour';
+  const totalsByKey = await aggregateRange(userId, calendar, from, to, hourly);
+
+  const bucketOf = {
+    day: (day) => day,
+    week: (day) => calendar.weekStartKey(day),
+    month: (day) => calendar.monthStartKey(day)
+  }[granularity];
+
+  const buckets = new Map();
+  if (hourly) {
+    calendar.eachHour(from, to).forEach((key) => buckets.set(key, { period: key, start: key, end: key }));
+  } else {
+    calendar.eachDay(from, to).forEach((day) => {
+      const key = bucketOf(day);
+      const bucket = buckets.get(key) || { period: key, start: day };
+      buckets.set(key, { ...bucket, end: day });
+    });
+  }
+
+  const series = [...buckets.values()].map((bucket) => ({ ...bucket, totalPuffs: 0, sessions: 0, nicotineMg: 0 }));
+  const byPeriod = new Map(series.map((bucket) => [bucket.period, bucket]));
+  totalsByKey.forEach((totals, key) => {
+    const bucket = byPeriod.get(hourly ? key : bucketOf(key));
+    if (!bucket) return;
+    bucket.totalPuffs += totals.totalPuffs;
+    bucket.sessions += totals.sessions;
+    bucket.nicotineMg += totals.nicotineMg;
+  });
+  series.forEach((bucket) => { bucket.nicotineMg = round2(bucket.nicotineMg); });
+
+  const days = calendar.daysBetween(from, to) + 1;
+  const totalPuffs = series.reduce((sum, bucket) => sum + bucket.totalPuffs, 0);
+  const activeDays = hourly
+    ? new Set([...totalsByKey.keys()].map((key) => key.slice(0, 10))).size
+    : totalsByKey.size;
+
+  return {
+    series,
+    totals: {
+      totalPuffs,
+      sessions: series.reduce((sum, bucket) => sum + bucket.sessions, 0),
+      nicotineMg: round2(series.reduce((sum, bucket) => sum + bucket.nicotineMg, 0)),
+      dailyAverage: round2(totalPuffs / days),
+      activeDays,
+      days
+    }
+  };
+};
+
+/**
+ * Difference between the current period and the one it is compared with
+ * @param {Object} current - Totals of the requested range
+ * @param {Object} other - Totals of the comparison period (missing metrics are skipped)
+ */
+const compareTotals = (current, other) => Object.fromEntries(
+  RANGE_METRICS
+    .filter((metric) => other[metric] != null)
+    .map((metric) => [metric, {
+      current: current[metric],
+      previous: other[metric],
+      delta: round2(current[metric] - other[metric]),
+      percentChange: Math.round(percentChange(other[metric], current[metric]) * 10) / 10
+    }])
+);
+
+/**
+ * Resolve optional from/to days in the user's timezone, ending today by default
+ * @param {Object} calendar - The user's calendar
+ * @param {Object} range - { from, to } (YYYY-MM-DD)
+ * @param {number} defaultDays - Length of the range when from is missing
+ * @returns {Object} { from, to, days }
+ */
+const resolveRange = (calendar, { from, to }, defaultDays) => {
+  const rangeEnd = to ? calendar.dayKey(to) : calendar.today();
+  const rangeStart = from ? calendar.dayKey(from) : calendar.addDays(rangeEnd, 1 - defaultDays);
+
+  if (rangeStart > rangeEnd) {
+    throw new ApiError('from must not be after to', 400);
+  }
+
+  return { from: rangeStart, to: rangeEnd, days: calendar.daysBetween(rangeStart, rangeEnd) + 1 };
+};
+
+/**
+ * Series for any date range at hour, day, week or month granularity, optionally
+ * compared with the range before it, the same range a year earlier or the user's baseline
+ * @param {string} userId - User ID
+ * @param {Object} options - { from, to (YYYY-MM-DD in the user's timezone, default the last 30 days), granularity, compare }
+ */
+const getRangeStats = async (userId, { from, to, granularity = 'day', compare } = {}) => {
+  const calendar = await getUserCalendar(userId);
+  const { from: rangeStart, to: rangeEnd, days } = resolveRange(calendar, { from, to }, 30);
+  if (days > MAX_RANGE_DAYS[granularity]) {
+    throw new ApiError(`Ranges with ${granularity} granularity can span at most ${MAX_RANGE_DAYS[granularity]} days`, 400);
+  }
+
+  const { series, totals } = await buildSeries(userId, calendar, { from: rangeStart, to: rangeEnd, granularity });
+
+  let comparison = null;
+  if (compare === 'baseline') {
+    const streak = await Streak.findOne({ userId });
+    if (!streak?.baselineDailyAverage) {
+      throw new ApiError('No baseline set', 400);
+    }
+
+    // The baseline is a daily rate; scale it to the range
+    const baselineTotals = {
+      totalPuffs: round2(streak.baselineDailyAverage * days),
+      nicotineMg: streak.baselineDailyNicotineMg != null ? round2(streak.baselineDailyNicotineMg * days) : null,
+      dailyAverage: round2(streak.baselineDailyAverage)
+    };
+    comparison = {
+      type: 'baseline',
+      setDate: streak.baselineSetDate,
+      totals: baselineTotals,
+      changes: compareTotals(totals, baselineTotals)
+    };
+  } else if (compare) {
+    const shift = compare === 'previous'
+      ? (day) => calendar.addDays(day, -days)
+      : (day) => dayjs(day).subtract(1, 'year').format('YYYY-MM-DD');
+    const other = { from: shift(rangeStart), to: shift(rangeEnd), granularity };
+    const previous = await buildSeries(userId, calendar, other);
+
+    comparison = {
+      type: compare,
+      from: other.from,
+      to: other.to,
+      totals: previous.totals,
+      series: previous.series,
+      changes: compareTotals(totals, previous.totals)
+    };
+  }
+
+  return {
+    from: rangeStart,
+    to: rangeEnd,
+    granularity,
+    timezone: calendar.timezone,
+    weekStart: calendar.weekStart,
+    totals,
+    series,
+    comparison
+  };
+};
+
+// Mean and sample variance from a count, sum and sum of squares
+const momentsOf = ({ n, sum, squares }) => ({
+  n,
+  mean: n ? sum / n : null,
+  variance: n > 1 ? Math.max(0, (squares - (sum * sum) / n) / (n - 1)) : 0
+});
+
+/**
+ * Compare one group's values with everyone else's (Welch's t-test)
+ * @param {Object} group - { n, sum, squares } of the group
+ * @param {Object} all - { n, sum, squares } of all sessions
+ * @param {number} minSamples - Sessions needed on both sides
+ * @returns {Object|null} Null when either side is too small; pValue is not yet corrected for multiple tests
+ */
+const compareWithRest = (group, all, minSamples) => {
+  const inside = momentsOf(group);
+  const outside = momentsOf({ n: all.n - group.n, sum: all.sum - group.sum, squares: all.squares - group.squares });
+  if (inside.n < minSamples || outside.n < minSamples) return null;
+
+  const difference = inside.mean - outside.mean;
+  const { t, df, pValue } = welchTest(inside, outside);
+  const pooledDeviation = Math.sqrt(
+    ((inside.n - 1) * inside.variance + (outside.n - 1) * outside.variance) / (inside.n + outside.n - 2)
+  );
+
+  return {
+    sessions: inside.n,
+    otherSessions: outside.n,
+    mean: round2(inside.mean),
+    otherMean: round2(outside.mean),
+    difference: round2(difference),
+    // Cohen's d
+    effectSize: pooledDeviation ? round2(difference / pooledDeviation) : null,
+    t: t === null ? null : round2(t),
+    degreesOfFreedom: df === null ? null : round2(df),
+    pValue
+  };
+};
+
+/**
+ * How mood, triggers and intensity relate: mood per context, puffs and intensity per mood,
+ * mood before vs after sessions, and each context tested against all other sessions,
+ * with p-values Holm-corrected over every test run
+ * @param {string} userId - User ID
+ * @param {Object} options - { from, to (YYYY-MM-DD in the user's timezone, default the last 90 days), minSamples }
+ */
+const getMoodStats = async (userId, { from, to, minSamples: requestedSamples } = {}) => {
+  const minSamples = Math.max(MIN_ASSOCIATION_SAMPLES, requestedSamples || 0);
+  const calendar = await getUserCalendar(userId);
+  const range = resolveRange(calendar, { from, to }, 90);
+  if (range.days > MAX_RANGE_DAYS.day) {
+    throw new ApiError(`Mood analytics can span at most ${MAX_RANGE_DAYS.day} days`, 400);
+  }
+
+  const intensity = {
+    $switch: {
+      branches: Object.entries(INTENSITY_SCORES).map(([name, score]) => ({ case: { $eq: ['$intensity', name] }, then: score })),
+      default: 0
+    }
+  };
+  const mood = { $ifNull: ['$mood', 0] };
+  const squareSum = (value) => ({ $sum: { $multiply: [value, value] } });
+  const hasMood = { mood: { $ne: null } };
+
+  const [facets] = await Intake.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        loggedAt: { $gte: calendar.startOfDay(range.from).toDate(), $lte: calendar.endOfDay(range.to).toDate() }
+      }
+    },
+    {
+      $facet: {
+        // Counts, sums and sums of squares, enough for means and variances per context
+        contexts: [{
+          $group: {
+            _id: '$context',
+            sessions: { $sum: 1 },
+            puffs: { $sum: '$puffs' },
+            puffSquares: squareSum('$puffs'),
+            intensity: { $sum: intensity },
+            intensitySquares: squareSum(intensity),
+            moodSessions: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$mood', null] }, null] }, 0, 1] } },
+            mood: { $sum: mood },
+            moodSquares: squareSum(mood)
+          }
+        }],
+        moodsByContext: [
+          { $match: hasMood },
+          { $group: { _id: { context: '$context', mood: '$mood' }, sessions: { $sum: 1 } } }
+        ],
+        intensitiesByMood: [
+          { $match: hasMood },
+          { $group: { _id: { mood: '$mood', intensity: '$intensity' }, sessions: { $sum: 1 }, puffs: { $sum: '$puffs' } } }
+        ],
+        // A session's mood against the mood of the entry right after it
+        followUps: [
+          {
+            $setWindowFields: {
+              sortBy: { loggedAt: 1 },
+              output: { next: { $shift: { output: { mood: '$mood', loggedAt: '$loggedAt' }, by: 1 } } }
+            }
+          },
+          {
+            $match: {
+              ...hasMood,
+              'next.mood': { $ne: null },
+              $expr: { $lte: [{ $subtract: ['$next.loggedAt', '$loggedAt'] }, MOOD_FOLLOW_UP_HOURS * 60 * 60 * 1000] }
+            }
+          },
+          {
+            $group: {
+              _id: '$context',
+              pairs: { $sum: 1 },
+              before: { $sum: '$mood' },
+              after: { $sum: '$next.mood' },
+              improved: { $sum: { $cond: [{ $gt: ['$next.mood', '$mood'] }, 1, 0] } },
+              worsened: { $sum: { $cond: [{ $lt: ['$next.mood', '$mood'] }, 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  // { n, sum, squares } per metric for each context and for all sessions
+  const samplesOf = (group) => ({
+    mood: { n: group.moodSessions, sum: group.mood, squares: group.moodSquares },
+    intensity: { n: group.sessions, sum: group.intensity, squares: group.intensitySquares },
+    puffs: { n: group.sessions, sum: group.puffs, squares: group.puffSquares }
+  });
+  const totals = facets.contexts.reduce((sum, group) => Object.fromEntries(
+    Object.entries(group).filter(([key]) => key !== '_id').map(([key, value]) => [key, (sum[key] || 0) + value])
+  ), {});
+  const all = samplesOf(totals);
+  const average = ({ n, sum }) => (n ? round2(sum / n) : null);
+
+  const contexts = Object.fromEntries(facets.contexts.map((group) => {
+    const samples = samplesOf(group);
+    const moodDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    facets.moodsByContext
+      .filter(({ _id }) => _id.context === group._id)
+      .forEach(({ _id, sessions }) => { moodDistribution[_id.mood] = sessions; });
+
+    return [group._id, {
+      sessions: group.sessions,
+      moodSessions: group.moodSessions,
+      averageMood: average(samples.mood),
+      averageIntensity: average(samples.intensity),
+      averagePuffs: average(samples.puffs),
+      moodDistribution
+    }];
+  }));
+
+  const moods = {};
+  facets.intensitiesByMood.forEach(({ _id, sessions, puffs }) => {
+    const entry = moods[_id.mood] || { sessions: 0, puffs: 0, intensity: 0, intensities: { low: 0, medium: 0, high: 0 } };
+    entry.sessions += sessions;
+    entry.puffs += puffs;
+    entry.intensity += INTENSITY_SCORES[_id.intensity] * sessions;
+    entry.intensities[_id.intensity] = sessions;
+    moods[_id.mood] = entry;
+  });
+  Object.entries(moods).forEach(([score, { sessions, puffs, intensity: intensitySum, intensities }]) => {
+    moods[score] = {
+      sessions,
+      averagePuffs: round2(puffs / sessions),
+      averageIntensity: round2(intensitySum / sessions),
+      intensities
+    };
+  });
+
+  const summarizeFollowUps = ({ pairs, before, after, improved, worsened }) => ({
+    pairs,
+    averageBefore: pairs ? round2(before / pairs) : null,
+    averageAfter: pairs ? round2(after / pairs) : null,
+    averageChange: pairs ? round2((after - before) / pairs) : null,
+    improved,
+    worsened,
+    unchanged: pairs - improved - worsened
+  });
+  const followUpTotals = { pairs: 0, before: 0, after: 0, improved: 0, worsened: 0 };
+  facets.followUps.forEach((group) => Object.keys(followUpTotals).forEach((key) => { followUpTotals[key] += group[key]; }));
+
+  const tests = facets.contexts
+    .flatMap((group) => {
+      const samples = samplesOf(group);
+      return MOOD_ASSOCIATION_METRICS.map((metric) => {
+        const comparison = compareWithRest(samples[metric], all[metric], minSamples);
+        return comparison && { context: group._id, metric, ...comparison };
+      });
+    })
+    .filter(Boolean);
+
+  const adjusted = holmAdjust(tests.map((test) => test.pValue));
+  const associations = tests
+    .map((test, index) => ({
+      ...test,
+      pValue: round4(test.pValue),
+      adjustedPValue: round4(adjusted[index]),
+      significant: adjusted[index] < ASSOCIATION_ALPHA
+    }))
+    .sort((a, b) => (b.significant - a.significant) || (a.adjustedPValue - b.adjustedPValue) || (a.pValue - b.pValue));
+
+  return {
+    from: range.from,
+    to: range.to,
+    timezone: calendar.timezone,
+    sessions: totals.sessions || 0,
+    moodSessions: totals.moodSessions || 0,
+    contexts,
+    moods,
+    moodShift: {
+      followUpHours: MOOD_FOLLOW_UP_HOURS,
+      ...summarizeFollowUps(followUpTotals),
+      byContext: Object.fromEntries(facets.followUps.map((group) => [group._id, summarizeFollowUps(group)]))
+    },
+    associations,
+    minSamples,
+    alpha: ASSOCIATION_ALPHA,
+    correction: 'holm'
+  };
+};
+
+module.exports = {
+  RANGE_GRANULARITIES,
+  RANGE_COMPARISONS,
+  getDailyStats,
+  getWeeklyStats,
+  getMonthlyStats,
+  getPlaceStats,
+  getRangeStats,
+  getMoodStats,
+  summarizeCravings
+};
 
@@ -0,0 +1,112 @@
+/**
+ * API Key Service
+ * @description Issuing, listing, revoking and authenticating personal API keys
+ */
+
+const crypto = require('crypto');
+const { ApiKey } = require('../models/apiKey.model');
+const { hashToken } = require('./token.service');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+
+// Every key starts with this so it can be told apart from a JWT
+const KEY_PREFIX = 'slk_';
+const MAX_KEYS_PER_USER = 20;
+
+// Avoid a database write on every request just to bump lastUsedAt
+const LAST_USED_THROTTLE_MS = 5 * 60 * 1000;
+
+/**
+ * Whether a bearer credential looks like an API key
+ * @param {string} token - Credential from the request
+ */
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+/**
+ * Create a key for a user
+ * @param {string} userId - User ID
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Object} { apiKey, key } - raw key is only available here
+ */
+const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  const activeCount = await ApiKey.countDocuments({
+    userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  if (activeCount >= MAX_KEYS_PER_USER) {
+    throw new ApiError(`You can have at most ${MAX_KEYS_PER_USER} active API keys`, 400);
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    userId,
+    name,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * List a user's usable keys, newest first
+ * @param {string} userId - User ID
+ */
+const listApiKeys = async (userId) => {
+  return ApiKey.find({
+    userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Revoke one of a user's keys
+ * @param {string} userId - User ID
+ * @param {string} keyId - API key ID
+ * @returns {boolean} Whether an active key was revoked
+ */
+const revokeApiKey = async (userId, keyId) => {
+  const result = await ApiKey.updateOne(
+    { _id: keyId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Look up the active key for a raw key
+ * @param {string} key - Raw API key
+ * @returns {Object|null} ApiKey document
+ */
+const findActiveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  return apiKey && apiKey.isActive() ? apiKey : null;
+};
+
+/**
+ * Record key usage (throttled)
+ * @param {Object} apiKey - ApiKey document
+ * @param {Object} meta - { ip }
+ */
+const touchApiKey = async (apiKey, meta = {}) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_THROTTLE_MS) {
+    return;
+  }
+
+  const update = { lastUsedAt: new Date(), ...(meta.ip && { lastUsedIp: meta.ip }) };
+  apiKey.set(update);
+  await ApiKey.updateOne({ _id: apiKey._id }, update);
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findActiveApiKey,
+  touchApiKey
+};
@@ -0,0 +1,23 @@
+/**
+ * Audit Service
+ * @description Records security-relevant account events
+ */
+
+const AuditLog = require('../models/auditLog.model');
+const { logger } = require('../config/logger');
+
+/**
+ * Record an audit event. Never throws: auditing must not break the request.
+ * @param {string} event - Event name, e.g. 'login.lockout'
+ * @param {Object} data - { userId, email, ip, userAgent, details }
+ */
+const recordEvent = async (event, data = {}) => {
+  try {
+    await AuditLog.create({ event, ...data });
+    logger.info(`Audit: ${event}${data.email ? ` (${data.email})` : ''}${data.ip ? ` from ${data.ip}` : ''}`);
+  } catch (error) {
+    logger.error(`Failed to record audit event ${event}:`, error);
+  }
+};
+
+module.exports = { recordEvent };
@@ -0,0 +1,21 @@
+/**
+ * Calendar Service
+ * @description The calendar (timezone and week start) each user's data is bucketed in
+ */
+
+const User = require('../models/user.model');
+const { createCalendar } = require('../utils/calendar');
+
+/**
+ * Calendar for a user's profile settings; UTC weeks starting Sunday if unset
+ * @param {string} userId - User ID
+ */
+const getUserCalendar = async (userId) => {
+  const user = await User.findById(userId).select('profile.timezone profile.weekStart');
+  return createCalendar({
+    timezone: user?.profile?.timezone,
+    weekStart: user?.profile?.weekStart
+  });
+};
+
+module.exports = { getUserCalendar };
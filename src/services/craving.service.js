@@ -0,0 +1,73 @@
+/**
+ * Craving Service
+ * @description Logging and listing craving events
+ */
+
+const { Craving } = require('../models/craving.model');
+const Intake = require('../models/intake.model');
+const gamificationService = require('./gamification.service');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+
+/**
+ * Log a craving and reward it when resisted
+ * @param {string} userId - User ID
+ * @param {Object} data - Validated craving
+ * @returns {Object} { craving, gamification }
+ */
+const createCraving = async (userId, data) => {
+  let intake = null;
+  if (data.intakeId) {
+    intake = await Intake.findOne({ _id: data.intakeId, userId }).select('loggedAt');
+    if (!intake) {
+      throw new ApiError('Intake log not found', 400);
+    }
+  }
+
+  const craving = await Craving.create({
+    userId,
+    context: data.context,
+    intensity: data.intensity,
+    outcome: data.outcome,
+    durationMinutes: data.durationMinutes,
+    copingTechnique: data.copingTechnique,
+    intakeId: intake?._id || null,
+    mood: data.mood,
+    notes: data.notes,
+    // A craving someone gave in to happened when the intake did, unless told otherwise
+    loggedAt: data.loggedAt ? new Date(data.loggedAt) : intake?.loggedAt || new Date()
+  });
+
+  const gamification = await gamificationService.updateStatsOnCraving(userId, craving);
+
+  return { craving, gamification };
+};
+
+/**
+ * Page through a user's cravings, newest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { startDate, endDate, outcome, limit, page }
+ */
+const listCravings = async (userId, { startDate, endDate, outcome, limit = 50, page = 1 } = {}) => {
+  const query = { userId };
+
+  if (outcome) query.outcome = outcome;
+  if (startDate || endDate) {
+    query.loggedAt = {};
+    if (startDate) query.loggedAt.$gte = new Date(startDate);
+    if (endDate) query.loggedAt.$lte = new Date(endDate);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [cravings, total] = await Promise.all([
+    Craving.find(query).sort({ loggedAt: -1 }).skip(skip).limit(limit),
+    Craving.countDocuments(query)
+  ]);
+
+  return { cravings, total, page, pages: Math.ceil(total / limit) };
+};
+
+module.exports = {
+  createCraving,
+  listCravings
+};
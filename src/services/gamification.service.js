@@ -3,12 +3,26 @@
  * @description Handles streaks, achievements, XP, and badges
  */
 
+const mongoose = require('mongoose');
 const Streak = require('../models/streak.model');
 const { UserAchievement, ACHIEVEMENTS } = require('../models/achievement.model');
 const Intake = require('../models/intake.model');
+const { Craving } = require('../models/craving.model');
+const { env } = require('../config/env');
 const { logger } = require('../config/logger');
+const productService = require('./product.service');
+const { getUserCalendar } = require('./calendar.service');
 const dayjs = require('dayjs');
 
+// A beaten craving is worth more than a logged intake (10 XP)
+const RESISTED_CRAVING_XP = 25;
+
+// Resisted cravings rewarded with XP per day, so XP and the leaderboard can't be farmed
+const MAX_REWARDED_CRAVINGS_PER_DAY = 5;
+
+// Most entries a leaderboard returns
+const MAX_LEADERBOARD_SIZE = 100;
+
 /**
  * Get or create streak record for user
  */
@@ -31,23 +45,130 @@ const getOrCreateStreakFixed = async (userId) => {
   return streak;
 };
 
+/**
+ * Days that have intakes, oldest first
+ * @param {string} userId - User ID
+ * @param {Object} calendar - The user's calendar
+ * @returns {Array} [{ _id: 'YYYY-MM-DD', totalPuffs, count }]
+ */
+const aggregateActiveDays = async (userId, calendar) => {
+  return Intake.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: calendar.dayKeyExpression('$loggedAt'),
+        totalPuffs: { $sum: '$puffs' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+/**
+ * Recompute current and longest streak from the days that have intakes.
+ * Needed when an entry is logged for a day before the last active day,
+ * which can bridge a gap between two runs.
+ * @param {Object} streak - Streak document
+ * @param {Array} days - Result of aggregateActiveDays, if already loaded
+ */
+const rebuildStreak = async (streak, days = null) => {
+  const calendar = await getUserCalendar(streak.userId);
+  days = days || await aggregateActiveDays(streak.userId, calendar);
+
+  let run = 0;
+  let longest = 0;
+  let previous = null;
+
+  for (const { _id: day } of days) {
+    run = previous && calendar.daysBetween(previous, day) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  streak.currentStreak = run;
+  streak.longestStreak = Math.max(streak.longestStreak, longest);
+  streak.lastActiveDate = previous ? calendar.startOfDay(previous).toDate() : null;
+  await streak.save();
+
+  return {
+    currentStreak: streak.currentStreak,
+    longestStreak: streak.longestStreak
+  };
+};
+
+/**
+ * Recompute log count, daily log and streaks from all of a user's intakes,
+ * after bulk changes such as an import or its rollback. XP is not awarded.
+ * @param {string} userId - User ID
+ */
+const rebuildStats = async (userId) => {
+  const streak = await getOrCreateStreakFixed(userId);
+  const calendar = await getUserCalendar(userId);
+  const days = await aggregateActiveDays(userId, calendar);
+
+  streak.totalLogsCount = days.reduce((sum, day) => sum + day.count, 0);
+  streak.dailyLog = days.map((day) => ({
+    date: calendar.startOfDay(day._id).toDate(),
+    totalPuffs: day.totalPuffs,
+    logged: true
+  }));
+
+  const streakResult = await rebuildStreak(streak, days);
+
+  return {
+    streak: streakResult,
+    totalLogsCount: streak.totalLogsCount
+  };
+};
+
+/**
+ * Correct log count, daily log and streaks when an intake is moved to or restored
+ * from the trash. XP earned for the log is kept.
+ * @param {string} userId - User ID
+ * @param {Date} loggedAt - When the intake happened
+ * @param {number} delta - -1 when deleted, +1 when restored
+ */
+const updateStatsOnTrash = async (userId, loggedAt, delta) => {
+  const streak = await getOrCreateStreakFixed(userId);
+
+  streak.totalLogsCount = Math.max(0, streak.totalLogsCount + delta);
+  const streakResult = await rebuildStreak(streak);
+
+  await recomputeDailyLog(userId, loggedAt);
+
+  return {
+    streak: streakResult,
+    totalLogsCount: streak.totalLogsCount
+  };
+};
+
 /**
  * Update user's streak after logging intake
+ * @param {string} userId - User ID
+ * @param {Date} loggedAt - When the intake happened (may be in the past)
  */
-const updateStreakOnLog = async (userId) => {
+const updateStreakOnLog = async (userId, loggedAt = new Date()) => {
   const streak = await getOrCreateStreakFixed(userId);
+  const calendar = await getUserCalendar(userId);
   
   // Update total logs count
   streak.totalLogsCount += 1;
   
-  // Update streak
-  const streakResult = await streak.updateStreak(true);
+  // Update streak for the entry's own day
+  const isBackdated = streak.lastActiveDate &&
+    calendar.dayKey(loggedAt) < calendar.dayKey(streak.lastActiveDate);
+  const streakResult = isBackdated
+    ? await rebuildStreak(streak)
+    : await streak.updateStreak(true, loggedAt, calendar);
   
   // Add XP for logging
   await streak.addXP(10); // 10 XP per log
   
   // Check for achievements
   const newAchievements = await checkAchievements(userId, streak);
+
+  await recomputeDailyLog(userId, loggedAt);
   
   return {
     streak: streakResult,
@@ -57,6 +178,82 @@ const updateStreakOnLog = async (userId) => {
   };
 };
 
+/**
+ * Reward a logged craving: resisting earns more XP than logging an intake,
+ * for up to MAX_REWARDED_CRAVINGS_PER_DAY cravings a day
+ * @param {string} userId - User ID
+ * @param {Object} craving - Craving document
+ */
+const updateStatsOnCraving = async (userId, craving) => {
+  const streak = await getOrCreateStreakFixed(userId);
+
+  if (craving.outcome !== 'resisted') {
+    return { totalXP: streak.totalXP, level: streak.level, newAchievements: [] };
+  }
+
+  // Counted by when cravings reached us, so backdating them doesn't get around the cap
+  const calendar = await getUserCalendar(userId);
+  const { start, end } = calendar.dayRange(craving.createdAt);
+  const resistedToday = await Craving.countDocuments({ userId, outcome: 'resisted', createdAt: { $gte: start, $lte: end } });
+  const xpAwarded = resistedToday <= MAX_REWARDED_CRAVINGS_PER_DAY ? RESISTED_CRAVING_XP : 0;
+
+  streak.cravingsResisted += 1;
+  await streak.addXP(xpAwarded);
+
+  const newAchievements = await checkAchievements(userId, streak);
+
+  return {
+    cravingsResisted: streak.cravingsResisted,
+    xpAwarded,
+    totalXP: streak.totalXP,
+    level: streak.level,
+    newAchievements
+  };
+};
+
+/**
+ * Rebuild one day's entry in the streak's daily log from the intakes of that day
+ * @param {string} userId - User ID
+ * @param {Date|string} date - Any time on the day, read in the user's timezone
+ */
+const recomputeDailyLog = async (userId, date) => {
+  const calendar = await getUserCalendar(userId);
+  const { start, end } = calendar.dayRange(date);
+
+  const [totals] = await Intake.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), loggedAt: { $gte: start, $lte: end } } },
+    { $group: { _id: null, totalPuffs: { $sum: '$puffs' }, count: { $sum: 1 } } }
+  ]);
+
+  await getOrCreateStreakFixed(userId);
+
+  // Only touch dailyLog so a concurrently loaded streak document is not overwritten
+  await Streak.updateOne({ userId }, { $pull: { dailyLog: { date: start } } });
+  if (totals) {
+    await Streak.updateOne(
+      { userId },
+      { $push: { dailyLog: { $each: [{ date: start, totalPuffs: totals.totalPuffs, logged: true }], $sort: { date: 1 } } } }
+    );
+  }
+
+  return { date: start, totalPuffs: totals?.totalPuffs || 0, count: totals?.count || 0 };
+};
+
+/**
+ * Correct the daily log and streaks when an intake is moved to another day,
+ * which can bridge or break a run of days
+ * @param {string} userId - User ID
+ * @param {Date} from - Previous loggedAt
+ * @param {Date} to - New loggedAt
+ */
+const updateStatsOnMove = async (userId, from, to) => {
+  await recomputeDailyLog(userId, from);
+  await recomputeDailyLog(userId, to);
+
+  const streak = await getOrCreateStreakFixed(userId);
+  return { streak: await rebuildStreak(streak) };
+};
+
 /**
  * Check and unlock achievements
  */
@@ -91,6 +288,20 @@ const checkAchievements = async (userId, streak) => {
     if (unlocked) newAchievements.push(ACHIEVEMENTS.LOGGER_100);
   }
   
+  // Check resisted craving achievements
+  if (streak.cravingsResisted >= 1) {
+    const unlocked = await unlockAchievement(userId, 'craving_crusher', streak);
+    if (unlocked) newAchievements.push(ACHIEVEMENTS.CRAVING_CRUSHER);
+  }
+  if (streak.cravingsResisted >= 10) {
+    const unlocked = await unlockAchievement(userId, 'iron_will', streak);
+    if (unlocked) newAchievements.push(ACHIEVEMENTS.IRON_WILL);
+  }
+  if (streak.cravingsResisted >= 50) {
+    const unlocked = await unlockAchievement(userId, 'unshakeable', streak);
+    if (unlocked) newAchievements.push(ACHIEVEMENTS.UNSHAKEABLE);
+  }
+  
   // Check money achievements
   if (streak.totalMoneySaved >= 10) {
     const unlocked = await unlockAchievement(userId, 'saver_10', streak);
@@ -170,6 +381,7 @@ const getUserStats = async (userId) => {
     },
     stats: {
       totalLogs: streak.totalLogsCount,
+      cravingsResisted: streak.cravingsResisted,
       smokeFreeDays: streak.smokeFreedays,
       moneySaved: streak.totalMoneySaved
     },
@@ -184,16 +396,37 @@ const getUserStats = async (userId) => {
 
 /**
  * Get leaderboard
+ * @description Only active accounts not scheduled for deletion rank; purged users are left out.
+ * Streaks are read in XP order from the totalXP index and filtered as they stream, so the scan
+ * stops once enough eligible users are found however many hidden accounts rank above them.
  */
 const getLeaderboard = async (limit = 10) => {
-  const leaders = await Streak.find()
-    .sort({ totalXP: -1 })
-    .limit(limit)
-    .populate('userId', 'name');
+  const eligible = { isActive: true, deletionScheduledFor: null };
+
+  // Unverified accounts don't appear on the leaderboard
+  if (env.UNVERIFIED_RESTRICTIONS.includes('leaderboard')) {
+    eligible.emailVerified = true;
+  }
+
+  const leaders = await Streak.aggregate([
+    { $sort: { totalXP: -1 } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'userId',
+        foreignField: '_id',
+        pipeline: [{ $match: eligible }, { $project: { name: 1 } }],
+        as: 'user'
+      }
+    },
+    // Drops streaks of missing or hidden users
+    { $unwind: '$user' },
+    { $limit: Math.min(limit, MAX_LEADERBOARD_SIZE) }
+  ]);
   
   return leaders.map((s, index) => ({
     rank: index + 1,
-    name: s.userId?.name || 'Anonymous',
+    name: s.user.name,
     level: s.level,
     xp: s.totalXP,
     streak: s.currentStreak
@@ -215,13 +448,27 @@ const setBaseline = async (userId) => {
   
   const totalPuffs = intakes.reduce((sum, i) => sum + i.puffs, 0);
   const dailyAvg = intakes.length > 0 ? totalPuffs / 7 : 0;
+
+  // Nicotine and spend make mixed products (e.g. cigarettes and a vape) comparable
+  const consumption = productService.summarizeConsumption(
+    intakes,
+    await productService.loadProducts(intakes),
+    streak.costPerPack / streak.puffsPerPack
+  );
+  const nicotineKnown = intakes.length === 0 || consumption.unestimatedLogs < intakes.length;
   
   streak.baselineDailyAverage = dailyAvg;
+  streak.baselineDailyNicotineMg = nicotineKnown ? consumption.nicotineMg / 7 : null;
+  streak.baselineDailySpend = consumption.spend / 7;
   streak.baselineSetDate = new Date();
   await streak.save();
   
   return {
     baseline: dailyAvg,
+    baselineUnits: Object.fromEntries(
+      Object.entries(consumption.units).map(([unit, amount]) => [unit, amount / 7])
+    ),
+    baselineNicotineMg: streak.baselineDailyNicotineMg,
     setDate: streak.baselineSetDate
   };
 };
@@ -249,18 +496,44 @@ const getReductionProgress = async (userId) => {
   const reduction = streak.baselineDailyAverage > 0 
     ? ((streak.baselineDailyAverage - currentAvg) / streak.baselineDailyAverage) * 100
     : 0;
+
+  const consumption = productService.summarizeConsumption(intakes, await productService.loadProducts(intakes));
+
+  // Baselines set before product tracking have no nicotine figure
+  let nicotine = null;
+  if (streak.baselineDailyNicotineMg != null) {
+    const currentMg = consumption.nicotineMg / 7;
+    const mgReduction = streak.baselineDailyNicotineMg > 0
+      ? ((streak.baselineDailyNicotineMg - currentMg) / streak.baselineDailyNicotineMg) * 100
+      : 0;
+    nicotine = {
+      baselineMg: Math.round(streak.baselineDailyNicotineMg * 100) / 100,
+      currentAverageMg: Math.round(currentMg * 100) / 100,
+      reductionPercent: Math.round(mgReduction * 10) / 10
+    };
+  }
   
   return {
     hasBaseline: true,
     baseline: streak.baselineDailyAverage,
     currentAverage: currentAvg,
+    currentUnits: Object.fromEntries(
+      Object.entries(consumption.units).map(([unit, amount]) => [unit, Math.round((amount / 7) * 10) / 10])
+    ),
     reductionPercent: Math.round(reduction * 10) / 10,
-    direction: reduction > 0 ? 'down' : reduction < 0 ? 'up' : 'stable'
+    direction: reduction > 0 ? 'down' : reduction < 0 ? 'up' : 'stable',
+    nicotine
   };
 };
 
 module.exports = {
   updateStreakOnLog,
+  rebuildStreak,
+  rebuildStats,
+  updateStatsOnMove,
+  updateStatsOnTrash,
+  updateStatsOnCraving,
+  recomputeDailyLog,
   getUserStats,
   getLeaderboard,
   setBaseline,
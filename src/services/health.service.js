@@ -5,6 +5,7 @@
 
 const Streak = require('../models/streak.model');
 const Intake = require('../models/intake.model');
+const productService = require('./product.service');
 const { logger } = require('../config/logger');
 const dayjs = require('dayjs');
 
@@ -213,7 +214,7 @@ const getEncouragement = (days, achievedMilestones) => {
 };
 
 /**
- * Set cost settings for money tracking
+ * Set cost settings for money tracking (intakes without a product)
  */
 const setCostSettings = async (userId, costPerPack, puffsPerPack) => {
   const streak = await getOrCreateStreak(userId);
@@ -228,7 +229,7 @@ const setCostSettings = async (userId, costPerPack, puffsPerPack) => {
 };
 
 /**
- * Calculate money saved based on reduction
+ * Calculate money saved based on reduction, priced per product
  */
 const calculateMoneySaved = async (userId) => {
   const streak = await getOrCreateStreak(userId);
@@ -251,8 +252,29 @@ const calculateMoneySaved = async (userId) => {
   const expectedPuffs = streak.baselineDailyAverage * daysSinceBaseline;
   const puffsSaved = Math.max(0, expectedPuffs - totalActualPuffs);
   
+  // Intakes with a product are priced by it, the rest by the cost settings
   const costPerPuff = streak.costPerPack / streak.puffsPerPack;
-  const moneySaved = puffsSaved * costPerPuff;
+  const consumption = productService.summarizeConsumption(
+    intakes,
+    await productService.loadProducts(intakes),
+    costPerPuff
+  );
+
+  // Baselines set before product tracking only know puffs
+  const baselineDailySpend = streak.baselineDailySpend ?? streak.baselineDailyAverage * costPerPuff;
+  const expectedSpend = baselineDailySpend * daysSinceBaseline;
+  const moneySaved = Math.max(0, expectedSpend - consumption.spend);
+  const dailySavings = moneySaved / daysSinceBaseline;
+
+  let nicotine = null;
+  if (streak.baselineDailyNicotineMg != null) {
+    const expectedMg = streak.baselineDailyNicotineMg * daysSinceBaseline;
+    nicotine = {
+      baselineDailyMg: Math.round(streak.baselineDailyNicotineMg * 100) / 100,
+      currentDailyMg: Math.round((consumption.nicotineMg / daysSinceBaseline) * 100) / 100,
+      mgAvoided: Math.round(Math.max(0, expectedMg - consumption.nicotineMg) * 10) / 10
+    };
+  }
   
   // Update streak
   streak.totalMoneySaved = moneySaved;
@@ -266,10 +288,15 @@ const calculateMoneySaved = async (userId) => {
     expectedPuffs: Math.round(expectedPuffs),
     actualPuffs: totalActualPuffs,
     puffsSaved: Math.round(puffsSaved),
+    units: consumption.units,
     costPerPack: streak.costPerPack,
+    expectedSpend: Math.round(expectedSpend * 100) / 100,
+    actualSpend: consumption.spend,
     moneySaved: Math.round(moneySaved * 100) / 100,
-    projectedMonthlySavings: Math.round((puffsSaved / daysSinceBaseline) * 30 * costPerPuff * 100) / 100,
-    projectedYearlySavings: Math.round((puffsSaved / daysSinceBaseline) * 365 * costPerPuff * 100) / 100
+    projectedMonthlySavings: Math.round(dailySavings * 30 * 100) / 100,
+    projectedYearlySavings: Math.round(dailySavings * 365 * 100) / 100,
+    nicotine,
+    byProduct: consumption.byProduct
   };
 };
 
@@ -0,0 +1,339 @@
+/**
+ * Import Service
+ * @description Bulk import of historical intakes from CSV or JSON, with dry runs and rollback
+ */
+
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const Intake = require('../models/intake.model');
+const ImportBatch = require('../models/importBatch.model');
+const gamificationService = require('./gamification.service');
+const rollupService = require('./rollup.service');
+const intakeService = require('./intake.service');
+const productService = require('./product.service');
+const placeService = require('./place.service');
+const { getUserCalendar } = require('./calendar.service');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+const { intakeImportRowSchema } = require('../utils/validators');
+const { parseCsvRecords } = require('../utils/csv');
+const { env } = require('../config/env');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Intake fields read from each row, in report order
+const IMPORT_FIELDS = ['loggedAt', 'puffs', 'intensity', 'context', 'mood', 'location', 'notes'];
+
+// Keep the report small when a whole file is malformed
+const MAX_REPORTED_ERRORS = 100;
+
+// A Z or UTC offset right after the time, e.g. 07:00Z or 07:00:00+08:00
+const EXPLICIT_OFFSET = /\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:Z|[+-]\d{2}(?::?\d{2})?)$/i;
+
+/**
+ * Parse the column mapping option
+ * @param {string} [value] - JSON object of intake field -> source column
+ * @returns {Object} Mapping (empty when columns are named like the fields)
+ */
+const parseMapping = (value) => {
+  if (!value) return {};
+
+  let mapping;
+  try {
+    mapping = JSON.parse(value);
+  } catch {
+    throw new ApiError('mapping must be a JSON object', 400);
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ApiError('mapping must be a JSON object', 400);
+  }
+
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw new ApiError(`Unknown field in mapping: ${field}`, 400);
+    }
+    if (typeof column !== 'string' || !column) {
+      throw new ApiError(`Column for ${field} must be a non-empty string`, 400);
+    }
+  }
+
+  return mapping;
+};
+
+/**
+ * Turn the uploaded file into raw records
+ * @param {string} body - File contents
+ * @param {string} format - csv or json
+ */
+const parseRecords = (body, format) => {
+  if (format === 'csv') {
+    return parseCsvRecords(body);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    throw new ApiError('Invalid JSON', 400);
+  }
+
+  // A bare array, or our own export file ({ intakes: [...] })
+  const records = Array.isArray(data) ? data : data?.intakes;
+  if (!Array.isArray(records)) {
+    throw new ApiError('JSON imports must be an array of rows', 400);
+  }
+  return records;
+};
+
+/**
+ * Read an imported time. One with an explicit offset is an instant; one without is
+ * wall-clock time in the user's timezone.
+ * @param {*} value - Raw value
+ * @param {string} tz - The user's IANA timezone
+ */
+const parseLoggedAt = (value, tz) => {
+  const date = dayjs(value);
+  // dayjs.tz throws on unparseable input, so only hand it valid local times
+  if (typeof value !== 'string' || EXPLICIT_OFFSET.test(value) || !date.isValid()) return date;
+  return dayjs.tz(value, tz);
+};
+
+/**
+ * Pick and coerce the intake fields of one record (spreadsheet values are strings)
+ * @param {Object} record - Raw record
+ * @param {Object} mapping - Field -> column
+ * @param {string} tz - The user's IANA timezone, for times without an offset
+ */
+const normalizeRow = (record, mapping, tz) => {
+  const row = {};
+
+  for (const field of IMPORT_FIELDS) {
+    let value = record[mapping[field] || field];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (field === 'puffs' || field === 'mood') value = Number(value);
+      if (field === 'intensity' || field === 'context') value = value.toLowerCase();
+    }
+
+    if (field === 'loggedAt') {
+      const date = parseLoggedAt(value, tz);
+      value = date.isValid() ? date.toISOString() : String(value);
+    }
+
+    row[field] = value;
+  }
+
+  return row;
+};
+
+/**
+ * Stable ID for an imported row, so importing the same data twice adds nothing
+ * @param {Object} row - Validated row
+ */
+const fingerprint = (row) => {
+  const key = [new Date(row.loggedAt).toISOString(), row.puffs, row.intensity, row.context].join('|');
+  return `import:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}`;
+};
+
+/**
+ * Insert a chunk, treating unique index conflicts as duplicates
+ * @param {Array} docs - Intake documents
+ * @returns {Object} { inserted, duplicates }
+ */
+const insertChunk = async (docs) => {
+  try {
+    const inserted = await Intake.insertMany(docs, { ordered: false });
+    return { inserted: inserted.length, duplicates: 0 };
+  } catch (error) {
+    // The same rows uploaded concurrently
+    const codes = (error.writeErrors || []).map((writeError) => writeError.code ?? writeError.err?.code);
+    if (codes.length && codes.every((code) => code === 11000)) {
+      return { inserted: error.insertedDocs.length, duplicates: codes.length };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Import historical intakes
+ * @param {string} userId - User ID
+ * @param {Object} options - { body, format, mapping, dryRun, batchId }
+ * @returns {Object} Report with row-level errors, plus the batch ID when rows were saved
+ */
+const importIntakes = async (userId, { body, format, mapping: mappingOption, dryRun = false, batchId }) => {
+  const mapping = parseMapping(mappingOption);
+  const records = parseRecords(body, format);
+
+  if (!records.length) {
+    throw new ApiError('No rows to import', 400);
+  }
+  if (records.length > env.IMPORT_MAX_ROWS) {
+    throw new ApiError(`At most ${env.IMPORT_MAX_ROWS} rows per import, split the file and use batchId`, 400);
+  }
+
+  let batch = null;
+  if (batchId) {
+    batch = await ImportBatch.findOne({ _id: batchId, userId, status: 'completed' });
+    if (!batch) {
+      throw new ApiError('Import batch not found', 404);
+    }
+  }
+
+  const report = {
+    dryRun,
+    batchId: batch?._id || null,
+    totalRows: records.length,
+    valid: 0,
+    imported: 0,
+    duplicates: 0,
+    invalid: 0,
+    errors: []
+  };
+  const seen = new Set();
+  const importedDates = [];
+
+  const reportInvalid = (row, errors) => {
+    report.invalid += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ row, errors });
+    }
+  };
+
+  // Rows get the user's default product, like intakes logged in the app
+  const calendar = await getUserCalendar(userId);
+  const product = await productService.resolveIntakeProduct(userId);
+  const places = new Map();
+
+  for (let offset = 0; offset < records.length; offset += env.IMPORT_CHUNK_SIZE) {
+    const docs = [];
+
+    records.slice(offset, offset + env.IMPORT_CHUNK_SIZE).forEach((record, i) => {
+      const row = offset + i + 1;
+      const parsed = record && typeof record === 'object' && !Array.isArray(record)
+        ? intakeImportRowSchema.safeParse(normalizeRow(record, mapping, calendar.timezone))
+        : null;
+
+      if (!parsed?.success) {
+        reportInvalid(row, parsed
+          ? parsed.error.issues.map((issue) => ({ field: issue.path.join('.'), message: issue.message }))
+          : [{ field: '', message: 'Row must be an object' }]);
+        return;
+      }
+
+      let derived;
+      try {
+        derived = productService.productFields(parsed.data.puffs, product);
+      } catch (error) {
+        reportInvalid(row, [{ field: 'puffs', message: error.message }]);
+        return;
+      }
+
+      report.valid += 1;
+
+      const clientId = fingerprint(parsed.data);
+      if (seen.has(clientId)) {
+        report.duplicates += 1;
+        return;
+      }
+      seen.add(clientId);
+
+      docs.push({ ...parsed.data, ...derived, loggedAt: new Date(parsed.data.loggedAt), userId, clientId });
+    });
+
+    if (!docs.length) continue;
+
+    // Rows already in the account (or its trash), e.g. a part uploaded twice
+    const existing = new Set(await Intake.find({
+      userId,
+      clientId: { $in: docs.map((doc) => doc.clientId) }
+    }).setOptions({ withDeleted: true }).distinct('clientId'));
+
+    const fresh = docs.filter((doc) => !existing.has(doc.clientId));
+    report.duplicates += docs.length - fresh.length;
+
+    if (dryRun || !fresh.length) continue;
+
+    if (!batch) {
+      batch = await ImportBatch.create({ userId, format });
+      report.batchId = batch._id;
+    }
+
+    // Match places once per location name
+    for (const doc of fresh) {
+      const key = doc.location || '';
+      if (!places.has(key)) places.set(key, await placeService.locationFields(userId, { location: doc.location }));
+      doc.placeId = places.get(key).placeId;
+      doc.importBatchId = batch._id;
+    }
+
+    const { inserted, duplicates } = await insertChunk(fresh);
+    report.imported += inserted;
+    report.duplicates += duplicates;
+    importedDates.push(...fresh.map((doc) => doc.loggedAt));
+  }
+
+  report.errorsTruncated = report.invalid > report.errors.length;
+
+  if (batch && !dryRun) {
+    await ImportBatch.updateOne({ _id: batch._id }, {
+      $inc: {
+        totalRows: report.totalRows,
+        importedCount: report.imported,
+        duplicateCount: report.duplicates,
+        invalidCount: report.invalid
+      }
+    });
+  }
+
+  if (report.imported) {
+    await rollupService.refreshDays(userId, importedDates);
+    report.stats = await gamificationService.rebuildStats(userId);
+  }
+
+  return report;
+};
+
+/**
+ * A user's imports, newest first
+ * @param {string} userId - User ID
+ */
+const listImports = async (userId) => {
+  return ImportBatch.find({ userId }).sort({ createdAt: -1 });
+};
+
+/**
+ * Remove every intake added by an import (also those in the trash) and recompute stats
+ * @param {Object} batch - ImportBatch document
+ * @returns {Object} { removed, stats }
+ */
+const rollbackImport = async (batch) => {
+  if (batch.status === 'rolled_back') {
+    throw new ApiError('Import already rolled back', 409);
+  }
+
+  const intakes = await Intake.find({ userId: batch.userId, importBatchId: batch._id })
+    .setOptions({ withDeleted: true })
+    .select('loggedAt');
+  const removed = await intakeService.removeIntakes(intakes.map((intake) => intake._id));
+
+  batch.status = 'rolled_back';
+  batch.rolledBackAt = new Date();
+  await batch.save();
+
+  await rollupService.refreshDays(batch.userId, intakes.map((intake) => intake.loggedAt));
+  const stats = await gamificationService.rebuildStats(batch.userId);
+
+  return { removed, stats };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  importIntakes,
+  listImports,
+  rollbackImport
+};
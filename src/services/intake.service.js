@@ -0,0 +1,399 @@
+/**
+ * Intake Service
+ * @description Logging (including offline sync) and editing intake logs with revision history
+ */
+
+const mongoose = require('mongoose');
+const Intake = require('../models/intake.model');
+const { Product } = require('../models/product.model');
+const { Place } = require('../models/place.model');
+const IntakeRevision = require('../models/intakeRevision.model');
+const { Craving } = require('../models/craving.model');
+const gamificationService = require('./gamification.service');
+const rollupService = require('./rollup.service');
+const productService = require('./product.service');
+const placeService = require('./place.service');
+const { getUserCalendar } = require('./calendar.service');
+const dayjs = require('dayjs');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+const { env } = require('../config/env');
+const { logger } = require('../config/logger');
+const { encodeCursor, decodeCursor, escapeRegex } = require('../utils/helpers');
+const { intakeSyncEntrySchema } = require('../utils/validators');
+
+// Fields a user may correct after logging
+const EDITABLE_FIELDS = ['puffs', 'productId', 'intensity', 'context', 'notes', 'location', 'placeId', 'mood', 'loggedAt'];
+
+/**
+ * Create an intake unless one with the same client ID already exists
+ * @param {string} userId - User ID
+ * @param {Object} data - Validated intake (optional loggedAt, clientId and productId)
+ * @returns {Object} { intake, created }
+ */
+const createIntake = async (userId, data) => {
+  const { clientId } = data;
+
+  // Also a deleted entry: a late retry must not bring it back
+  if (clientId) {
+    const existing = await Intake.findOne({ userId, clientId }).setOptions({ withDeleted: true });
+    if (existing) return { intake: existing, created: false };
+  }
+
+  // Without a product the user's default product applies, if they have one
+  const product = await productService.resolveIntakeProduct(userId, data.productId);
+
+  try {
+    const intake = await Intake.create({
+      userId,
+      puffs: data.puffs,
+      ...productService.productFields(data.puffs, product),
+      intensity: data.intensity,
+      context: data.context,
+      notes: data.notes,
+      location: data.location,
+      ...await placeService.locationFields(userId, data),
+      mood: data.mood,
+      clientId,
+      loggedAt: data.loggedAt ? new Date(data.loggedAt) : new Date()
+    });
+    await rollupService.refreshDays(userId, [intake.loggedAt]);
+    return { intake, created: true };
+  } catch (error) {
+    // A concurrent retry of the same entry won the race
+    if (error.code === 11000 && clientId) {
+      return { intake: await Intake.findOne({ userId, clientId }).setOptions({ withDeleted: true }), created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Upload a batch of offline entries idempotently
+ * @param {string} userId - User ID
+ * @param {Array} entries - Raw entries, each with a clientId
+ * @returns {Object} { results, created, duplicates, failed, gamification }
+ */
+const syncIntakes = async (userId, entries) => {
+  const results = [];
+  const createdIntakes = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const clientId = typeof entry?.clientId === 'string' ? entry.clientId : null;
+    const parsed = intakeSyncEntrySchema.safeParse(entry);
+
+    if (!parsed.success) {
+      results.push({
+        index,
+        clientId,
+        status: 'invalid',
+        errors: parsed.error.issues.map((issue) => ({
+          field: issue.path.join('.'),
+          message: issue.message
+        }))
+      });
+      continue;
+    }
+
+    try {
+      const { intake, created } = await createIntake(userId, parsed.data);
+      results.push({ index, clientId, status: created ? 'created' : 'duplicate', intakeId: intake._id });
+      if (created) createdIntakes.push(intake);
+    } catch (error) {
+      results.push({ index, clientId, status: 'failed', errors: [{ field: '', message: error.message }] });
+    }
+  }
+
+  // Replay in chronological order so streaks build up as if logged live
+  createdIntakes.sort((a, b) => a.loggedAt - b.loggedAt);
+
+  let gamification = null;
+  const newAchievements = [];
+  for (const intake of createdIntakes) {
+    gamification = await gamificationService.updateStreakOnLog(userId, intake.loggedAt);
+    newAchievements.push(...gamification.newAchievements);
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+
+  return {
+    results,
+    created: createdIntakes.length,
+    duplicates: count('duplicate'),
+    failed: count('invalid') + count('failed'),
+    gamification: gamification && { ...gamification, newAchievements }
+  };
+};
+
+const isSameValue = (a, b) => {
+  if (a instanceof mongoose.Types.ObjectId || b instanceof mongoose.Types.ObjectId) {
+    return a != null && b != null && String(a) === String(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a && b && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return a === b;
+};
+
+/**
+ * Apply changes to an intake, record a revision and refresh derived daily stats
+ * @param {Object} intake - Intake document
+ * @param {Object} updates - Validated partial intake (coordinates are stored as geo)
+ * @param {string} editorId - User making the change
+ * @returns {Object} { intake, revision } - revision is null when nothing changed
+ */
+const updateIntake = async (intake, updates, editorId) => {
+  const changes = [];
+
+  for (const field of EDITABLE_FIELDS) {
+    if (updates[field] === undefined) continue;
+
+    const to = field === 'loggedAt' ? new Date(updates[field]) : updates[field];
+    if (isSameValue(intake[field], to)) continue;
+
+    changes.push({ field, from: intake[field] ?? null, to });
+  }
+
+  // New coordinates are coarsened as on create and re-matched to a place unless one is given
+  if (updates.coordinates !== undefined) {
+    const { geo, placeId } = await placeService.locationFields(intake.userId, {
+      coordinates: updates.coordinates,
+      location: updates.location ?? intake.location,
+      placeId: updates.placeId
+    });
+
+    const pointOf = (point) => (point ? { type: 'Point', coordinates: [...point.coordinates] } : null);
+    if (String(pointOf(intake.geo)?.coordinates) !== String(pointOf(geo)?.coordinates)) {
+      changes.push({ field: 'geo', from: pointOf(intake.geo), to: pointOf(geo) });
+    }
+    if (updates.placeId === undefined && !isSameValue(intake.placeId, placeId)) {
+      changes.push({ field: 'placeId', from: intake.placeId ?? null, to: placeId });
+    }
+  }
+
+  if (!changes.length) {
+    return { intake, revision: null };
+  }
+
+  const previousLoggedAt = intake.loggedAt;
+
+  // Unit and nicotine estimate follow the product and amount
+  const changed = (field) => changes.some((change) => change.field === field);
+  let derived = null;
+  if (changed('productId') || changed('puffs')) {
+    const product = changed('productId')
+      ? await productService.resolveIntakeProduct(intake.userId, updates.productId)
+      : intake.productId && await Product.findById(intake.productId);
+    derived = productService.productFields(updates.puffs ?? intake.puffs, product || null);
+  }
+
+  if (updates.placeId !== undefined && changed('placeId') && !await Place.exists({ _id: updates.placeId, userId: intake.userId })) {
+    throw new ApiError('Place not found', 400);
+  }
+
+  changes.forEach(({ field, to }) => intake.set(field, to));
+  if (derived) intake.set(derived);
+  await intake.save();
+
+  const revision = await IntakeRevision.create({
+    intakeId: intake._id,
+    userId: intake.userId,
+    editedBy: editorId,
+    changes
+  });
+
+  // Moving an entry to another day changes the totals of both days
+  await rollupService.refreshDays(intake.userId, [previousLoggedAt, intake.loggedAt]);
+  const calendar = await getUserCalendar(intake.userId);
+  if (calendar.dayKey(intake.loggedAt) !== calendar.dayKey(previousLoggedAt)) {
+    await gamificationService.updateStatsOnMove(intake.userId, previousLoggedAt, intake.loggedAt);
+  } else {
+    await gamificationService.recomputeDailyLog(intake.userId, previousLoggedAt);
+  }
+
+  return { intake, revision };
+};
+
+/**
+ * Edit history of an intake, oldest first
+ * @param {string} intakeId - Intake ID
+ */
+const getIntakeHistory = async (intakeId) => {
+  return IntakeRevision.find({ intakeId }).sort({ createdAt: 1 });
+};
+
+/**
+ * Mongo query for an intake listing's filters
+ * @param {string} userId - User ID
+ * @param {Object} filters - { startDate, endDate, context, intensity, minMood, maxMood, location, q }
+ */
+const buildListQuery = (userId, { startDate, endDate, context, intensity, minMood, maxMood, location, q }) => {
+  const query = { userId };
+
+  if (startDate || endDate) {
+    query.loggedAt = {};
+    if (startDate) query.loggedAt.$gte = dayjs(startDate).toDate();
+    if (endDate) query.loggedAt.$lte = dayjs(endDate).toDate();
+  }
+  if (context?.length) query.context = { $in: context };
+  if (intensity?.length) query.intensity = { $in: intensity };
+  if (minMood != null || maxMood != null) {
+    query.mood = {};
+    if (minMood != null) query.mood.$gte = minMood;
+    if (maxMood != null) query.mood.$lte = maxMood;
+  }
+  if (location) query.location = new RegExp(`^${escapeRegex(location)}$`, 'i');
+  if (q) query.notes = new RegExp(escapeRegex(q), 'i');
+
+  return query;
+};
+
+/**
+ * List a user's intakes, newest first.
+ * Without `page` this is keyset pagination on (loggedAt, _id): pages stay consistent while new
+ * entries arrive and no count is run. With `page` it falls back to skip/limit with totals.
+ * @param {string} userId - User ID
+ * @param {Object} options - Filters plus { limit, cursor, page, fields }
+ * @returns {Object} { intakes, nextCursor, hasMore } or { intakes, total, page, pages }
+ */
+const listIntakes = async (userId, { limit = 50, cursor, page, fields, ...filters } = {}) => {
+  const query = buildListQuery(userId, filters);
+  // loggedAt is always returned: cursors are built from it
+  const projection = fields ? ['loggedAt', ...fields].join(' ') : null;
+
+  if (page) {
+    const [intakes, total] = await Promise.all([
+      Intake.find(query, projection).sort({ loggedAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      Intake.countDocuments(query)
+    ]);
+
+    return { intakes, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!Number.isFinite(position?.loggedAt) || !mongoose.isValidObjectId(position.id)) {
+      throw new ApiError('Invalid cursor', 400);
+    }
+
+    const loggedAt = new Date(position.loggedAt);
+    query.$or = [
+      { loggedAt: { $lt: loggedAt } },
+      { loggedAt, _id: { $lt: new mongoose.Types.ObjectId(position.id) } }
+    ];
+  }
+
+  // One extra row tells us whether there is another page
+  const intakes = await Intake.find(query, projection).sort({ loggedAt: -1, _id: -1 }).limit(limit + 1);
+  const hasMore = intakes.length > limit;
+  if (hasMore) intakes.pop();
+
+  const last = intakes[intakes.length - 1];
+
+  return {
+    intakes,
+    nextCursor: hasMore ? encodeCursor({ loggedAt: last.loggedAt.getTime(), id: String(last._id) }) : null,
+    hasMore
+  };
+};
+
+/**
+ * When an intake in the trash will be purged
+ * @param {Date} deletedAt - When it was deleted
+ */
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + env.INTAKE_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Move an intake to the trash and take it out of the user's stats
+ * @param {Object} intake - Intake document
+ * @returns {Object} { intake, purgeAt }
+ */
+const trashIntake = async (intake) => {
+  intake.deletedAt = new Date();
+  await intake.save();
+
+  await gamificationService.updateStatsOnTrash(intake.userId, intake.loggedAt, -1);
+  await rollupService.refreshDays(intake.userId, [intake.loggedAt]);
+
+  return { intake, purgeAt: purgeDate(intake.deletedAt) };
+};
+
+/**
+ * Bring an intake back from the trash and count it again
+ * @param {Object} intake - Intake document in the trash
+ */
+const restoreIntake = async (intake) => {
+  intake.deletedAt = null;
+  await intake.save();
+
+  await gamificationService.updateStatsOnTrash(intake.userId, intake.loggedAt, 1);
+  await rollupService.refreshDays(intake.userId, [intake.loggedAt]);
+
+  return intake;
+};
+
+/**
+ * A user's deleted intakes, most recently deleted first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit, page }
+ */
+const listTrash = async (userId, { limit = 50, page = 1 } = {}) => {
+  const query = { userId, deletedAt: { $ne: null } };
+
+  const [intakes, total] = await Promise.all([
+    Intake.find(query).sort({ deletedAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Intake.countDocuments(query)
+  ]);
+
+  return {
+    intakes: intakes.map((intake) => ({ ...intake.toJSON(), purgeAt: purgeDate(intake.deletedAt) })),
+    total,
+    page,
+    pages: Math.ceil(total / limit)
+  };
+};
+
+/**
+ * Permanently delete intakes with their edit history, unlinking cravings that pointed at them
+ * @param {Array} ids - Intake IDs
+ * @returns {number} Intakes deleted
+ */
+const removeIntakes = async (ids) => {
+  await IntakeRevision.deleteMany({ intakeId: { $in: ids } });
+  await Craving.updateMany({ intakeId: { $in: ids } }, { intakeId: null });
+  const { deletedCount } = await Intake.deleteMany({ _id: { $in: ids } });
+
+  return deletedCount;
+};
+
+// Intakes purged per run, so a large trash cannot hog the database
+const PURGE_BATCH_SIZE = 1000;
+
+/**
+ * Permanently remove intakes that have been in the trash longer than the retention period
+ * @returns {number} Intakes purged
+ */
+const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - env.INTAKE_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const due = await Intake.find({ deletedAt: { $lte: cutoff } }).select('_id').limit(PURGE_BATCH_SIZE);
+  if (!due.length) return 0;
+
+  const purged = await removeIntakes(due.map((intake) => intake._id));
+
+  logger.info(`Purged ${purged} intakes from the trash`);
+
+  return purged;
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  createIntake,
+  syncIntakes,
+  updateIntake,
+  getIntakeHistory,
+  listIntakes,
+  trashIntake,
+  restoreIntake,
+  listTrash,
+  removeIntakes,
+  purgeTrash
+};
@@ -0,0 +1,119 @@
+/**
+ * Intake Export Service
+ * @description Streams a user's intakes as CSV, JSON or NDJSON with timestamps in their timezone
+ */
+
+const Intake = require('../models/intake.model');
+const { toCsvRow } = require('../utils/csv');
+const { resolveTimezone, formatInTimezone } = require('../utils/helpers');
+const { createCalendar } = require('../utils/calendar');
+
+// Column order is part of the format: append new columns, never reorder
+const EXPORT_COLUMNS = [
+  'id', 'loggedAt', 'date', 'time', 'timezone', 'puffs', 'intensity', 'intensityScore',
+  'context', 'mood', 'location', 'notes', 'createdAt', 'product', 'unit', 'nicotineMg',
+  'place', 'latitude', 'longitude'
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * One export row, keys in EXPORT_COLUMNS order
+ * @param {Object} intake - Intake document (productId and placeId populated with the name)
+ * @param {string} tz - IANA timezone
+ */
+const toExportRow = (intake, tz) => ({
+  id: String(intake._id),
+  loggedAt: formatInTimezone(intake.loggedAt, tz),
+  date: formatInTimezone(intake.loggedAt, tz, 'YYYY-MM-DD'),
+  time: formatInTimezone(intake.loggedAt, tz, 'HH:mm'),
+  timezone: tz,
+  puffs: intake.puffs,
+  intensity: intake.intensity,
+  intensityScore: intake.intensityScore,
+  context: intake.context,
+  mood: intake.mood ?? null,
+  location: intake.location ?? null,
+  notes: intake.notes ?? null,
+  createdAt: formatInTimezone(intake.createdAt, tz),
+  product: intake.productId?.name ?? null,
+  unit: intake.unit || 'puff',
+  nicotineMg: intake.nicotineMg ?? null,
+  place: intake.placeId?.name ?? null,
+  latitude: intake.geo?.coordinates[1] ?? null,
+  longitude: intake.geo?.coordinates[0] ?? null
+});
+
+/**
+ * Build the Mongo query for an export
+ * @param {string} userId - User ID
+ * @param {Object} range - { startDate, endDate } calendar days in tz
+ * @param {string} tz - IANA timezone
+ */
+const buildQuery = (userId, { startDate, endDate }, tz) => {
+  const query = { userId };
+
+  if (startDate || endDate) {
+    const calendar = createCalendar({ timezone: tz });
+    query.loggedAt = {};
+    if (startDate) query.loggedAt.$gte = calendar.startOfDay(startDate).toDate();
+    if (endDate) query.loggedAt.$lte = calendar.endOfDay(endDate).toDate();
+  }
+
+  return query;
+};
+
+/**
+ * Stream an export, oldest entry first, without loading the history into memory
+ * @param {string} userId - User ID
+ * @param {Object} options - { format, startDate, endDate, timezone }
+ * @yields {string} Chunks of the file
+ */
+async function* exportIntakes(userId, { format = 'csv', startDate, endDate, timezone } = {}) {
+  const tz = resolveTimezone(timezone);
+  const cursor = Intake.find(buildQuery(userId, { startDate, endDate }, tz))
+    .sort({ loggedAt: 1, _id: 1 })
+    .populate('productId', 'name')
+    .populate('placeId', 'name')
+    .cursor();
+
+  if (format === 'csv') {
+    yield toCsvRow(EXPORT_COLUMNS);
+  } else if (format === 'json') {
+    yield `{"exportedAt":${JSON.stringify(new Date())},"timezone":${JSON.stringify(tz)},"intakes":[`;
+  }
+
+  let first = true;
+  try {
+    for await (const intake of cursor) {
+      const row = toExportRow(intake, tz);
+
+      if (format === 'csv') {
+        yield toCsvRow(EXPORT_COLUMNS.map((column) => row[column]));
+      } else if (format === 'json') {
+        yield `${first ? '' : ','}\n${JSON.stringify(row)}`;
+      } else {
+        yield `${JSON.stringify(row)}\n`;
+      }
+      first = false;
+    }
+  } finally {
+    // Also runs when the client disconnects mid-download
+    await cursor.close();
+  }
+
+  if (format === 'json') {
+    yield '\n]}\n';
+  }
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  toExportRow,
+  exportIntakes
+};
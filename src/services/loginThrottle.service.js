@@ -0,0 +1,223 @@
+/**
+ * Login Throttle Service
+ * @description Failed-login tracking per email and per IP with progressive delays and lockout
+ *
+ * Counters live in a store with async get/recordFailure/lock/reset methods.
+ * The in-memory store suits a single instance; use the Mongo store
+ * (LOGIN_THROTTLE_STORE=mongo) when running several.
+ */
+
+const LoginAttempt = require('../models/loginAttempt.model');
+const { env } = require('../config/env');
+
+const LOCKOUT_MS = env.LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+
+// Failures are counted over a sliding window as long as the lockout
+const WINDOW_MS = LOCKOUT_MS;
+
+// Longest forced wait between attempts before lockout kicks in
+const MAX_DELAY_MS = 30 * 1000;
+
+// Memory store prunes expired keys once it grows past this size
+const MAX_MEMORY_KEYS = 10000;
+
+// Shared IPs (offices, mobile carriers) get more slack than a single account
+const POLICIES = {
+  email: { freeAttempts: 3, lockoutThreshold: env.LOGIN_LOCKOUT_THRESHOLD },
+  ip: { freeAttempts: 10, lockoutThreshold: env.LOGIN_IP_MAX_FAILURES }
+};
+
+/**
+ * Store keeping counters in process memory
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const read = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  const prune = () => {
+    if (records.size <= MAX_MEMORY_KEYS) return;
+    records.forEach((_, key) => read(key));
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const record = read(key);
+      return record && { ...record };
+    },
+    recordFailure: async (key, windowMs) => {
+      prune();
+      const now = new Date();
+      const record = read(key) || { count: 0, lockedUntil: null, expiresAt: now };
+      record.count += 1;
+      record.lastFailureAt = now;
+      record.expiresAt = new Date(Math.max(record.expiresAt, now.getTime() + windowMs));
+      records.set(key, record);
+      return { ...record };
+    },
+    lock: async (key, until) => {
+      const record = read(key) || { count: 0, lastFailureAt: null, expiresAt: until };
+      record.lockedUntil = until;
+      record.expiresAt = new Date(Math.max(record.expiresAt, until));
+      records.set(key, record);
+    },
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+/**
+ * Store keeping counters in MongoDB so every instance sees the same state
+ */
+const createMongoStore = () => ({
+  name: 'mongo',
+  get: async (key) => LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean(),
+  recordFailure: async (key, windowMs) => {
+    const now = new Date();
+
+    // Drop a counter whose window passed but the TTL monitor has not removed yet
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $set: { lastFailureAt: now },
+        $max: { expiresAt: new Date(now.getTime() + windowMs) }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+  },
+  lock: async (key, until) => {
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { lockedUntil: until }, $max: { expiresAt: until } },
+      { upsert: true }
+    );
+  },
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  }
+});
+
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+/**
+ * Get the active store, creating the configured one on first use
+ */
+const getStore = () => {
+  if (!store) {
+    const factory = STORES[env.LOGIN_THROTTLE_STORE];
+    if (!factory) {
+      throw new Error(`Unknown login throttle store: ${env.LOGIN_THROTTLE_STORE}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+/**
+ * Replace the active store
+ * @param {Object} nextStore - Object implementing the store methods
+ */
+const setStore = (nextStore) => {
+  store = nextStore;
+};
+
+const getKeys = (email, ip) => ({
+  email: `email:${String(email).trim().toLowerCase()}`,
+  ip: `ip:${ip}`
+});
+
+/**
+ * Forced wait after the given number of failures (doubles each time)
+ * @param {number} count - Failures in the current window
+ * @param {number} freeAttempts - Failures allowed without any delay
+ */
+const getDelayMs = (count, freeAttempts) => {
+  if (count <= freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (count - freeAttempts - 1), MAX_DELAY_MS);
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {string} email - Email being logged into
+ * @param {string} ip - Client IP
+ * @returns {Object} { allowed, reason: 'locked'|'throttled', scope: 'email'|'ip', retryAfterMs }
+ */
+const checkLogin = async (email, ip) => {
+  const keys = getKeys(email, ip);
+  const now = Date.now();
+
+  for (const scope of Object.keys(keys)) {
+    const record = await getStore().get(keys[scope]);
+    if (!record) continue;
+
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+      return { allowed: false, reason: 'locked', scope, retryAfterMs: record.lockedUntil.getTime() - now };
+    }
+
+    if (record.lastFailureAt) {
+      const waitUntil = record.lastFailureAt.getTime() + getDelayMs(record.count, POLICIES[scope].freeAttempts);
+      if (waitUntil > now) {
+        return { allowed: false, reason: 'throttled', scope, retryAfterMs: waitUntil - now };
+      }
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record a failed login, locking the email or IP once its threshold is reached
+ * @param {string} email - Email being logged into
+ * @param {string} ip - Client IP
+ * @returns {Array<string>} Scopes locked by this failure
+ */
+const recordFailure = async (email, ip) => {
+  const keys = getKeys(email, ip);
+  const lockedScopes = [];
+
+  for (const scope of Object.keys(keys)) {
+    const record = await getStore().recordFailure(keys[scope], WINDOW_MS);
+
+    if (record.count >= POLICIES[scope].lockoutThreshold) {
+      await getStore().lock(keys[scope], new Date(Date.now() + LOCKOUT_MS));
+      lockedScopes.push(scope);
+    }
+  }
+
+  return lockedScopes;
+};
+
+/**
+ * Clear failures and any lockout for an email (successful login or unlock)
+ * @param {string} email - Account email
+ */
+const clearEmail = async (email) => {
+  await getStore().reset(getKeys(email).email);
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getStore,
+  setStore,
+  checkLogin,
+  recordFailure,
+  clearEmail
+};
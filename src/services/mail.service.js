@@ -0,0 +1,176 @@
+/**
+ * Mail Service
+ * @description Transactional email through a pluggable transport
+ *
+ * A transport is any object with `name` and an async `send(message)` method,
+ * where message is `{ from, to, subject, text }`. Console and file transports
+ * are built in; swap in a real provider (or a test double) with setTransport().
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { env } = require('../config/env');
+const { logger } = require('../config/logger');
+
+/**
+ * Transport that writes messages to the application log
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    logger.info(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: uuidv4() };
+  }
+});
+
+/**
+ * Transport that writes each message as a JSON file (local outbox)
+ * @param {Object} options - { dir }
+ */
+const createFileTransport = ({ dir = env.MAIL_DIR } = {}) => ({
+  name: 'file',
+  send: async (message) => {
+    const id = uuidv4();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${Date.now()}-${id}.json`),
+      JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { id };
+  }
+});
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+/**
+ * Get the active transport, creating the configured one on first use
+ */
+const getTransport = () => {
+  if (!transport) {
+    const factory = TRANSPORTS[env.MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${env.MAIL_TRANSPORT}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport
+ * @param {Object} nextTransport - Object implementing send(message)
+ */
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text }
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const active = getTransport();
+  const result = await active.send({ from: env.MAIL_FROM, to, subject, text });
+  logger.info(`Mail sent via ${active.name}: "${subject}" to ${to}`);
+  return result;
+};
+
+/**
+ * Send password reset instructions
+ * @param {Object} user - User document
+ * @param {string} token - Raw reset token
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${env.APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your SmokeLess AI password',
+    text: `Hi ${user.name},
+
+We received a request to reset your password. Use the link below within ${env.PASSWORD_RESET_EXPIRES_MINUTES} minutes:
+
+${link}
+
+If you didn't ask for this, you can ignore this email — your password won't change.`
+  });
+};
+
+/**
+ * Send an email address verification link
+ * @param {Object} user - User document
+ * @param {string} token - Raw verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = `${env.APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your SmokeLess AI email address',
+    text: `Hi ${user.name},
+
+Welcome to SmokeLess AI! Please confirm your email address within ${env.EMAIL_VERIFICATION_EXPIRES_HOURS} hours:
+
+${link}
+
+Some features stay locked until your email is verified.`
+  });
+};
+
+/**
+ * Send a lockout notice with a link to unlock the account
+ * @param {Object} user - User document
+ * @param {string} token - Raw unlock token
+ */
+const sendAccountUnlockEmail = (user, token) => {
+  const link = `${env.APP_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your SmokeLess AI login has been locked',
+    text: `Hi ${user.name},
+
+We locked logins to your account for ${env.LOGIN_LOCKOUT_MINUTES} minutes after several failed password attempts.
+
+If this was you, unlock it now:
+
+${link}
+
+If it wasn't you, consider resetting your password.`
+  });
+};
+
+/**
+ * Confirm a deletion request and explain how to undo it
+ * @param {Object} user - User document
+ * @param {Date} scheduledFor - When the data will be purged
+ */
+const sendAccountDeletionEmail = (user, scheduledFor) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your SmokeLess AI account will be deleted',
+    text: `Hi ${user.name},
+
+We received your request to delete your account. All of your data will be permanently erased on ${scheduledFor.toUTCString()}.
+
+Changed your mind? Log in before then and restore your account from your profile.`
+  });
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountUnlockEmail,
+  sendAccountDeletionEmail
+};
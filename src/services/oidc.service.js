@@ -0,0 +1,283 @@
+/**
+ * OIDC Service
+ * @description Generic OpenID Connect client (authorization code + PKCE) and account linking
+ *
+ * Providers are plain data, loaded from OIDC_PROVIDERS:
+ *   {
+ *     "name": "google",                       // used in /api/auth/oidc/:provider
+ *     "issuer": "https://accounts.google.com",
+ *     "clientId": "...",
+ *     "clientSecret": "...",                  // optional for public clients
+ *     "scopes": ["openid", "email", "profile"] // optional
+ *   }
+ * Endpoints are read from the issuer's discovery document unless given
+ * explicitly (authorizationEndpoint, tokenEndpoint, userinfoEndpoint, jwksUri).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const { env } = require('../config/env');
+const { logger } = require('../config/logger');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+const HTTP_TIMEOUT_MS = 10000;
+
+let providers = new Map();
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Replace the configured providers
+ * @param {Array<Object>} configs - Provider configurations
+ */
+const configureProviders = (configs) => {
+  providers = new Map(configs.map((config) => [config.name, config]));
+  discoveryCache.clear();
+  jwksCache.clear();
+};
+
+configureProviders(JSON.parse(env.OIDC_PROVIDERS));
+
+/**
+ * List configured provider names
+ */
+const listProviders = () => Array.from(providers.keys());
+
+const getProviderConfig = (name) => {
+  const config = providers.get(name);
+  if (!config) {
+    throw new ApiError(`Unknown sign-in provider: ${name}`, 404);
+  }
+  return config;
+};
+
+/**
+ * Resolve a provider's endpoints, using discovery where not configured
+ * @param {string} name - Provider name
+ */
+const getProvider = async (name) => {
+  const config = getProviderConfig(name);
+
+  if (!discoveryCache.has(name)) {
+    let metadata = {};
+    if (!config.authorizationEndpoint || !config.tokenEndpoint || !config.jwksUri) {
+      const url = `${config.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+      const { data } = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+      metadata = data;
+    }
+
+    discoveryCache.set(name, {
+      scopes: DEFAULT_SCOPES,
+      redirectUri: `${env.API_URL}/api/auth/oidc/${name}/callback`,
+      ...config,
+      authorizationEndpoint: config.authorizationEndpoint || metadata.authorization_endpoint,
+      tokenEndpoint: config.tokenEndpoint || metadata.token_endpoint,
+      userinfoEndpoint: config.userinfoEndpoint || metadata.userinfo_endpoint,
+      jwksUri: config.jwksUri || metadata.jwks_uri
+    });
+  }
+
+  return discoveryCache.get(name);
+};
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Build the authorization redirect and the values to keep until the callback
+ * @param {string} name - Provider name
+ * @returns {Object} { url, pending: { provider, state, nonce, codeVerifier } }
+ */
+const createAuthorizationRequest = async (name) => {
+  const provider = await getProvider(name);
+
+  const pending = {
+    provider: name,
+    state: randomToken(),
+    nonce: randomToken(),
+    codeVerifier: randomToken()
+  };
+
+  const codeChallenge = crypto.createHash('sha256').update(pending.codeVerifier).digest('base64url');
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes.join(' '),
+    state: pending.state,
+    nonce: pending.nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return { url: `${provider.authorizationEndpoint}?${params.toString()}`, pending };
+};
+
+/**
+ * Find the signing key for an ID token, refetching the JWKS once on a miss
+ * @param {Object} provider - Resolved provider
+ * @param {string} kid - Key ID from the token header
+ */
+const getSigningKey = async (provider, kid) => {
+  const findKey = (keys) => keys.find((key) => !kid || key.kid === kid);
+
+  let keys = jwksCache.get(provider.jwksUri);
+  if (!keys || !findKey(keys)) {
+    const { data } = await axios.get(provider.jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    keys = data.keys || [];
+    jwksCache.set(provider.jwksUri, keys);
+  }
+
+  const jwk = findKey(keys);
+  if (!jwk) {
+    throw new ApiError('Sign-in provider key not found', 401);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {Object} provider - Resolved provider
+ * @param {string} idToken - ID token from the token endpoint
+ * @param {string} nonce - Nonce sent with the authorization request
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new ApiError('Invalid ID token from sign-in provider', 401);
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  try {
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: provider.issuer,
+      audience: provider.clientId
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new ApiError('ID token nonce mismatch', 401);
+    }
+
+    return claims;
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(`Invalid ID token from sign-in provider: ${error.message}`, 401);
+  }
+};
+
+/**
+ * Exchange an authorization code and return the verified identity claims
+ * @param {Object} pending - Values saved by createAuthorizationRequest
+ * @param {Object} params - Callback query ({ code, state })
+ * @returns {Object} { provider, subject, email, emailVerified, name }
+ */
+const completeAuthorization = async (pending, { code, state }) => {
+  if (!state || state !== pending.state) {
+    throw new ApiError('Sign-in state mismatch, please try again', 400);
+  }
+  if (!code) {
+    throw new ApiError('Authorization code is missing', 400);
+  }
+
+  const provider = await getProvider(pending.provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier,
+    ...(provider.clientSecret && { client_secret: provider.clientSecret })
+  });
+
+  let tokens;
+  try {
+    const { data } = await axios.post(provider.tokenEndpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      timeout: HTTP_TIMEOUT_MS
+    });
+    tokens = data;
+  } catch (error) {
+    logger.error(`OIDC token exchange failed for ${pending.provider}:`, error.response?.data || error.message);
+    throw new ApiError('Sign-in provider rejected the authorization code', 401);
+  }
+
+  const claims = await verifyIdToken(provider, tokens.id_token, pending.nonce);
+
+  // Some providers only put the email in the userinfo response
+  let profile = claims;
+  if (!claims.email && provider.userinfoEndpoint && tokens.access_token) {
+    const { data } = await axios.get(provider.userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+      timeout: HTTP_TIMEOUT_MS
+    });
+    if (data.sub === claims.sub) profile = { ...data, ...claims, email: data.email };
+  }
+
+  return {
+    provider: pending.provider,
+    subject: claims.sub,
+    email: profile.email ? profile.email.toLowerCase() : null,
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.name || profile.given_name || null
+  };
+};
+
+/**
+ * Find the user for an external identity, linking or creating an account
+ * @param {Object} identity - Result of completeAuthorization
+ * @returns {Object} { user, created, linked }
+ */
+const findOrCreateUser = async (identity) => {
+  const { provider, subject, email, emailVerified, name } = identity;
+
+  const existing = await User.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+  if (existing) {
+    return { user: existing, created: false, linked: false };
+  }
+
+  if (!email) {
+    throw new ApiError('Sign-in provider did not share an email address', 400);
+  }
+
+  const byEmail = await User.findOne({ email });
+  if (byEmail) {
+    // Only link when both sides have proven ownership of the address
+    if (!emailVerified || !byEmail.emailVerified) {
+      throw new ApiError(
+        'An account with this email already exists. Log in with your password and verify your email to link this provider.',
+        409
+      );
+    }
+
+    byEmail.identities.push({ provider, subject, email });
+    await byEmail.save();
+    logger.info(`Linked ${provider} identity to user: ${byEmail.email}`);
+    return { user: byEmail, created: false, linked: true };
+  }
+
+  const user = await User.create({
+    email,
+    name: (name || email.split('@')[0]).slice(0, 50),
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : null,
+    identities: [{ provider, subject, email }]
+  });
+  logger.info(`New user registered via ${provider}: ${email}`);
+  return { user, created: true, linked: false };
+};
+
+module.exports = {
+  configureProviders,
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization,
+  findOrCreateUser
+};
@@ -0,0 +1,45 @@
+/**
+ * Permission Service
+ * @description Role permission checks including resource ownership and coach assignments
+ */
+
+const User = require('../models/user.model');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Access level a role has for a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name
+ * @returns {string|null} 'own', 'assigned', 'any' or null when not granted
+ */
+const getAccessLevel = (role, permission) => {
+  return ROLE_PERMISSIONS[role]?.[permission] || null;
+};
+
+/**
+ * Whether a user has been assigned as coach of another user
+ * @param {string} coachId - Coach user ID
+ * @param {string} userId - Patient user ID
+ */
+const isAssignedCoach = async (coachId, userId) => {
+  return Boolean(await User.exists({ _id: userId, coaches: coachId }));
+};
+
+/**
+ * Check whether a user may use a permission on another user's data
+ * @param {Object} user - Acting user
+ * @param {string} permission - Permission name
+ * @param {string} [ownerId] - Owner of the resource; omit for non-resource actions
+ */
+const can = async (user, permission, ownerId) => {
+  const level = getAccessLevel(user.role, permission);
+
+  if (!level) return false;
+  if (level === 'any' || ownerId === undefined) return true;
+  if (String(ownerId) === String(user._id)) return true;
+  if (level === 'assigned') return isAssignedCoach(user._id, ownerId);
+
+  return false;
+};
+
+module.exports = { getAccessLevel, isAssignedCoach, can };
@@ -0,0 +1,174 @@
+/**
+ * Place Service
+ * @description Named places, matching intakes to them and ranking places by consumption
+ */
+
+const mongoose = require('mongoose');
+const { Place, LOCATION_PRECISION } = require('../models/place.model');
+const Intake = require('../models/intake.model');
+const User = require('../models/user.model');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+const { escapeRegex } = require('../utils/helpers');
+
+const EARTH_RADIUS_METERS = 6378100;
+
+const toPoint = ({ latitude, longitude }) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+/**
+ * Round coordinates to the user's location precision
+ * @param {Object} coordinates - { latitude, longitude }
+ * @param {string} precision - Key of LOCATION_PRECISION
+ * @returns {Object|undefined} GeoJSON point, or undefined when location is off
+ */
+const coarsenCoordinates = (coordinates, precision) => {
+  const decimals = LOCATION_PRECISION[precision];
+  if (decimals == null) return undefined;
+
+  const round = (value) => Number(value.toFixed(decimals));
+  return toPoint({ latitude: round(coordinates.latitude), longitude: round(coordinates.longitude) });
+};
+
+// Case-insensitive whole-text patterns, so "office" and "Office" are the same place
+const namePatterns = (names) => names.filter(Boolean).map((name) => new RegExp(`^${escapeRegex(name.trim())}$`, 'i'));
+
+/**
+ * Known place for a location: the nearest place whose radius contains the
+ * coordinates, else a place whose name or alias is the free-text location
+ * @param {string} userId - User ID
+ * @param {Object} location - { coordinates, location }
+ * @returns {Object|null} Place document
+ */
+const matchPlace = async (userId, { coordinates, location }) => {
+  if (coordinates) {
+    const [nearest] = await Place.aggregate([
+      {
+        $geoNear: {
+          near: toPoint(coordinates),
+          distanceField: 'distance',
+          key: 'center',
+          query: { userId: new mongoose.Types.ObjectId(userId) },
+          spherical: true
+        }
+      },
+      { $match: { $expr: { $lte: ['$distance', '$radiusMeters'] } } },
+      { $limit: 1 }
+    ]);
+    if (nearest) return Place.hydrate(nearest);
+  }
+
+  if (location?.trim()) {
+    const patterns = namePatterns([location]);
+    return Place.findOne({ userId, $or: [{ name: { $in: patterns } }, { aliases: { $in: patterns } }] });
+  }
+
+  return null;
+};
+
+/**
+ * Place and stored coordinates of a new intake. Raw coordinates are used for
+ * matching and then coarsened; nothing is kept if the user has not opted in.
+ * @param {string} userId - User ID
+ * @param {Object} data - Validated intake (optional coordinates, location, placeId)
+ * @returns {Object} { placeId, geo }
+ */
+const locationFields = async (userId, { coordinates, location, placeId }) => {
+  let precision = 'off';
+  if (coordinates) {
+    const user = await User.findById(userId).select('profile.locationPrecision');
+    precision = user?.profile?.locationPrecision || 'off';
+  }
+  const usableCoordinates = precision === 'off' ? undefined : coordinates;
+
+  let place;
+  if (placeId) {
+    place = await Place.findOne({ _id: placeId, userId });
+    if (!place) {
+      throw new ApiError('Place not found', 400);
+    }
+  } else {
+    place = await matchPlace(userId, { coordinates: usableCoordinates, location });
+  }
+
+  return {
+    placeId: place?._id || null,
+    geo: usableCoordinates && coarsenCoordinates(usableCoordinates, precision)
+  };
+};
+
+/**
+ * Link the user's unmatched intakes that fall inside a place or use one of its names
+ * @param {Object} place - Place document
+ * @returns {number} Intakes matched
+ */
+const assignUnmatchedIntakes = async (place) => {
+  const [longitude, latitude] = place.center.coordinates;
+
+  const { modifiedCount } = await Intake.updateMany(
+    {
+      userId: place.userId,
+      placeId: null,
+      $or: [
+        { geo: { $geoWithin: { $centerSphere: [[longitude, latitude], place.radiusMeters / EARTH_RADIUS_METERS] } } },
+        { location: { $in: namePatterns([place.name, ...place.aliases]) } }
+      ]
+    },
+    { placeId: place._id }
+  );
+
+  return modifiedCount;
+};
+
+/**
+ * A user's places
+ * @param {string} userId - User ID
+ */
+const listPlaces = async (userId) => {
+  return Place.find({ userId }).sort({ name: 1 });
+};
+
+/**
+ * Add a place and match earlier intakes to it
+ * @param {string} userId - User ID
+ * @param {Object} data - Validated place ({ name, aliases, latitude, longitude, radiusMeters })
+ * @returns {Object} { place, matchedIntakes }
+ */
+const createPlace = async (userId, { latitude, longitude, ...data }) => {
+  const place = await Place.create({ ...data, userId, center: toPoint({ latitude, longitude }) });
+
+  return { place, matchedIntakes: await assignUnmatchedIntakes(place) };
+};
+
+/**
+ * Update a place; intakes already matched to it stay matched
+ * @param {Object} place - Place document
+ * @param {Object} updates - Validated partial place
+ * @returns {Object} { place, matchedIntakes }
+ */
+const updatePlace = async (place, { latitude, longitude, ...updates }) => {
+  place.set(updates);
+  if (latitude !== undefined && longitude !== undefined) {
+    place.center = toPoint({ latitude, longitude });
+  }
+  await place.save();
+
+  return { place, matchedIntakes: await assignUnmatchedIntakes(place) };
+};
+
+/**
+ * Delete a place and unlink its intakes
+ * @param {Object} place - Place document
+ */
+const deletePlace = async (place) => {
+  await Intake.updateMany({ placeId: place._id }, { placeId: null }).setOptions({ withDeleted: true });
+  await place.deleteOne();
+};
+
+module.exports = {
+  coarsenCoordinates,
+  matchPlace,
+  locationFields,
+  listPlaces,
+  createPlace,
+  updatePlace,
+  deletePlace
+};
@@ -3,7 +3,11 @@
  * @description Advanced craving prediction engine with ML-like scoring
  */
 
+const mongoose = require('mongoose');
 const Intake = require('../models/intake.model');
+const { Craving } = require('../models/craving.model');
+const { getUserCalendar } = require('./calendar.service');
+const rollupService = require('./rollup.service');
 const dayjs = require('dayjs');
 const { logger } = require('../config/logger');
 
@@ -15,12 +19,17 @@ const predictCraving = async (userId) => {
   try {
     // Get last 14 days of data for pattern analysis
     const twoWeeksAgo = dayjs().subtract(14, 'day').toDate();
-    const intakes = await Intake.find({
-      userId,
-      loggedAt: { $gte: twoWeeksAgo }
-    }).sort({ loggedAt: 1 });
+    const [intakes, cravings, calendar] = await Promise.all([
+      Intake.find({ userId, loggedAt: { $gte: twoWeeksAgo } }).sort({ loggedAt: 1 }),
+      Craving.find({ userId, loggedAt: { $gte: twoWeeksAgo } }).sort({ loggedAt: 1 }),
+      getUserCalendar(userId)
+    ]);
 
-    if (intakes.length < 5) {
+    // Cravings given in to already show up as intakes; resisted ones are
+    // cravings the intake log never sees
+    const resisted = cravings.filter((craving) => craving.outcome === 'resisted');
+
+    if (intakes.length + resisted.length < 5) {
       return {
         probability: null,
         confidence: 'low',
@@ -34,18 +43,30 @@ const predictCraving = async (userId) => {
       };
     }
 
-    const currentHour = dayjs().hour();
-    const currentDay = dayjs().day();
-    const currentMinute = dayjs().minute();
+    // Hours and days are the user's local ones
+    const now = calendar.now();
+    const currentHour = now.hour();
+    const currentDay = now.day();
+    const currentMinute = now.minute();
+
+    // A resisted craving weighs as much as a typical session
+    const sessionWeight = intakes.length
+      ? intakes.reduce((s, i) => s + i.puffs, 0) / intakes.length
+      : 1;
 
     // ========== FACTOR 1: Hourly Pattern (40% weight) ==========
     const hourlyWeights = Array(24).fill(0);
     const hourlySessionCounts = Array(24).fill(0);
     intakes.forEach((intake) => {
-      const hour = dayjs(intake.loggedAt).hour();
+      const hour = calendar.hour(intake.loggedAt);
       hourlyWeights[hour] += intake.puffs;
       hourlySessionCounts[hour] += 1;
     });
+    resisted.forEach((craving) => {
+      const hour = calendar.hour(craving.loggedAt);
+      hourlyWeights[hour] += sessionWeight;
+      hourlySessionCounts[hour] += 1;
+    });
 
     const maxHourWeight = Math.max(...hourlyWeights, 1);
     const normalizedHourly = hourlyWeights.map(w => w / maxHourWeight);
@@ -54,16 +75,21 @@ const predictCraving = async (userId) => {
     // ========== FACTOR 2: Day of Week Pattern (15% weight) ==========
     const dayWeights = Array(7).fill(0);
     intakes.forEach((intake) => {
-      const day = dayjs(intake.loggedAt).day();
+      const day = calendar.weekday(intake.loggedAt);
       dayWeights[day] += intake.puffs;
     });
+    resisted.forEach((craving) => {
+      dayWeights[calendar.weekday(craving.loggedAt)] += sessionWeight;
+    });
     const maxDayWeight = Math.max(...dayWeights, 1);
     const normalizedDaily = dayWeights.map(w => w / maxDayWeight);
     const dayFactor = normalizedDaily[currentDay];
 
     // ========== FACTOR 3: Time Since Last Intake (25% weight) ==========
     const lastIntake = intakes[intakes.length - 1];
-    const hoursSinceLastIntake = dayjs().diff(dayjs(lastIntake.loggedAt), 'hour', true);
+    const hoursSinceLastIntake = lastIntake
+      ? dayjs().diff(dayjs(lastIntake.loggedAt), 'hour', true)
+      : dayjs().diff(dayjs(twoWeeksAgo), 'hour', true);
     
     // Calculate average gap between intakes
     const gaps = [];
@@ -81,6 +107,9 @@ const predictCraving = async (userId) => {
     intakes.forEach((intake) => {
       contextCounts[intake.context] = (contextCounts[intake.context] || 0) + 1;
     });
+    resisted.forEach((craving) => {
+      contextCounts[craving.context] = (contextCounts[craving.context] || 0) + 1;
+    });
     const totalContexts = Object.values(contextCounts).reduce((a, b) => a + b, 0);
     const contextEntropy = Object.values(contextCounts).reduce((entropy, count) => {
       const p = count / totalContexts;
@@ -146,6 +175,9 @@ const predictCraving = async (userId) => {
     if (intakes.length > 50 && gaps.length > 20) confidence = 'high';
     else if (intakes.length < 15) confidence = 'low';
 
+    // ========== WHAT HAS WORKED BEFORE ==========
+    const bestCopingTechnique = findBestCopingTechnique(cravings);
+
     // ========== RISK LEVEL & RECOMMENDATIONS ==========
     const riskLevel = probability > 0.7 ? 'high' : probability > 0.4 ? 'moderate' : 'low';
 
@@ -166,7 +198,8 @@ const predictCraving = async (userId) => {
         hoursSinceLastIntake: Math.round(hoursSinceLastIntake * 10) / 10,
         averageGapHours: Math.round(avgGap * 10) / 10,
         currentHour,
-        peakHour: hourlyWeights.indexOf(Math.max(...hourlyWeights))
+        peakHour: hourlyWeights.indexOf(Math.max(...hourlyWeights)),
+        timezone: calendar.timezone
       },
       
       nextLikelyTime: {
@@ -180,15 +213,25 @@ const predictCraving = async (userId) => {
         mostCommon: likelyTrigger ? {
           context: likelyTrigger[0],
           frequency: likelyTrigger[1],
-          percentage: Math.round((likelyTrigger[1] / intakes.length) * 100)
+          percentage: Math.round((likelyTrigger[1] / totalContexts) * 100)
         } : null,
         timeBasedHint: timeBasedTrigger
       },
       
-      recommendation: getRecommendation(probability, hoursSinceLastIntake, avgGap, riskLevel),
+      recommendation: withCopingTip(
+        getRecommendation(probability, hoursSinceLastIntake, avgGap, riskLevel),
+        bestCopingTechnique
+      ),
+
+      cravings: {
+        logged: cravings.length,
+        resisted: resisted.length,
+        resistRate: cravings.length ? Math.round((resisted.length / cravings.length) * 100) : null,
+        bestCopingTechnique
+      },
       
       historicalContext: {
-        totalDataPoints: intakes.length,
+        totalDataPoints: intakes.length + resisted.length,
         daysOfData: 14,
         averagePerDay: Math.round((intakes.reduce((s, i) => s + i.puffs, 0) / 14) * 10) / 10
       }
@@ -250,36 +293,142 @@ const getRecommendation = (probability, hoursSince, avgGap, riskLevel) => {
 };
 
 /**
- * Get craving heatmap data for visualization
+ * Coping technique with the best resist rate (used at least twice)
+ * @param {Array} cravings - Craving documents
+ */
+const findBestCopingTechnique = (cravings) => {
+  const stats = {};
+  cravings.forEach((craving) => {
+    if (!craving.copingTechnique) return;
+    const entry = stats[craving.copingTechnique] || { used: 0, resisted: 0 };
+    entry.used += 1;
+    if (craving.outcome === 'resisted') entry.resisted += 1;
+    stats[craving.copingTechnique] = entry;
+  });
+
+  const [best] = Object.entries(stats)
+    .filter(([, entry]) => entry.used >= 2 && entry.resisted > 0)
+    .map(([technique, entry]) => ({
+      technique,
+      used: entry.used,
+      resisted: entry.resisted,
+      successRate: Math.round((entry.resisted / entry.used) * 100)
+    }))
+    .sort((a, b) => b.successRate - a.successRate || b.resisted - a.resisted);
+
+  return best || null;
+};
+
+/**
+ * Point the user at the technique that has worked for them before
+ */
+const withCopingTip = (recommendation, bestCopingTechnique) => {
+  if (!bestCopingTechnique) return recommendation;
+
+  const name = bestCopingTechnique.technique.replace(/_/g, ' ');
+  const technique = name.charAt(0).toUpperCase() + name.slice(1);
+  return {
+    ...recommendation,
+    personalTip: `${technique} helped you resist ${bestCopingTechnique.resisted} of ${bestCopingTechnique.used} cravings. Try it again.`
+  };
+};
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const HEATMAP_METRICS = ['puffs', 'sessions', 'cravings'];
+
+// none: raw values; max: 0-100 against the busiest slot; share: percent of the total;
+// average: per occurrence of the weekday in the window
+const HEATMAP_NORMALIZATIONS = ['none', 'max', 'share', 'average'];
+
+/**
+ * Totals per weekday (0 = Sunday) and local hour
+ * @param {string} userId - User ID
+ * @param {Object} calendar - The user's calendar
+ * @param {Object} window - { from, to } days (YYYY-MM-DD)
+ * @param {string} metric - puffs, sessions or cravings
+ * @returns {Array} 7x24 grid
+ */
+const buildWeekHourGrid = async (userId, calendar, { from, to }, metric) => {
+  const grid = Array(7).fill(null).map(() => Array(24).fill(0));
+
+  if (metric === 'cravings') {
+    const slots = await Craving.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          loggedAt: { $gte: calendar.startOfDay(from).toDate(), $lte: calendar.endOfDay(to).toDate() }
+        }
+      },
+      {
+        $group: {
+          _id: { day: calendar.weekdayExpression('$loggedAt'), hour: calendar.hourExpression('$loggedAt') },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    slots.forEach(({ _id, count }) => { grid[_id.day][_id.hour] = count; });
+    return grid;
+  }
+
+  const rollups = await rollupService.loadRollups(userId, calendar, from, to);
+  const hourly = metric === 'sessions' ? 'hourlySessions' : 'hourlyPuffs';
+  rollups.forEach((rollup) => {
+    const day = calendar.weekday(rollup.date);
+    rollup[hourly].forEach((value, hour) => { grid[day][hour] += value; });
+  });
+  return grid;
+};
+
+/**
+ * Get craving heatmap data for visualization: a weekday x hour grid in the user's
+ * timezone, rows starting on their week start
+ * @param {string} userId - User ID
+ * @param {Object} options - { days (window ending today, default 14), metric, normalize, threshold (hotspot cut-off, 0-100 of the busiest slot) }
  */
-const getCravingHeatmap = async (userId) => {
+const getCravingHeatmap = async (userId, { days = 14, metric = 'puffs', normalize = 'max', threshold = 50 } = {}) => {
   try {
-    const twoWeeksAgo = dayjs().subtract(14, 'day').toDate();
-    const intakes = await Intake.find({
-      userId,
-      loggedAt: { $gte: twoWeeksAgo }
-    });
+    const calendar = await getUserCalendar(userId);
+    const to = calendar.today();
+    const from = calendar.addDays(to, -(days - 1));
 
-    // Create 7x24 grid (day x hour)
-    const heatmap = Array(7).fill(null).map(() => Array(24).fill(0));
-    
-    intakes.forEach((intake) => {
-      const day = dayjs(intake.loggedAt).day();
-      const hour = dayjs(intake.loggedAt).hour();
-      heatmap[day][hour] += intake.puffs;
-    });
+    const grid = await buildWeekHourGrid(userId, calendar, { from, to }, metric);
+
+    // Rows in the user's week order
+    const firstDay = DAY_NAMES.findIndex((name) => name.toLowerCase() === calendar.weekStart);
+    const order = Array.from({ length: 7 }, (_, i) => (firstDay + i) % 7);
+    const dayNames = order.map((day) => DAY_NAMES[day]);
+    const heatmap = order.map((day) => grid[day]);
 
-    // Normalize
     const maxVal = Math.max(...heatmap.flat(), 1);
-    const normalizedHeatmap = heatmap.map(row => 
-      row.map(val => Math.round((val / maxVal) * 100))
-    );
+    const total = heatmap.flat().reduce((sum, value) => sum + value, 0);
+    const occurrences = order.map((day) => calendar.eachDay(from, to).filter((key) => calendar.weekday(key) === day).length);
+
+    const scale = {
+      none: (value) => value,
+      max: (value) => Math.round((value / maxVal) * 100),
+      share: (value) => (total ? Math.round((value / total) * 1000) / 10 : 0),
+      average: (value, row) => (occurrences[row] ? Math.round((value / occurrences[row]) * 10) / 10 : 0)
+    }[normalize];
+
+    // Hotspots are picked against the busiest slot, whatever the normalization
+    const relative = heatmap.map((row) => row.map((value) => Math.round((value / maxVal) * 100)));
 
     return {
-      heatmap: normalizedHeatmap,
-      days: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+      window: { from, to, days },
+      metric,
+      normalize,
+      timezone: calendar.timezone,
+      weekStart: calendar.weekStart,
+      heatmap: heatmap.map((row, rowIndex) => row.map((value) => scale(value, rowIndex))),
+      days: dayNames.map((name) => name.slice(0, 3)),
       hours: Array.from({ length: 24 }, (_, i) => `${i}:00`),
-      hotspots: findHotspots(normalizedHeatmap)
+      total,
+      max: Math.max(...heatmap.flat()),
+      hotspots: findHotspots(relative, threshold, dayNames).map((spot) => {
+        const row = dayNames.indexOf(spot.day);
+        return { ...spot, value: scale(heatmap[row][spot.hour], row) };
+      })
     };
   } catch (error) {
     logger.error('Error generating heatmap:', error);
@@ -289,14 +438,16 @@ const getCravingHeatmap = async (userId) => {
 
 /**
  * Find top craving hotspots from heatmap
+ * @param {Array} heatmap - 7x24 grid scaled 0-100 against its busiest slot
+ * @param {number} threshold - Slots above this are hotspots
+ * @param {Array} days - Day name of each row
  */
-const findHotspots = (heatmap) => {
+const findHotspots = (heatmap, threshold = 50, days = DAY_NAMES) => {
   const spots = [];
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   
   heatmap.forEach((row, dayIndex) => {
     row.forEach((value, hourIndex) => {
-      if (value > 50) { // Only significant hotspots
+      if (value > threshold) { // Only significant hotspots
         spots.push({
           day: days[dayIndex],
           hour: hourIndex,
@@ -310,4 +461,10 @@ const findHotspots = (heatmap) => {
   return spots.sort((a, b) => b.intensity - a.intensity).slice(0, 5);
 };
 
-module.exports = { predictCraving, getCravingHeatmap };
+module.exports = {
+  HEATMAP_METRICS,
+  HEATMAP_NORMALIZATIONS,
+  predictCraving,
+  getCravingHeatmap,
+  findHotspots
+};
@@ -0,0 +1,173 @@
+/**
+ * Preset Service
+ * @description Quick-log presets and preset suggestions learned from the user's intake habits
+ */
+
+const mongoose = require('mongoose');
+const dayjs = require('dayjs');
+const Preset = require('../models/preset.model');
+const Intake = require('../models/intake.model');
+const productService = require('./product.service');
+const { getUserCalendar } = require('./calendar.service');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+
+const MAX_PRESETS = 20;
+
+// Intake fields a preset fills in
+const PRESET_FIELDS = ['puffs', 'intensity', 'context', 'productId', 'location'];
+
+// Suggestions look at recent habits and need a combination to repeat a few times
+const SUGGESTION_WINDOW_DAYS = 60;
+const MIN_SUGGESTION_LOGS = 3;
+
+const TIMES_OF_DAY = [
+  { name: 'night', until: 5 },
+  { name: 'morning', until: 12 },
+  { name: 'afternoon', until: 17 },
+  { name: 'evening', until: 22 },
+  { name: 'night', until: 24 }
+];
+
+const timeOfDay = (hour) => TIMES_OF_DAY.find((slot) => hour < slot.until).name;
+
+// Most frequent value of a list
+const mode = (values) => {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * A user's presets, most used first
+ * @param {string} userId - User ID
+ */
+const listPresets = async (userId) => {
+  return Preset.find({ userId }).sort({ usageCount: -1, createdAt: 1 });
+};
+
+/**
+ * Add a preset
+ * @param {string} userId - User ID
+ * @param {Object} data - Validated preset
+ */
+const createPreset = async (userId, data) => {
+  if (await Preset.countDocuments({ userId }) >= MAX_PRESETS) {
+    throw new ApiError(`At most ${MAX_PRESETS} presets`, 400);
+  }
+
+  if (data.productId) {
+    await productService.resolveIntakeProduct(userId, data.productId);
+  }
+
+  return Preset.create({ ...data, userId });
+};
+
+/**
+ * Update a preset
+ * @param {Object} preset - Preset document
+ * @param {Object} updates - Validated partial preset
+ */
+const updatePreset = async (preset, updates) => {
+  if (updates.productId) {
+    await productService.resolveIntakeProduct(preset.userId, updates.productId);
+  }
+
+  preset.set(updates);
+  await preset.save();
+  return preset;
+};
+
+/**
+ * Intake to log from a preset; overrides win over the preset's values
+ * @param {Object} preset - Preset document
+ * @param {Object} overrides - Validated partial intake
+ * @returns {Object} Intake data for createIntake
+ */
+const buildIntake = (preset, overrides = {}) => {
+  const data = {};
+
+  PRESET_FIELDS.forEach((field) => {
+    if (preset[field] != null) data[field] = field === 'productId' ? String(preset[field]) : preset[field];
+  });
+
+  return { ...data, ...overrides };
+};
+
+/**
+ * Count a use of a preset (most used presets are listed first)
+ * @param {Object} preset - Preset document
+ */
+const recordUse = async (preset) => {
+  await Preset.updateOne({ _id: preset._id }, { $inc: { usageCount: 1 }, lastUsedAt: new Date() });
+};
+
+/**
+ * Suggest presets from the combinations the user logs most often, those usual
+ * at the current time of day first. Combinations that already have a preset are skipped.
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit, now }
+ * @returns {Array} Suggested presets with how they were learned
+ */
+const suggestPresets = async (userId, { limit = 3, now = new Date() } = {}) => {
+  const calendar = await getUserCalendar(userId);
+  const since = dayjs(now).subtract(SUGGESTION_WINDOW_DAYS, 'day').toDate();
+
+  const [combinations, presets] = await Promise.all([
+    Intake.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), loggedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: {
+            intensity: '$intensity',
+            context: '$context',
+            productId: { $ifNull: ['$productId', null] },
+            location: { $ifNull: ['$location', null] }
+          },
+          count: { $sum: 1 },
+          puffs: { $push: '$puffs' },
+          hours: { $push: calendar.hourExpression('$loggedAt') }
+        }
+      },
+      { $match: { count: { $gte: MIN_SUGGESTION_LOGS } } },
+      { $sort: { count: -1 } },
+      { $limit: 20 }
+    ]),
+    Preset.find({ userId })
+  ]);
+
+  const key = ({ intensity, context, productId, location }) =>
+    [intensity, context, productId ? String(productId) : '', location || ''].join('|');
+  const covered = new Set(presets.map(key));
+  const currentTimeOfDay = timeOfDay(calendar.hour(now));
+
+  return combinations
+    .filter((combination) => !covered.has(key(combination._id)))
+    .map(({ _id, count, puffs, hours }) => {
+      const usualTime = mode(hours.map(timeOfDay));
+
+      return {
+        name: `${usualTime.charAt(0).toUpperCase()}${usualTime.slice(1)} ${_id.context}`,
+        puffs: mode(puffs),
+        intensity: _id.intensity,
+        context: _id.context,
+        productId: _id.productId,
+        location: _id.location,
+        basedOnLogs: count,
+        timeOfDay: usualTime,
+        typicalHour: mode(hours),
+        matchesNow: usualTime === currentTimeOfDay
+      };
+    })
+    .sort((a, b) => (b.matchesNow - a.matchesNow) || (b.basedOnLogs - a.basedOnLogs))
+    .slice(0, limit);
+};
+
+module.exports = {
+  MAX_PRESETS,
+  listPresets,
+  createPreset,
+  updatePreset,
+  buildIntake,
+  recordUse,
+  suggestPresets
+};
@@ -0,0 +1,197 @@
+/**
+ * Product Service
+ * @description Per-user nicotine product catalog and unit / nicotine / cost estimates for intakes
+ */
+
+const { Product, PRODUCT_UNITS, MAX_QUANTITY } = require('../models/product.model');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * A user's products, default first
+ * @param {string} userId - User ID
+ * @param {boolean} includeArchived - Also return retired products
+ */
+const listProducts = async (userId, includeArchived = false) => {
+  const query = { userId };
+  if (!includeArchived) query.archivedAt = null;
+
+  return Product.find(query).sort({ isDefault: -1, createdAt: 1 });
+};
+
+/**
+ * Make one product the default for intakes logged without a product
+ * @param {Object} product - Product document
+ */
+const setDefault = async (product) => {
+  await Product.updateMany({ userId: product.userId, _id: { $ne: product._id } }, { isDefault: false });
+  product.isDefault = true;
+  await product.save();
+};
+
+/**
+ * Add a product; the first one becomes the default
+ * @param {string} userId - User ID
+ * @param {Object} data - Validated product
+ */
+const createProduct = async (userId, data) => {
+  const hasActive = await Product.exists({ userId, archivedAt: null });
+
+  const product = await Product.create({ ...data, userId, isDefault: false });
+
+  if (data.isDefault || !hasActive) {
+    await setDefault(product);
+  }
+
+  return product;
+};
+
+/**
+ * Update a product. Past intakes keep the nicotine estimate from when they were logged.
+ * @param {Object} product - Product document
+ * @param {Object} updates - Validated partial product
+ */
+const updateProduct = async (product, updates) => {
+  const { isDefault, ...fields } = updates;
+
+  product.set(fields);
+  await product.save();
+
+  if (isDefault) {
+    await setDefault(product);
+  }
+
+  return product;
+};
+
+/**
+ * Retire a product (it stays linked to past intakes)
+ * @param {Object} product - Product document
+ */
+const archiveProduct = async (product) => {
+  product.archivedAt = new Date();
+  product.isDefault = false;
+  await product.save();
+  return product;
+};
+
+/**
+ * Product an intake is logged with: the given one, else the user's default
+ * @param {string} userId - User ID
+ * @param {string} [productId] - Requested product
+ * @returns {Object|null} Product document
+ */
+const resolveIntakeProduct = async (userId, productId) => {
+  if (productId) {
+    const product = await Product.findOne({ _id: productId, userId, archivedAt: null });
+    if (!product) {
+      throw new ApiError('Product not found', 400);
+    }
+    return product;
+  }
+
+  return Product.findOne({ userId, isDefault: true, archivedAt: null });
+};
+
+/**
+ * Intake fields derived from its product and amount
+ * @param {number} quantity - Amount in the product's unit
+ * @param {Object|null} product - Product document
+ * @returns {Object} { productId, unit, nicotineMg }
+ */
+const productFields = (quantity, product) => {
+  const unit = product ? PRODUCT_UNITS[product.type] : 'puff';
+
+  if (quantity > MAX_QUANTITY[unit]) {
+    throw new ApiError(`At most ${MAX_QUANTITY[unit]} per log for ${unit} products`, 400);
+  }
+
+  const mgPerUnit = product?.mgPerUnit;
+
+  return {
+    productId: product?._id || null,
+    unit,
+    nicotineMg: mgPerUnit == null ? null : round(quantity * mgPerUnit, 3)
+  };
+};
+
+/**
+ * Products referenced by a list of intakes, keyed by ID
+ * @param {Array} intakes - Intake documents
+ * @returns {Map} productId -> Product
+ */
+const loadProducts = async (intakes) => {
+  const ids = [...new Set(intakes.filter((intake) => intake.productId).map((intake) => String(intake.productId)))];
+  if (!ids.length) return new Map();
+
+  const products = await Product.find({ _id: { $in: ids } });
+  return new Map(products.map((product) => [String(product._id), product]));
+};
+
+/**
+ * Totals per unit and product, estimated nicotine and spend for a list of intakes
+ * @param {Array} intakes - Intake documents
+ * @param {Map} products - Result of loadProducts
+ * @param {number} legacyCostPerPuff - Cost per puff for intakes without a product
+ * @returns {Object} { units, nicotineMg, unestimatedLogs, spend, byProduct }
+ */
+const summarizeConsumption = (intakes, products, legacyCostPerPuff = 0) => {
+  const units = {};
+  const byProduct = {};
+  let nicotineMg = 0;
+  let unestimatedLogs = 0;
+  let spend = 0;
+
+  intakes.forEach((intake) => {
+    const unit = intake.unit || 'puff';
+    const product = intake.productId ? products.get(String(intake.productId)) : null;
+    const cost = intake.puffs * (product ? product.costPerUnit : legacyCostPerPuff);
+
+    units[unit] = (units[unit] || 0) + intake.puffs;
+    spend += cost;
+    if (intake.nicotineMg == null) {
+      unestimatedLogs += 1;
+    } else {
+      nicotineMg += intake.nicotineMg;
+    }
+
+    const key = product ? String(product._id) : 'none';
+    const entry = byProduct[key] || {
+      productId: product?._id || null,
+      name: product?.name || null,
+      type: product?.type || null,
+      unit,
+      quantity: 0,
+      nicotineMg: 0,
+      spend: 0
+    };
+    entry.quantity += intake.puffs;
+    entry.nicotineMg += intake.nicotineMg || 0;
+    entry.spend += cost;
+    byProduct[key] = entry;
+  });
+
+  return {
+    units,
+    nicotineMg: round(nicotineMg),
+    unestimatedLogs,
+    spend: round(spend),
+    byProduct: Object.values(byProduct).map((entry) => ({
+      ...entry,
+      nicotineMg: round(entry.nicotineMg),
+      spend: round(entry.spend)
+    }))
+  };
+};
+
+module.exports = {
+  listProducts,
+  createProduct,
+  updateProduct,
+  archiveProduct,
+  resolveIntakeProduct,
+  productFields,
+  loadProducts,
+  summarizeConsumption
+};
@@ -0,0 +1,255 @@
+/**
+ * Rollup Service
+ * @description Maintains per-user daily rollups of intakes (totals, hourly histogram and
+ * context/intensity/mood/product counts) and reads them back for analytics
+ */
+
+const mongoose = require('mongoose');
+const Intake = require('../models/intake.model');
+const DailyRollup = require('../models/dailyRollup.model');
+const { getUserCalendar } = require('./calendar.service');
+const { logger } = require('../config/logger');
+
+// Days rolled up per pipeline run during a full rebuild, so one run's result stays small
+const REBUILD_WINDOW_DAYS = 90;
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const tally = (groups) => Object.fromEntries(groups.map(({ _id, puffs, sessions }) => [_id.key, { puffs, sessions }]));
+
+/**
+ * Roll up the intakes of a range of days in one pipeline
+ * @param {string} userId - User ID
+ * @param {Object} calendar - The user's calendar
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Array} Rollups of the days that have intakes
+ */
+const computeRollups = async (userId, calendar, from, to) => {
+  const day = calendar.dayKeyExpression('$loggedAt');
+  const amounts = { puffs: { $sum: '$puffs' }, sessions: { $sum: 1 } };
+
+  const [facets] = await Intake.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        loggedAt: { $gte: calendar.startOfDay(from).toDate(), $lte: calendar.endOfDay(to).toDate() }
+      }
+    },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: day,
+            ...amounts,
+            nicotineMg: { $sum: { $ifNull: ['$nicotineMg', 0] } },
+            unestimatedLogs: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$nicotineMg', null] }, null] }, 1, 0] } },
+            firstLoggedAt: { $min: '$loggedAt' },
+            lastLoggedAt: { $max: '$loggedAt' }
+          }
+        }],
+        hours: [{ $group: { _id: { day, hour: calendar.hourExpression('$loggedAt') }, ...amounts } }],
+        contexts: [{ $group: { _id: { day, key: '$context' }, ...amounts } }],
+        intensities: [{ $group: { _id: { day, key: '$intensity' }, ...amounts } }],
+        moods: [
+          { $match: { mood: { $ne: null } } },
+          { $group: { _id: { day, key: { $toString: '$mood' } }, sessions: { $sum: 1 } } }
+        ],
+        products: [{
+          $group: {
+            _id: { day, productId: { $ifNull: ['$productId', null] }, unit: { $ifNull: ['$unit', 'puff'] } },
+            quantity: { $sum: '$puffs' },
+            nicotineMg: { $sum: { $ifNull: ['$nicotineMg', 0] } },
+            sessions: { $sum: 1 }
+          }
+        }]
+      }
+    }
+  ]);
+
+  const ofDay = (groups, date) => groups.filter((group) => group._id.day === date);
+
+  return facets.totals.map(({ _id: date, puffs, sessions, nicotineMg, unestimatedLogs, firstLoggedAt, lastLoggedAt }) => {
+    const hourlyPuffs = Array(24).fill(0);
+    const hourlySessions = Array(24).fill(0);
+    ofDay(facets.hours, date).forEach(({ _id, puffs: hourPuffs, sessions: hourSessions }) => {
+      hourlyPuffs[_id.hour] = hourPuffs;
+      hourlySessions[_id.hour] = hourSessions;
+    });
+
+    const products = ofDay(facets.products, date).map(({ _id, quantity, nicotineMg: mg, sessions: productSessions }) => ({
+      productId: _id.productId,
+      unit: _id.unit,
+      quantity,
+      nicotineMg: round(mg),
+      sessions: productSessions
+    }));
+    const units = {};
+    products.forEach(({ unit, quantity }) => { units[unit] = (units[unit] || 0) + quantity; });
+
+    return {
+      userId,
+      date,
+      timezone: calendar.timezone,
+      totalPuffs: puffs,
+      sessions,
+      nicotineMg: round(nicotineMg),
+      unestimatedLogs,
+      hourlyPuffs,
+      hourlySessions,
+      contexts: tally(ofDay(facets.contexts, date)),
+      intensities: tally(ofDay(facets.intensities, date)),
+      moods: Object.fromEntries(ofDay(facets.moods, date).map(({ _id, sessions: moodSessions }) => [_id.key, moodSessions])),
+      units,
+      products,
+      firstLoggedAt,
+      lastLoggedAt
+    };
+  });
+};
+
+/**
+ * Store rollups, replacing the user's earlier rollup of the same day
+ * @param {string} userId - User ID
+ * @param {Array} rollups - Result of computeRollups
+ */
+const saveRollups = async (userId, rollups) => {
+  if (!rollups.length) return;
+
+  await DailyRollup.bulkWrite(rollups.map((rollup) => ({
+    replaceOne: { filter: { userId, date: rollup.date }, replacement: rollup, upsert: true }
+  })));
+};
+
+/**
+ * Recompute the rollups of the days some intakes were (or are no longer) logged on
+ * @param {string} userId - User ID
+ * @param {Array} dates - Any time on each day, read in the user's timezone
+ */
+const refreshDays = async (userId, dates) => {
+  const calendar = await getUserCalendar(userId);
+  const days = [...new Set(dates.filter(Boolean).map((date) => calendar.dayKey(date)))];
+
+  for (const day of days) {
+    const rollups = await computeRollups(userId, calendar, day, day);
+    await saveRollups(userId, rollups);
+    // A day whose last intake was moved or deleted has no rollup
+    if (!rollups.length) await DailyRollup.deleteOne({ userId, date: day });
+  }
+};
+
+/**
+ * Recompute all of a user's rollups, e.g. after an import or a change of timezone
+ * @param {string} userId - User ID
+ * @returns {Object} { days, timezone }
+ */
+const rebuildUserRollups = async (userId) => {
+  const calendar = await getUserCalendar(userId);
+  const [first, last] = await Promise.all([
+    Intake.findOne({ userId }).sort({ loggedAt: 1 }).select('loggedAt'),
+    Intake.findOne({ userId }).sort({ loggedAt: -1 }).select('loggedAt')
+  ]);
+
+  const dates = [];
+  if (first) {
+    const end = calendar.dayKey(last.loggedAt);
+    for (let from = calendar.dayKey(first.loggedAt); from <= end; from = calendar.addDays(from, REBUILD_WINDOW_DAYS)) {
+      const to = calendar.addDays(from, REBUILD_WINDOW_DAYS - 1);
+      const rollups = await computeRollups(userId, calendar, from, to < end ? to : end);
+      await saveRollups(userId, rollups);
+      dates.push(...rollups.map((rollup) => rollup.date));
+    }
+  }
+
+  await DailyRollup.deleteMany({ userId, date: { $nin: dates } });
+
+  logger.info(`Rebuilt ${dates.length} daily rollups for user ${userId}`);
+  return { days: dates.length, timezone: calendar.timezone };
+};
+
+/**
+ * Rollups of a range of days, oldest first. Rollups from another timezone, or none at
+ * all for a user who has intakes, are rebuilt first.
+ * @param {string} userId - User ID
+ * @param {Object} calendar - The user's calendar
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ */
+const loadRollups = async (userId, calendar, from, to) => {
+  const find = () => DailyRollup.find({ userId, date: { $gte: from, $lte: to } }).sort({ date: 1 }).lean();
+
+  const rollups = await find();
+  const stale = rollups.length
+    ? rollups.some((rollup) => rollup.timezone !== calendar.timezone)
+    : !await DailyRollup.exists({ userId }) && await Intake.exists({ userId });
+
+  if (!stale) return rollups;
+
+  await rebuildUserRollups(userId);
+  return find();
+};
+
+/**
+ * Add up rollups into one summary of the same shape
+ * @param {Array} rollups - Daily rollups
+ */
+const mergeRollups = (rollups) => {
+  const merged = {
+    totalPuffs: 0,
+    sessions: 0,
+    nicotineMg: 0,
+    unestimatedLogs: 0,
+    hourlyPuffs: Array(24).fill(0),
+    hourlySessions: Array(24).fill(0),
+    contexts: {},
+    intensities: {},
+    moods: {},
+    units: {},
+    products: [],
+    firstLoggedAt: rollups[0]?.firstLoggedAt || null,
+    lastLoggedAt: rollups[rollups.length - 1]?.lastLoggedAt || null
+  };
+  const products = {};
+
+  const addTally = (target, source) => Object.entries(source || {}).forEach(([key, { puffs, sessions }]) => {
+    const entry = target[key] || { puffs: 0, sessions: 0 };
+    target[key] = { puffs: entry.puffs + puffs, sessions: entry.sessions + sessions };
+  });
+  const addCounts = (target, source) => Object.entries(source || {}).forEach(([key, count]) => {
+    target[key] = (target[key] || 0) + count;
+  });
+
+  rollups.forEach((rollup) => {
+    merged.totalPuffs += rollup.totalPuffs;
+    merged.sessions += rollup.sessions;
+    merged.nicotineMg += rollup.nicotineMg;
+    merged.unestimatedLogs += rollup.unestimatedLogs;
+    rollup.hourlyPuffs.forEach((puffs, hour) => { merged.hourlyPuffs[hour] += puffs; });
+    rollup.hourlySessions.forEach((sessions, hour) => { merged.hourlySessions[hour] += sessions; });
+    addTally(merged.contexts, rollup.contexts);
+    addTally(merged.intensities, rollup.intensities);
+    addCounts(merged.moods, rollup.moods);
+    addCounts(merged.units, rollup.units);
+
+    rollup.products.forEach((product) => {
+      const key = `${product.productId || 'none'}|${product.unit}`;
+      const entry = products[key] || { productId: product.productId, unit: product.unit, quantity: 0, nicotineMg: 0, sessions: 0 };
+      entry.quantity += product.quantity;
+      entry.nicotineMg += product.nicotineMg;
+      entry.sessions += product.sessions;
+      products[key] = entry;
+    });
+  });
+
+  merged.nicotineMg = round(merged.nicotineMg);
+  merged.products = Object.values(products).map((entry) => ({ ...entry, nicotineMg: round(entry.nicotineMg) }));
+
+  return merged;
+};
+
+module.exports = {
+  refreshDays,
+  rebuildUserRollups,
+  loadRollups,
+  mergeRollups
+};
@@ -0,0 +1,294 @@
+/**
+ * Token Service
+ * @description Access token signing, refresh token rotation and session revocation
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const dayjs = require('dayjs');
+const Session = require('../models/session.model');
+const { AuthToken } = require('../models/authToken.model');
+const { env } = require('../config/env');
+const { logger } = require('../config/logger');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+
+// Rotated-out refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// Minimum time between lastSeenAt writes for the same session
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+// Time allowed to enter a 2FA code after a correct password
+const MFA_TOKEN_EXPIRES_IN = '5m';
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Raw refresh token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate an opaque refresh token bound to a session
+ * @param {string} sessionId - Session ID
+ */
+const generateRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+/**
+ * Sign a short-lived access token for a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ */
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, env.JWT_SECRET, {
+    expiresIn: env.JWT_EXPIRES_IN
+  });
+};
+
+/**
+ * Verify an access token and return its payload
+ * @param {string} token - JWT access token
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, env.JWT_SECRET);
+
+  // Tokens issued before sessions existed cannot be revoked, so refuse them
+  if (!decoded.sid) {
+    throw new jwt.JsonWebTokenError('Token is not bound to a session');
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign a short-lived token proving the password step of a 2FA login
+ * @param {string} userId - User ID
+ */
+const signMfaToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: 'mfa' }, env.JWT_SECRET, {
+    expiresIn: MFA_TOKEN_EXPIRES_IN
+  });
+};
+
+/**
+ * Verify an "mfa pending" token and return the user ID it was issued for
+ * @param {string} token - MFA token
+ */
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, env.JWT_SECRET);
+    if (decoded.purpose !== 'mfa') {
+      throw new ApiError('Invalid MFA token', 401);
+    }
+    return decoded.id;
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError('MFA token is invalid or expired, please log in again', 401);
+  }
+};
+
+const getRefreshExpiry = () => dayjs().add(env.REFRESH_TOKEN_EXPIRES_DAYS, 'day').toDate();
+
+/**
+ * Start a new session and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} meta - Client details ({ userAgent, ip })
+ */
+const createSession = async (user, meta = {}) => {
+  const session = new Session({
+    userId: user._id,
+    userAgent: meta.userAgent,
+    ip: meta.ip,
+    expiresAt: getRefreshExpiry()
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Replaying a rotated-out token revokes the whole session (token family).
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} meta - Client details ({ userAgent, ip })
+ */
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new ApiError('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findById(sessionId).select('+tokenHash +previousTokenHashes');
+  if (!session) {
+    throw new ApiError('Invalid refresh token', 401);
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    if (!session.revokedAt) {
+      await revokeSession(session._id, 'reuse_detected');
+      logger.warn(`Refresh token reuse detected, session revoked: ${session._id} (user ${session.userId})`);
+    }
+    throw new ApiError('Refresh token reuse detected, please log in again', 401);
+  }
+
+  if (presentedHash !== session.tokenHash || !session.isActive()) {
+    throw new ApiError('Invalid refresh token', 401);
+  }
+
+  // Rotate atomically so two concurrent refreshes cannot both succeed
+  const nextToken = generateRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        expiresAt: getRefreshExpiry(),
+        lastSeenAt: new Date(),
+        ...(meta.ip && { ip: meta.ip }),
+        ...(meta.userAgent && { userAgent: meta.userAgent })
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw new ApiError('Invalid refresh token', 401);
+  }
+
+  return {
+    session: rotated,
+    accessToken: signAccessToken(rotated.userId, rotated._id),
+    refreshToken: nextToken
+  };
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {Object} options - { exceptSessionId, reason }
+ * @returns {number} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, { exceptSessionId, reason = 'revoked_by_user' } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ */
+const listActiveSessions = async (userId) => {
+  return Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Record activity on a session (throttled to limit writes)
+ * @param {Object} session - Session document
+ * @param {Object} meta - Client details ({ userAgent, ip })
+ */
+const touchSession = async (session, meta = {}) => {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return;
+  }
+
+  const update = { lastSeenAt: new Date(), ...(meta.ip && { ip: meta.ip }) };
+  session.set(update);
+  await Session.updateOne({ _id: session._id }, update);
+};
+
+/**
+ * Find an active session for an authenticated request
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} userId - User ID from the access token
+ */
+const findActiveSession = async (sessionId, userId) => {
+  const session = await Session.findById(sessionId);
+  if (!session || session.userId.toString() !== userId.toString() || !session.isActive()) {
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Issue a single-use emailed token, replacing any unused one of the same type
+ * @param {string} userId - User ID
+ * @param {string} type - Token type (see AuthToken TOKEN_TYPES)
+ * @param {number} ttlMinutes - Minutes until the token expires
+ * @returns {string} Raw token to send to the user
+ */
+const createAuthToken = async (userId, type, ttlMinutes) => {
+  await AuthToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: dayjs().add(ttlMinutes, 'minute').toDate()
+  });
+
+  return token;
+};
+
+/**
+ * Redeem a single-use emailed token
+ * @param {string} token - Raw token
+ * @param {string} type - Expected token type
+ * @returns {ObjectId|null} Owning user ID, or null if invalid, expired or used
+ */
+const consumeAuthToken = async (token, type) => {
+  const record = await AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  return record ? record.userId : null;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  signMfaToken,
+  verifyMfaToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+  touchSession,
+  findActiveSession,
+  createAuthToken,
+  consumeAuthToken
+};
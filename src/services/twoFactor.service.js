@@ -0,0 +1,170 @@
+/**
+ * Two-Factor Service
+ * @description TOTP enrollment, verification and recovery codes
+ */
+
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const totp = require('../utils/totp');
+const { ApiError } = require('../middleware/errorHandler.middleware');
+
+const ISSUER = 'SmokeLess AI';
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes (formatted XXXXX-XXXXX)
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+/**
+ * Get 2FA status for a user
+ * @param {string} userId - User ID
+ */
+const getStatus = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+  };
+};
+
+/**
+ * Start enrollment: create a pending secret and its otpauth URI
+ * @param {string} userId - User ID
+ */
+const startSetup = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = totp.generateSecret();
+  user.set('twoFactor.pendingSecret', secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({ secret, account: user.email, issuer: ISSUER })
+  };
+};
+
+/**
+ * Confirm enrollment with the first code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Object} { recoveryCodes } shown to the user once
+ */
+const confirmSetup = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) {
+    throw new ApiError('Start two-factor setup first', 400);
+  }
+
+  const step = totp.verifyCode(secret, code);
+  if (step === null) {
+    throw new ApiError('Invalid verification code', 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.set('twoFactor', {
+    enabled: true,
+    enabledAt: new Date(),
+    secret,
+    pendingSecret: undefined,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step
+  });
+  await user.save();
+
+  return { recoveryCodes };
+};
+
+/**
+ * Check a second factor and consume it so it cannot be used again
+ * @param {string} userId - User ID
+ * @param {Object} factor - { code } for TOTP or { recoveryCode }
+ * @returns {string|null} 'totp' or 'recovery' when accepted, otherwise null
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId).select('+twoFactor.secret');
+
+  if (!user?.twoFactor?.enabled) return null;
+
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+    if (step === null) return null;
+
+    // Only accept a step newer than the last one used (blocks replays)
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount ? 'recovery' : null;
+  }
+
+  return null;
+};
+
+/**
+ * Replace all recovery codes
+ * @param {string} userId - User ID
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: userId },
+    { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) }
+  );
+
+  return { recoveryCodes };
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {string} userId - User ID
+ */
+const disable = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { twoFactor: { enabled: false } }
+  );
+};
+
+module.exports = {
+  getStatus,
+  startSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable
+};
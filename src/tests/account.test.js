@@ -0,0 +1,200 @@
+/**
+ * Account Tests
+ * @description Test suite for data export, account deletion, purge and leaderboard visibility
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Streak = require('../models/streak.model');
+const Session = require('../models/session.model');
+const { UserAchievement } = require('../models/achievement.model');
+const tokenService = require('../services/token.service');
+const accountService = require('../services/account.service');
+const gamificationService = require('../services/gamification.service');
+const mailService = require('../services/mail.service');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  mailService.setTransport({ name: 'test', send: async () => ({}) });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Streak.deleteMany({});
+  await Session.deleteMany({});
+  await UserAchievement.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User'
+  });
+
+  await Intake.create([
+    { userId: testUser._id, puffs: 2, intensity: 'low', context: 'habit', notes: 'Coffee, then "one more"' },
+    { userId: testUser._id, puffs: 5, intensity: 'high', context: 'stress' }
+  ]);
+  await Streak.create({ userId: testUser._id, currentStreak: 3 });
+  await UserAchievement.create({ userId: testUser._id, achievementId: 'first_day' });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+});
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Account Endpoints', () => {
+  describe('GET /api/user/export', () => {
+    it('should download a ZIP archive', async () => {
+      const res = await request(app)
+        .get('/api/user/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('application/zip');
+      expect(res.headers['content-disposition']).toMatch(/attachment; filename="smokeless-export-/);
+      expect(res.body.subarray(0, 2).toString()).toBe('PK');
+
+      // Stored (uncompressed) entries keep the file contents readable
+      const text = res.body.toString('utf8');
+      expect(text).toContain('intakes.csv');
+      expect(text).toContain('"Coffee, then ""one more"""');
+      expect(text).not.toContain('password');
+    });
+
+    it('should include every collection in the JSON export', async () => {
+      const data = await accountService.exportUserData(testUser._id);
+
+      expect(data.user.email).toBe('test@example.com');
+      expect(data.intakes).toHaveLength(2);
+      expect(data.streak).toHaveLength(1);
+      expect(data.achievements).toHaveLength(1);
+      expect(data.authTokens).toBeUndefined();
+    });
+  });
+
+  describe('DELETE /api/user/me', () => {
+    it('should require the current password', async () => {
+      const res = await request(app)
+        .delete('/api/user/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'wrong-password' });
+
+      expect(res.statusCode).toBe(400);
+      expect((await User.findById(testUser._id)).deletionScheduledFor).toBeNull();
+    });
+
+    it('should schedule deletion and sign out everywhere', async () => {
+      const res = await request(app)
+        .delete('/api/user/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'password123' });
+
+      expect(res.statusCode).toBe(202);
+      expect(new Date(res.body.deletionScheduledFor).getTime()).toBeGreaterThan(Date.now());
+
+      const after = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(after.statusCode).toBe(401);
+    });
+
+    it('should be cancelled by restoring within the grace period', async () => {
+      await request(app)
+        .delete('/api/user/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'password123' });
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      const res = await request(app)
+        .post('/api/user/me/restore')
+        .set('Authorization', `Bearer ${login.body.token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(await accountService.purgeDueAccounts()).toBe(0);
+      expect((await User.findById(testUser._id)).deletionScheduledFor).toBeNull();
+    });
+  });
+
+  describe('purge', () => {
+    it('should purge accounts past their grace period across all collections', async () => {
+      const coach = await User.create({ email: 'coach@example.com', password: 'password123', name: 'Coach', role: 'coach' });
+      await User.updateOne({ _id: coach._id }, { coaches: [testUser._id] });
+      await User.updateOne({ _id: testUser._id }, { deletionScheduledFor: new Date(Date.now() - 1000) });
+
+      expect(await accountService.purgeDueAccounts()).toBe(1);
+
+      expect(await User.findById(testUser._id)).toBeNull();
+      expect(await Intake.countDocuments({ userId: testUser._id })).toBe(0);
+      expect(await Streak.countDocuments({ userId: testUser._id })).toBe(0);
+      expect(await UserAchievement.countDocuments({ userId: testUser._id })).toBe(0);
+      expect(await Session.countDocuments({ userId: testUser._id })).toBe(0);
+      expect((await User.findById(coach._id)).coaches).toHaveLength(0);
+    });
+
+    it('should not purge accounts still in their grace period', async () => {
+      await User.updateOne(
+        { _id: testUser._id },
+        { deletionScheduledFor: new Date(Date.now() + 60 * 1000) }
+      );
+
+      expect(await accountService.purgeDueAccounts()).toBe(0);
+      expect(await Intake.countDocuments({ userId: testUser._id })).toBe(2);
+    });
+  });
+
+  describe('leaderboard', () => {
+    it('should only rank active accounts not scheduled for deletion', async () => {
+      const rank = async (name, totalXP, fields = {}) => {
+        const user = await User.create({ email: `${name}@example.com`, password: 'password123', name, emailVerified: true, ...fields });
+        await Streak.create({ userId: user._id, totalXP });
+      };
+      await rank('Active', 100);
+      await rank('Leaving', 300, { deletionScheduledFor: new Date(Date.now() + 60 * 1000) });
+      await rank('Deactivated', 200, { isActive: false });
+      await rank('Unverified', 150, { emailVerified: false });
+      // Streak left behind by a purged user
+      await Streak.create({ userId: new mongoose.Types.ObjectId(), totalXP: 500 });
+
+      const leaderboard = await gamificationService.getLeaderboard(10);
+
+      expect(leaderboard.map((entry) => entry.name)).toEqual(['Active']);
+    });
+
+    it('should fill up with eligible users however many hidden ones rank above them', async () => {
+      await Streak.insertMany(Array.from({ length: 1200 }, (_, index) => (
+        { userId: new mongoose.Types.ObjectId(), totalXP: 1000 + index }
+      )));
+      const user = await User.create({ email: 'low@example.com', password: 'password123', name: 'Low', emailVerified: true });
+      await Streak.create({ userId: user._id, totalXP: 10 });
+
+      const leaderboard = await gamificationService.getLeaderboard(10);
+
+      expect(leaderboard.map((entry) => entry.name)).toEqual(['Low']);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Analytics Tests
+ * @description Test suite for date-range analytics, period comparisons, the usage heatmap and mood correlations
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const { Craving } = require('../models/craving.model');
+const tokenService = require('../services/token.service');
+const { createCalendar } = require('../utils/calendar');
+const { studentTPValue, welchTest, holmAdjust } = require('../utils/stats');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+// Users default to UTC weeks starting on Sunday
+const utc = createCalendar();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${authToken}`);
+
+const logOn = (day, puffs) => Intake.create({
+  userId: testUser._id,
+  puffs,
+  intensity: 'medium',
+  context: 'stress',
+  loggedAt: utc.startOfDay(day).hour(12).toDate()
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+  await Craving.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User'
+  });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+});
+
+describe('Analytics Endpoints', () => {
+  describe('GET /api/analytics/range/:userId', () => {
+    beforeEach(async () => {
+      // 2024-03-01 is a Friday
+      await logOn('2024-03-01', 4);
+      await logOn('2024-03-03', 6);
+      await logOn('2024-03-10', 10);
+      await logOn('2024-02-25', 5);
+    });
+
+    it('should return a zero-filled daily series', async () => {
+      const res = await api('get', `/api/analytics/range/${testUser._id}?from=2024-03-01&to=2024-03-07`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.analytics.series).toHaveLength(7);
+      expect(res.body.analytics.series.map((day) => day.totalPuffs)).toEqual([4, 0, 6, 0, 0, 0, 0]);
+      expect(res.body.analytics.totals).toMatchObject({ totalPuffs: 10, sessions: 2, activeDays: 2, days: 7 });
+      expect(res.body.analytics.comparison).toBeNull();
+    });
+
+    it('should cut weeks at the edges of the range', async () => {
+      const res = await api('get', `/api/analytics/range/${testUser._id}?from=2024-03-01&to=2024-03-10&granularity=week`);
+
+      expect(res.body.analytics.series).toEqual([
+        expect.objectContaining({ period: '2024-02-25', start: '2024-03-01', end: '2024-03-02', totalPuffs: 4 }),
+        expect.objectContaining({ period: '2024-03-03', start: '2024-03-03', end: '2024-03-09', totalPuffs: 6 }),
+        expect.objectContaining({ period: '2024-03-10', start: '2024-03-10', end: '2024-03-10', totalPuffs: 10 })
+      ]);
+    });
+
+    it('should compare with the previous period of the same length', async () => {
+      const res = await api('get', `/api/analytics/range/${testUser._id}?from=2024-03-01&to=2024-03-07&compare=previous`);
+
+      const { comparison } = res.body.analytics;
+      expect(comparison).toMatchObject({ type: 'previous', from: '2024-02-23', to: '2024-02-29' });
+      expect(comparison.totals.totalPuffs).toBe(5);
+      expect(comparison.changes.totalPuffs).toEqual({ current: 10, previous: 5, delta: 5, percentChange: 100 });
+    });
+
+    it('should compare with the baseline as a daily rate', async () => {
+      await Streak.create({ userId: testUser._id, baselineDailyAverage: 2, baselineSetDate: new Date() });
+
+      const res = await api('get', `/api/analytics/range/${testUser._id}?from=2024-03-01&to=2024-03-10&compare=baseline`);
+
+      expect(res.body.analytics.comparison.totals.totalPuffs).toBe(20);
+      expect(res.body.analytics.comparison.changes.dailyAverage.percentChange).toBe(0);
+    });
+
+    it('should reject invalid ranges', async () => {
+      const reversed = await api('get', `/api/analytics/range/${testUser._id}?from=2024-03-10&to=2024-03-01`);
+      const tooLong = await api('get', `/api/analytics/range/${testUser._id}?from=2024-01-01&to=2024-03-01&granularity=hour`);
+      const noBaseline = await api('get', `/api/analytics/range/${testUser._id}?compare=baseline`);
+
+      expect(reversed.statusCode).toBe(400);
+      expect(tooLong.statusCode).toBe(400);
+      expect(noBaseline.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/analytics/heatmap/:userId', () => {
+    // Yesterday at 08:00 and 20:00 local time
+    const yesterday = () => utc.addDays(utc.today(), -1);
+    const at = (hour) => utc.startOfDay(yesterday()).hour(hour).toDate();
+
+    beforeEach(async () => {
+      await User.updateOne({ _id: testUser._id }, { 'profile.weekStart': 'monday' });
+      await Intake.create([
+        { userId: testUser._id, puffs: 10, intensity: 'high', context: 'stress', loggedAt: at(8) },
+        { userId: testUser._id, puffs: 4, intensity: 'low', context: 'habit', loggedAt: at(20) }
+      ]);
+    });
+
+    it('should return a weekday x hour grid starting on the week start', async () => {
+      const res = await api('get', `/api/analytics/heatmap/${testUser._id}`);
+      const row = res.body.heatmap.days.indexOf(utc.startOfDay(yesterday()).format('ddd'));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.heatmap.days[0]).toBe('Mon');
+      expect(res.body.heatmap.heatmap[row][8]).toBe(100);
+      expect(res.body.heatmap.heatmap[row][20]).toBe(40);
+      expect(res.body.heatmap.hotspots).toHaveLength(1);
+      expect(res.body.heatmap.hotspots[0].hour).toBe(8);
+    });
+
+    it('should apply the metric, normalization and hotspot threshold', async () => {
+      const res = await api('get', `/api/analytics/heatmap/${testUser._id}?metric=sessions&normalize=none&threshold=0`);
+
+      expect(res.body.heatmap.total).toBe(2);
+      expect(res.body.heatmap.hotspots.map((spot) => [spot.hour, spot.value])).toEqual([[8, 1], [20, 1]]);
+    });
+
+    it('should map cravings', async () => {
+      await Craving.create({ userId: testUser._id, context: 'stress', intensity: 'high', outcome: 'resisted', loggedAt: at(20) });
+
+      const res = await api('get', `/api/analytics/heatmap/${testUser._id}?metric=cravings&days=7`);
+
+      expect(res.body.heatmap.total).toBe(1);
+      expect(res.body.heatmap.window.days).toBe(7);
+    });
+
+    it('should validate the options', async () => {
+      const res = await api('get', `/api/analytics/heatmap/${testUser._id}?metric=moods&threshold=150`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/analytics/mood/:userId', () => {
+    beforeEach(async () => {
+      const yesterday = utc.startOfDay(utc.addDays(utc.today(), -1));
+
+      // Six low-mood, high-intensity stress sessions, then six good-mood habit ones, an hour apart
+      await Intake.create([
+        ...[1, 2, 1, 2, 1, 2].map((mood, index) => (
+          { userId: testUser._id, puffs: 8, intensity: 'high', context: 'stress', mood, loggedAt: yesterday.hour(index).toDate() }
+        )),
+        ...[4, 5, 4, 5, 4, 5].map((mood, index) => (
+          { userId: testUser._id, puffs: 2, intensity: 'low', context: 'habit', mood, loggedAt: yesterday.hour(6 + index).toDate() }
+        )),
+        { userId: testUser._id, puffs: 3, intensity: 'medium', context: 'other', loggedAt: yesterday.subtract(2, 'day').toDate() }
+      ]);
+    });
+
+    it('should relate mood to trigger contexts, intensity and puffs', async () => {
+      const res = await api('get', `/api/analytics/mood/${testUser._id}`);
+      const { analytics } = res.body;
+
+      expect(res.statusCode).toBe(200);
+      expect(analytics).toMatchObject({ sessions: 13, moodSessions: 12 });
+      expect(analytics.contexts.stress).toMatchObject({
+        averageMood: 1.5,
+        averageIntensity: 3,
+        moodDistribution: { 1: 3, 2: 3, 3: 0, 4: 0, 5: 0 }
+      });
+      expect(analytics.contexts.habit.averageMood).toBe(4.5);
+      expect(analytics.moods['1']).toMatchObject({ sessions: 3, averagePuffs: 8, intensities: { low: 0, medium: 0, high: 3 } });
+    });
+
+    it('should compare mood before and after consecutive sessions', async () => {
+      const res = await api('get', `/api/analytics/mood/${testUser._id}`);
+      const { moodShift } = res.body.analytics;
+
+      expect(moodShift.pairs).toBe(11);
+      // The last stress session is followed by the first habit one
+      expect(moodShift.byContext.stress).toMatchObject({ pairs: 6, improved: 4, worsened: 2, unchanged: 0 });
+    });
+
+    it('should flag associations with their sample sizes', async () => {
+      const res = await api('get', `/api/analytics/mood/${testUser._id}`);
+      const { associations, correction } = res.body.analytics;
+      const stressMood = associations.find((entry) => entry.context === 'stress' && entry.metric === 'mood');
+
+      expect(correction).toBe('holm');
+      expect(stressMood).toMatchObject({ sessions: 6, otherSessions: 6, mean: 1.5, otherMean: 4.5, difference: -3, significant: true });
+      // Welch-Satterthwaite degrees of freedom for two groups of 6 with equal variance
+      expect(stressMood.degreesOfFreedom).toBe(10);
+      expect(stressMood.adjustedPValue).toBeGreaterThanOrEqual(stressMood.pValue);
+      expect(stressMood.adjustedPValue).toBeLessThan(0.05);
+
+      const strict = await api('get', `/api/analytics/mood/${testUser._id}?minSamples=10`);
+      expect(strict.body.analytics.associations).toEqual([]);
+    });
+
+    it('should validate the options', async () => {
+      const res = await api('get', `/api/analytics/mood/${testUser._id}?minSamples=1`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
+
+describe('Association statistics', () => {
+  it('should match tabulated Student t p-values', () => {
+    expect(studentTPValue(2.228, 10)).toBeCloseTo(0.05, 3);
+    expect(studentTPValue(12.706, 1)).toBeCloseTo(0.05, 3);
+    expect(studentTPValue(0, 5)).toBe(1);
+  });
+
+  it('should use Welch-Satterthwaite degrees of freedom', () => {
+    const { df, pValue } = welchTest({ n: 5, mean: 2, variance: 1 }, { n: 20, mean: 2.5, variance: 4 });
+
+    expect(df).toBeCloseTo(13.22, 2);
+    expect(pValue).toBeGreaterThan(0.05);
+  });
+
+  it('should Holm-adjust p-values in their original order', () => {
+    expect(holmAdjust([0.01, 0.04, 0.03, 0.5])).toEqual([0.04, 0.09, 0.09, 0.5].map((p) => expect.closeTo(p, 10)));
+  });
+});
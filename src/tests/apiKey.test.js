@@ -0,0 +1,131 @@
+/**
+ * API Key Tests
+ * @description Test suite for personal API keys and scope enforcement
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const { ApiKey } = require('../models/apiKey.model');
+const tokenService = require('../services/token.service');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await ApiKey.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User'
+  });
+
+  const tokens = await tokenService.createSession(testUser);
+  authToken = tokens.accessToken;
+});
+
+const createKey = (scopes) => request(app)
+  .post('/api/auth/api-keys')
+  .set('Authorization', `Bearer ${authToken}`)
+  .send({ name: 'Home automation', scopes });
+
+describe('API Keys', () => {
+  it('should create a key and only show it once', async () => {
+    const res = await createKey(['intake:write']);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.key).toMatch(/^slk_/);
+    expect(res.body.apiKey.scopes).toEqual(['intake:write']);
+
+    const list = await request(app)
+      .get('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(list.body.count).toBe(1);
+    expect(list.body.apiKeys[0].prefix).toBe(res.body.key.slice(0, 10));
+    expect(JSON.stringify(list.body)).not.toContain(res.body.key);
+  });
+
+  it('should reject unknown scopes', async () => {
+    const res = await createKey(['admin:write']);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should log intakes with an intake:write key', async () => {
+    const { body } = await createKey(['intake:write']);
+
+    const res = await request(app)
+      .post('/api/intake/log')
+      .set('X-API-Key', body.key)
+      .send({ puffs: 2, intensity: 'low', context: 'habit' });
+
+    expect(res.statusCode).toBe(201);
+
+    const apiKey = await ApiKey.findById(body.apiKey.id);
+    expect(apiKey.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('should enforce scopes per router', async () => {
+    const { body } = await createKey(['intake:write']);
+
+    const read = await request(app)
+      .get(`/api/intake/user/${testUser._id}`)
+      .set('Authorization', `Bearer ${body.key}`);
+    const analytics = await request(app)
+      .get(`/api/analytics/daily/${testUser._id}`)
+      .set('Authorization', `Bearer ${body.key}`);
+
+    expect(read.statusCode).toBe(403);
+    expect(analytics.statusCode).toBe(403);
+  });
+
+  it('should never be accepted on auth routes', async () => {
+    const { body } = await createKey(['intake:write', 'user:write']);
+
+    const sessions = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${body.key}`);
+    const newKey = await request(app)
+      .post('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${body.key}`)
+      .send({ name: 'Escalation', scopes: ['intake:read'] });
+
+    expect(sessions.statusCode).toBe(403);
+    expect(newKey.statusCode).toBe(403);
+  });
+
+  it('should stop working once revoked', async () => {
+    const { body } = await createKey(['intake:read']);
+
+    const revoke = await request(app)
+      .delete(`/api/auth/api-keys/${body.apiKey.id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(revoke.statusCode).toBe(200);
+
+    const res = await request(app)
+      .get(`/api/intake/user/${testUser._id}`)
+      .set('X-API-Key', body.key);
+
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -8,6 +8,12 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../server');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { AuthToken } = require('../models/authToken.model');
+const AuditLog = require('../models/auditLog.model');
+const mailService = require('../services/mail.service');
+const loginThrottle = require('../services/loginThrottle.service');
+const totp = require('../utils/totp');
 
 let mongoServer;
 
@@ -24,6 +30,10 @@ afterAll(async () => {
 
 beforeEach(async () => {
   await User.deleteMany({});
+  await Session.deleteMany({});
+  await AuthToken.deleteMany({});
+  await AuditLog.deleteMany({});
+  loginThrottle.setStore(loginThrottle.createMemoryStore());
 });
 
 describe('Auth Endpoints', () => {
@@ -95,5 +105,456 @@ describe('Auth Endpoints', () => {
       expect(res.statusCode).toBe(401);
     });
   });
-});
 
+  describe('POST /api/auth/refresh', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'test@example.com',
+          password: 'password123',
+          name: 'Test User'
+        });
+      tokens = { token: res.body.token, refreshToken: res.body.refreshToken };
+    });
+
+    it('should rotate the refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.refreshToken).toBeDefined();
+      expect(res.body.refreshToken).not.toBe(tokens.refreshToken);
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(reuse.statusCode).toBe(401);
+
+      // The legitimately rotated token belongs to the same family and is now dead too
+      const next = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken });
+
+      expect(next.statusCode).toBe(401);
+
+      const me = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${first.body.token}`);
+
+      expect(me.statusCode).toBe(401);
+    });
+
+    it('should reject access tokens after logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${tokens.token}`);
+
+      const me = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${tokens.token}`);
+
+      expect(me.statusCode).toBe(401);
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken });
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('Session management', () => {
+    const loginFrom = (userAgent) => request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'test@example.com', password: 'password123' });
+
+    beforeEach(async () => {
+      await User.create({
+        email: 'test@example.com',
+        password: 'password123',
+        name: 'Test User'
+      });
+    });
+
+    it('should list signed-in devices and flag the current one', async () => {
+      await loginFrom('Phone');
+      const laptop = await loginFrom('Laptop');
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.count).toBe(2);
+      const current = res.body.sessions.find((s) => s.current);
+      expect(current.userAgent).toBe('Laptop');
+    });
+
+    it('should sign out a specific device', async () => {
+      const phone = await loginFrom('Phone');
+      const laptop = await loginFrom('Laptop');
+
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.token}`);
+      const phoneSession = list.body.sessions.find((s) => s.userAgent === 'Phone');
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${laptop.body.token}`);
+
+      expect(res.statusCode).toBe(200);
+
+      const me = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${phone.body.token}`);
+
+      expect(me.statusCode).toBe(401);
+    });
+
+    it('should sign out everywhere else', async () => {
+      const phone = await loginFrom('Phone');
+      const laptop = await loginFrom('Laptop');
+
+      const res = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.token}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.revoked).toBe(1);
+
+      const [phoneMe, laptopMe] = await Promise.all([
+        request(app).get('/api/user/me').set('Authorization', `Bearer ${phone.body.token}`),
+        request(app).get('/api/user/me').set('Authorization', `Bearer ${laptop.body.token}`)
+      ]);
+
+      expect(phoneMe.statusCode).toBe(401);
+      expect(laptopMe.statusCode).toBe(200);
+    });
+  });
+
+  describe('Password flows', () => {
+    let sentMail;
+
+    beforeEach(async () => {
+      sentMail = [];
+      mailService.setTransport({
+        name: 'test',
+        send: async (message) => {
+          sentMail.push(message);
+          return { id: String(sentMail.length) };
+        }
+      });
+
+      await User.create({
+        email: 'test@example.com',
+        password: 'password123',
+        name: 'Test User'
+      });
+    });
+
+    const requestResetToken = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+      return sentMail[sentMail.length - 1].text.match(/token=([^\s]+)/)[1];
+    };
+
+    it('should not reveal whether an email is registered', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.statusCode).toBe(200);
+      expect(sentMail.length).toBe(0);
+    });
+
+    it('should reset the password with a single-use token', async () => {
+      const token = decodeURIComponent(await requestResetToken());
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword456' });
+
+      expect(res.statusCode).toBe(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' });
+
+      expect(reuse.statusCode).toBe(400);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'newpassword456' });
+
+      expect(login.statusCode).toBe(200);
+    });
+
+    it('should change password and revoke other sessions', async () => {
+      const login = (password) => request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password });
+
+      const phone = await login('password123');
+      const laptop = await login('password123');
+
+      const wrong = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${laptop.body.token}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword456' });
+
+      expect(wrong.statusCode).toBe(400);
+
+      const res = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${laptop.body.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword456' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.revokedSessions).toBe(1);
+
+      const phoneMe = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${phone.body.token}`);
+
+      expect(phoneMe.statusCode).toBe(401);
+    });
+  });
+
+  describe('Email verification', () => {
+    let sentMail;
+
+    beforeEach(() => {
+      sentMail = [];
+      mailService.setTransport({
+        name: 'test',
+        send: async (message) => {
+          sentMail.push(message);
+          return { id: String(sentMail.length) };
+        }
+      });
+    });
+
+    const register = () => request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'test@example.com',
+        password: 'password123',
+        name: 'Test User'
+      });
+
+    it('should email a verification link on registration', async () => {
+      const res = await register();
+
+      expect(res.body.user.emailVerified).toBe(false);
+      expect(sentMail.length).toBe(1);
+      expect(sentMail[0].to).toBe('test@example.com');
+    });
+
+    it('should block AI features until the email is verified', async () => {
+      const res = await register();
+      const token = decodeURIComponent(sentMail[0].text.match(/token=([^\s]+)/)[1]);
+
+      const blocked = await request(app)
+        .post('/api/ai/insights')
+        .set('Authorization', `Bearer ${res.body.token}`)
+        .send({});
+
+      expect(blocked.statusCode).toBe(403);
+
+      const verify = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token });
+
+      expect(verify.statusCode).toBe(200);
+      expect(verify.body.user.emailVerified).toBe(true);
+
+      const allowed = await request(app)
+        .post('/api/ai/insights')
+        .set('Authorization', `Bearer ${res.body.token}`)
+        .send({});
+
+      expect(allowed.statusCode).toBe(200);
+    });
+
+    it('should reject an invalid verification token', async () => {
+      const res = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'not-a-real-token' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Login brute-force protection', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await User.create({
+        email: 'test@example.com',
+        password: 'password123',
+        name: 'Test User'
+      });
+    });
+
+    const login = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password });
+
+    it('should delay attempts after repeated failures', async () => {
+      for (let i = 0; i < 4; i++) {
+        await login('wrongpassword');
+      }
+
+      const res = await login('password123');
+
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['retry-after']).toBeDefined();
+    });
+
+    it('should lock the account, audit it and allow unlock by email', async () => {
+      const sentMail = [];
+      mailService.setTransport({
+        name: 'test',
+        send: async (message) => {
+          sentMail.push(message);
+          return { id: String(sentMail.length) };
+        }
+      });
+
+      // Skip the progressive delays so the lockout threshold is reached at once
+      const store = loginThrottle.createMemoryStore();
+      loginThrottle.setStore({
+        ...store,
+        get: async (key) => {
+          const record = await store.get(key);
+          return record && { ...record, lastFailureAt: null };
+        }
+      });
+
+      for (let i = 0; i < 10; i++) {
+        await login('wrongpassword');
+      }
+
+      const locked = await login('password123');
+      expect(locked.statusCode).toBe(423);
+
+      const audit = await AuditLog.findOne({ event: 'login.lockout', userId: user._id });
+      expect(audit).not.toBeNull();
+
+      const token = decodeURIComponent(sentMail[0].text.match(/token=([^\s]+)/)[1]);
+      const unlock = await request(app)
+        .post('/api/auth/unlock-account')
+        .send({ token });
+
+      expect(unlock.statusCode).toBe(200);
+
+      const res = await login('password123');
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let secret;
+    let recoveryCodes;
+
+    // Codes are single-use per time step, so later steps are used after enrollment
+    const codeForStep = (offset) =>
+      totp.generateCode(secret, Math.floor(Date.now() / 30000) + offset);
+
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'password123' });
+
+    beforeEach(async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'test@example.com',
+          password: 'password123',
+          name: 'Test User'
+        });
+      const auth = `Bearer ${registered.body.token}`;
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', auth);
+
+      expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+      secret = setup.body.secret;
+
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', auth)
+        .send({ code: codeForStep(0) });
+
+      expect(enable.statusCode).toBe(200);
+      recoveryCodes = enable.body.recoveryCodes;
+    });
+
+    it('should require a second factor after the password', async () => {
+      const first = await login();
+
+      expect(first.statusCode).toBe(200);
+      expect(first.body.mfaRequired).toBe(true);
+      expect(first.body.token).toBeUndefined();
+
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken: first.body.mfaToken, code: codeForStep(1) });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.token).toBeDefined();
+    });
+
+    it('should reject a wrong code', async () => {
+      const first = await login();
+
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken: first.body.mfaToken, code: '000000' });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const first = await login();
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken: first.body.mfaToken, recoveryCode: recoveryCodes[0] });
+
+      expect(res.statusCode).toBe(200);
+
+      const second = await login();
+      const reuse = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ mfaToken: second.body.mfaToken, recoveryCode: recoveryCodes[0] });
+
+      expect(reuse.statusCode).toBe(401);
+    });
+
+    it('should not accept the mfa token as an access token', async () => {
+      const first = await login();
+
+      const res = await request(app)
+        .get('/api/user/me')
+        .set('Authorization', `Bearer ${first.body.mfaToken}`);
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Calendar Tests
+ * @description Test suite for bucketing days, weeks and streaks in the user's timezone
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const tokenService = require('../services/token.service');
+const { createCalendar } = require('../utils/calendar');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+const KUALA_LUMPUR = 'Asia/Kuala_Lumpur';
+const kl = createCalendar({ timezone: KUALA_LUMPUR, weekStart: 'monday' });
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${authToken}`);
+
+// 07:00 in Kuala Lumpur is 23:00 UTC the evening before
+const morningInKL = (daysAgo) => kl.startOfDay(kl.addDays(kl.today(), -daysAgo)).hour(7).toDate();
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User',
+    profile: { timezone: KUALA_LUMPUR, weekStart: 'monday' }
+  });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+});
+
+describe('Calendar', () => {
+  describe('createCalendar', () => {
+    it('should keep DST days at local midnight', () => {
+      const ny = createCalendar({ timezone: 'America/New_York' });
+
+      expect(ny.dayRange('2024-03-10')).toEqual({
+        start: new Date('2024-03-10T05:00:00.000Z'),
+        end: new Date('2024-03-11T03:59:59.999Z')
+      });
+      expect(ny.daysBetween(new Date('2024-03-09T12:00:00-05:00'), new Date('2024-03-11T00:30:00-04:00'))).toBe(2);
+    });
+
+    it('should start weeks on the chosen day', () => {
+      // 2024-03-13 is a Wednesday
+      expect(kl.weekStartKey('2024-03-13')).toBe('2024-03-11');
+      expect(createCalendar({ weekStart: 'sunday' }).weekStartKey('2024-03-13')).toBe('2024-03-10');
+    });
+
+    it('should fall back to UTC for an unknown timezone', () => {
+      expect(createCalendar({ timezone: 'Mars/Olympus_Mons' }).timezone).toBe('UTC');
+    });
+  });
+
+  describe('daily analytics', () => {
+    it('should count an early morning log on the local day', async () => {
+      const loggedAt = morningInKL(1);
+      await api('post', '/api/intake/log').send({ puffs: 4, intensity: 'low', context: 'habit', loggedAt: loggedAt.toISOString() });
+
+      const res = await api('get', `/api/analytics/daily/${testUser._id}?date=${kl.dayKey(loggedAt)}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.analytics.timezone).toBe(KUALA_LUMPUR);
+      expect(res.body.analytics.totalPuffs).toBe(4);
+      expect(res.body.analytics.hourlyData[7]).toBe(4);
+    });
+  });
+
+  describe('weekly analytics', () => {
+    it("should default to the current week from the user's week start", async () => {
+      const res = await api('get', `/api/analytics/weekly/${testUser._id}`);
+
+      expect(res.body.analytics.weekStart).toBe(kl.weekStartKey(kl.today()));
+      expect(res.body.analytics.dailyData[0].dayOfWeek).toBe('Monday');
+    });
+  });
+
+  describe('streaks', () => {
+    it('should count consecutive local days', async () => {
+      for (const daysAgo of [2, 1, 0]) {
+        const loggedAt = daysAgo ? morningInKL(daysAgo) : new Date();
+        await api('post', '/api/intake/log').send({ puffs: 1, intensity: 'low', context: 'habit', loggedAt: loggedAt.toISOString() });
+      }
+
+      const streak = await Streak.findOne({ userId: testUser._id });
+      expect(streak.currentStreak).toBe(3);
+      expect(streak.dailyLog.map((day) => kl.dayKey(day.date))).toEqual(kl.eachDay(kl.addDays(kl.today(), -2), kl.today()));
+    });
+  });
+
+  describe('PATCH /api/user/update', () => {
+    it('should reject an unknown timezone or week start', async () => {
+      const badZone = await api('patch', '/api/user/update').send({ profile: { timezone: 'Mars/Olympus_Mons' } });
+      const badWeek = await api('patch', '/api/user/update').send({ profile: { weekStart: 'someday' } });
+
+      expect(badZone.statusCode).toBe(400);
+      expect(badWeek.statusCode).toBe(400);
+    });
+  });
+});
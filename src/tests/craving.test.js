@@ -0,0 +1,199 @@
+/**
+ * Craving Tests
+ * @description Test suite for craving logging and its use in analytics, predictions and gamification
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const dayjs = require('dayjs');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const { Craving } = require('../models/craving.model');
+const { UserAchievement } = require('../models/achievement.model');
+const tokenService = require('../services/token.service');
+const predictionService = require('../services/prediction.service');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+  await Craving.deleteMany({});
+  await UserAchievement.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User'
+  });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+});
+
+const logCraving = (body, token = authToken) => request(app)
+  .post('/api/cravings')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Craving Endpoints', () => {
+  describe('POST /api/cravings', () => {
+    it('should reward a resisted craving', async () => {
+      const res = await logCraving({
+        context: 'stress',
+        intensity: 'high',
+        outcome: 'resisted',
+        durationMinutes: 6,
+        copingTechnique: 'breathing'
+      });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.craving.intensityScore).toBe(3);
+      expect(res.body.gamification.cravingsResisted).toBe(1);
+      expect(res.body.gamification.newAchievements.map((a) => a.id)).toContain('craving_crusher');
+
+      const streak = await Streak.findOne({ userId: testUser._id });
+      expect(streak.totalXP).toBe(25 + 50);
+    });
+
+    it('should stop awarding XP after five resisted cravings a day', async () => {
+      const results = [];
+      for (let i = 0; i < 7; i++) {
+        results.push(await logCraving({ context: 'stress', intensity: 'low', outcome: 'resisted' }));
+      }
+
+      expect(results.map((res) => res.body.gamification.xpAwarded)).toEqual([25, 25, 25, 25, 25, 0, 0]);
+      expect(results[6].body.gamification.cravingsResisted).toBe(7);
+
+      const streak = await Streak.findOne({ userId: testUser._id });
+      // Plus the craving_crusher achievement for the first one
+      expect(streak.totalXP).toBe(5 * 25 + 50);
+    });
+
+    it('should link a craving the user gave in to with its intake', async () => {
+      const intake = await Intake.create({
+        userId: testUser._id,
+        puffs: 4,
+        intensity: 'medium',
+        context: 'social',
+        loggedAt: dayjs().subtract(1, 'hour').toDate()
+      });
+
+      const res = await logCraving({
+        context: 'social',
+        intensity: 'medium',
+        outcome: 'gave_in',
+        intakeId: String(intake._id)
+      });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.craving.intakeId).toBe(String(intake._id));
+      expect(new Date(res.body.craving.loggedAt).getTime()).toBe(intake.loggedAt.getTime());
+      expect(res.body.gamification.newAchievements).toHaveLength(0);
+    });
+
+    it("should not link another user's intake", async () => {
+      const other = await User.create({ email: 'other@example.com', password: 'password123', name: 'Other' });
+      const intake = await Intake.create({ userId: other._id, puffs: 1, intensity: 'low', context: 'habit' });
+
+      const res = await logCraving({
+        context: 'habit',
+        intensity: 'low',
+        outcome: 'gave_in',
+        intakeId: String(intake._id)
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should only link intakes to cravings the user gave in to', async () => {
+      const res = await logCraving({
+        context: 'habit',
+        intensity: 'low',
+        outcome: 'resisted',
+        intakeId: new mongoose.Types.ObjectId().toString()
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/cravings/user/:id', () => {
+    it('should list cravings filtered by outcome', async () => {
+      await Craving.create([
+        { userId: testUser._id, context: 'stress', intensity: 'high', outcome: 'resisted' },
+        { userId: testUser._id, context: 'bored', intensity: 'low', outcome: 'gave_in' }
+      ]);
+
+      const res = await request(app)
+        .get(`/api/cravings/user/${testUser._id}?outcome=resisted`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.total).toBe(1);
+      expect(res.body.cravings[0].outcome).toBe('resisted');
+    });
+
+    it('should reject invalid paging and filters', async () => {
+      for (const query of ['limit=abc', 'limit=1000000', 'page=0', 'startDate=someday', 'outcome=maybe']) {
+        const res = await request(app)
+          .get(`/api/cravings/user/${testUser._id}?${query}`)
+          .set('Authorization', `Bearer ${authToken}`);
+
+        expect(res.statusCode).toBe(400);
+      }
+    });
+  });
+
+  describe('analytics and predictions', () => {
+    beforeEach(async () => {
+      const base = dayjs().subtract(1, 'hour');
+      await Craving.create([
+        { userId: testUser._id, context: 'stress', intensity: 'high', outcome: 'resisted', copingTechnique: 'walk', durationMinutes: 4, loggedAt: base.toDate() },
+        { userId: testUser._id, context: 'stress', intensity: 'medium', outcome: 'resisted', copingTechnique: 'walk', durationMinutes: 8, loggedAt: base.subtract(1, 'day').toDate() },
+        { userId: testUser._id, context: 'stress', intensity: 'low', outcome: 'resisted', copingTechnique: 'water', loggedAt: base.subtract(2, 'day').toDate() },
+        { userId: testUser._id, context: 'habit', intensity: 'low', outcome: 'resisted', loggedAt: base.subtract(3, 'day').toDate() },
+        { userId: testUser._id, context: 'habit', intensity: 'low', outcome: 'resisted', loggedAt: base.subtract(4, 'day').toDate() },
+        { userId: testUser._id, context: 'bored', intensity: 'low', outcome: 'gave_in', copingTechnique: 'water', loggedAt: base.subtract(5, 'day').toDate() }
+      ]);
+    });
+
+    it('should summarize cravings in weekly analytics', async () => {
+      const res = await request(app)
+        .get(`/api/analytics/weekly/${testUser._id}?startDate=${dayjs().subtract(6, 'day').format('YYYY-MM-DD')}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.analytics.cravings.resisted).toBe(5);
+      expect(res.body.analytics.cravings.gaveIn).toBe(1);
+      expect(res.body.analytics.cravings.resistRate).toBe(83);
+      expect(res.body.analytics.cravings.copingTechniques.walk).toEqual({ used: 2, resisted: 2 });
+    });
+
+    it('should predict from resisted cravings alone', async () => {
+      const prediction = await predictionService.predictCraving(testUser._id);
+
+      expect(prediction.probability).not.toBeNull();
+      expect(prediction.historicalContext.totalDataPoints).toBe(5);
+      expect(prediction.cravings.bestCopingTechnique.technique).toBe('walk');
+      expect(prediction.recommendation.personalTip).toMatch(/^Walk helped you resist 2 of 2 cravings/);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Import Tests
+ * @description Test suite for bulk intake import and rollback
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const ImportBatch = require('../models/importBatch.model');
+const IntakeRevision = require('../models/intakeRevision.model');
+const { Craving } = require('../models/craving.model');
+const { Product } = require('../models/product.model');
+const { Place } = require('../models/place.model');
+const tokenService = require('../services/token.service');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+  await ImportBatch.deleteMany({});
+  await IntakeRevision.deleteMany({});
+  await Craving.deleteMany({});
+  await Product.deleteMany({});
+  await Place.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User'
+  });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+});
+
+// Spreadsheet export with its own column names
+const csv = [
+  'Date,Hits,Strength,Why,Note',
+  '2024-03-01 08:00,3,Low,habit,Morning coffee',
+  '2024-03-02 12:30,5,high,stress,"Deadline, again"',
+  '2024-03-03 18:00,2,medium,social,',
+  'not a date,0,extreme,habit,'
+].join('\n');
+
+const mapping = JSON.stringify({ loggedAt: 'Date', puffs: 'Hits', intensity: 'Strength', context: 'Why', notes: 'Note' });
+
+const importJson = (rows) => request(app)
+  .post('/api/intake/import')
+  .set('Authorization', `Bearer ${authToken}`)
+  .set('Content-Type', 'application/json')
+  .send(JSON.stringify(rows));
+
+const importCsv = (query = {}) => request(app)
+  .post('/api/intake/import')
+  .query({ mapping, ...query })
+  .set('Authorization', `Bearer ${authToken}`)
+  .set('Content-Type', 'text/csv')
+  .send(csv);
+
+describe('Import Endpoints', () => {
+  describe('POST /api/intake/import', () => {
+    it('should report row errors on a dry run without saving', async () => {
+      const res = await importCsv({ dryRun: 'true' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.dryRun).toBe(true);
+      expect(res.body.valid).toBe(3);
+      expect(res.body.invalid).toBe(1);
+      expect(res.body.errors[0].row).toBe(4);
+      expect(res.body.errors[0].errors.map((e) => e.field)).toEqual(
+        expect.arrayContaining(['loggedAt', 'puffs', 'intensity'])
+      );
+      expect(await Intake.countDocuments()).toBe(0);
+      expect(await ImportBatch.countDocuments()).toBe(0);
+    });
+
+    it('should import valid rows as a batch and rebuild streak counters', async () => {
+      const res = await importCsv();
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.imported).toBe(3);
+      expect(res.body.batchId).toBeDefined();
+
+      const intakes = await Intake.find({ userId: testUser._id }).sort({ loggedAt: 1 });
+      expect(intakes).toHaveLength(3);
+      expect(intakes[1].notes).toBe('Deadline, again');
+      expect(intakes.every((intake) => String(intake.importBatchId) === res.body.batchId)).toBe(true);
+
+      const streak = await Streak.findOne({ userId: testUser._id });
+      expect(streak.totalLogsCount).toBe(3);
+      expect(streak.longestStreak).toBe(3);
+      expect(streak.dailyLog).toHaveLength(3);
+      expect(streak.totalXP).toBe(0);
+    });
+
+    it('should skip rows that were already imported', async () => {
+      await importCsv();
+      const res = await importCsv();
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.imported).toBe(0);
+      expect(res.body.duplicates).toBe(3);
+      expect(await Intake.countDocuments({ userId: testUser._id })).toBe(3);
+    });
+
+    it('should accept JSON files larger than the regular body limit', async () => {
+      const rows = Array.from({ length: 300 }, (_, i) => ({
+        loggedAt: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString(),
+        puffs: 1,
+        intensity: 'low',
+        context: 'habit',
+        notes: 'Imported from another quit app'
+      }));
+
+      const res = await request(app)
+        .post('/api/intake/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(rows));
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.imported).toBe(300);
+    });
+
+    it("should read times without an offset in the user's timezone", async () => {
+      await User.updateOne({ _id: testUser._id }, { 'profile.timezone': 'Asia/Kuala_Lumpur' });
+
+      const res = await importJson([
+        { loggedAt: '2024-03-01 07:00', puffs: 1, intensity: 'low', context: 'habit' },
+        { loggedAt: '2024-03-01T07:00:00Z', puffs: 2, intensity: 'low', context: 'habit' }
+      ]);
+
+      expect(res.statusCode).toBe(201);
+      const intakes = await Intake.find({ userId: testUser._id }).sort({ puffs: 1 });
+      // 07:00 in Kuala Lumpur (UTC+8) is 23:00 UTC the day before
+      expect(intakes[0].loggedAt.toISOString()).toBe('2024-02-29T23:00:00.000Z');
+      expect(intakes[1].loggedAt.toISOString()).toBe('2024-03-01T07:00:00.000Z');
+    });
+
+    it('should apply the default product and match places like logged intakes', async () => {
+      const product = await Product.create({ userId: testUser._id, name: 'Reds', type: 'cigarette', nicotineMgPerUnit: 1.2, isDefault: true });
+      const place = await Place.create({ userId: testUser._id, name: 'Office', center: { type: 'Point', coordinates: [101.69, 3.14] } });
+
+      await importJson([{ loggedAt: '2024-03-01T07:00:00Z', puffs: 2, intensity: 'low', context: 'habit', location: 'office' }]);
+
+      const intake = await Intake.findOne({ userId: testUser._id });
+      expect(String(intake.productId)).toBe(String(product._id));
+      expect(intake.unit).toBe('cigarette');
+      expect(intake.nicotineMg).toBe(2.4);
+      expect(String(intake.placeId)).toBe(String(place._id));
+    });
+
+    it('should reject unknown mapping fields', async () => {
+      const res = await importCsv({ mapping: JSON.stringify({ userId: 'Date' }) });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/intake/import/:batchId', () => {
+    it('should remove the imported intakes and recompute stats', async () => {
+      const imported = await importCsv();
+      await Intake.create({ userId: testUser._id, puffs: 1, intensity: 'low', context: 'habit' });
+
+      const res = await request(app)
+        .delete(`/api/intake/import/${imported.body.batchId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.removed).toBe(3);
+      expect(await Intake.countDocuments({ userId: testUser._id })).toBe(1);
+      expect((await ImportBatch.findById(imported.body.batchId)).status).toBe('rolled_back');
+      expect((await Streak.findOne({ userId: testUser._id })).totalLogsCount).toBe(1);
+
+      const again = await request(app)
+        .delete(`/api/intake/import/${imported.body.batchId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(again.statusCode).toBe(409);
+    });
+
+    it('should drop edit history and craving links of the removed intakes', async () => {
+      const imported = await importCsv();
+      const intake = await Intake.findOne({ userId: testUser._id });
+      await request(app)
+        .patch(`/api/intake/${intake._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ puffs: 4 });
+      const craving = await Craving.create({ userId: testUser._id, context: 'stress', intensity: 'high', outcome: 'gave_in', intakeId: intake._id });
+
+      await request(app)
+        .delete(`/api/intake/import/${imported.body.batchId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(await IntakeRevision.countDocuments({ intakeId: intake._id })).toBe(0);
+      expect((await Craving.findById(craving._id)).intakeId).toBeNull();
+    });
+
+    it("should not roll back another user's import", async () => {
+      const imported = await importCsv();
+      const other = await User.create({ email: 'other@example.com', password: 'password123', name: 'Other' });
+      const otherToken = (await tokenService.createSession(other)).accessToken;
+
+      const res = await request(app)
+        .delete(`/api/intake/import/${imported.body.batchId}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(res.statusCode).toBe(403);
+      expect(await Intake.countDocuments({ userId: testUser._id })).toBe(3);
+    });
+  });
+});
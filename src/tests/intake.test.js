@@ -6,10 +6,16 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
+const dayjs = require('dayjs');
 const app = require('../server');
 const User = require('../models/user.model');
 const Intake = require('../models/intake.model');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const IntakeRevision = require('../models/intakeRevision.model');
+const tokenService = require('../services/token.service');
+const intakeService = require('../services/intake.service');
+const { createCalendar } = require('../utils/calendar');
 
 let mongoServer;
 let testUser;
@@ -29,6 +35,9 @@ afterAll(async () => {
 beforeEach(async () => {
   await User.deleteMany({});
   await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+  await IntakeRevision.deleteMany({});
   
   testUser = await User.create({
     email: 'test@example.com',
@@ -36,7 +45,8 @@ beforeEach(async () => {
     name: 'Test User'
   });
   
-  authToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET || 'test-secret');
+  const tokens = await tokenService.createSession(testUser);
+  authToken = tokens.accessToken;
 });
 
 describe('Intake Endpoints', () => {
@@ -71,6 +81,195 @@ describe('Intake Endpoints', () => {
     });
   });
 
+  describe('backdated and offline logging', () => {
+    const entry = (daysAgo, clientId) => ({
+      puffs: 2,
+      intensity: 'low',
+      context: 'habit',
+      loggedAt: dayjs().subtract(daysAgo, 'day').hour(12).toISOString(),
+      clientId
+    });
+
+    it('should keep a client-supplied loggedAt', async () => {
+      const body = entry(2);
+
+      const res = await request(app)
+        .post('/api/intake/log')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.intake.loggedAt).toBe(new Date(body.loggedAt).toISOString());
+    });
+
+    it('should reject future and too old entries', async () => {
+      const future = await request(app)
+        .post('/api/intake/log')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...entry(0), loggedAt: dayjs().add(1, 'hour').toISOString() });
+      const ancient = await request(app)
+        .post('/api/intake/log')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(entry(365));
+
+      expect(future.statusCode).toBe(400);
+      expect(ancient.statusCode).toBe(400);
+    });
+
+    it('should reject a fractional mood', async () => {
+      const res = await request(app)
+        .post('/api/intake/log')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...entry(0), mood: 2.5 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not log the same clientId twice', async () => {
+      const body = entry(1, 'a1b2c3');
+
+      const first = await request(app)
+        .post('/api/intake/log')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body);
+      const retry = await request(app)
+        .post('/api/intake/log')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body);
+
+      expect(first.statusCode).toBe(201);
+      expect(retry.statusCode).toBe(200);
+      expect(retry.body.duplicate).toBe(true);
+      expect(retry.body.intake._id).toBe(first.body.intake._id);
+      expect(await Intake.countDocuments({ userId: testUser._id })).toBe(1);
+    });
+
+    it('should sync a batch idempotently with per-entry results', async () => {
+      const entries = [entry(2, 'e1'), entry(1, 'e2'), { puffs: 0, clientId: 'bad' }, entry(0, 'e3')];
+
+      const res = await request(app)
+        .post('/api/intake/sync')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ entries });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.created).toBe(3);
+      expect(res.body.failed).toBe(1);
+      expect(res.body.results.map((r) => r.status)).toEqual(['created', 'created', 'invalid', 'created']);
+      expect(res.body.gamification.streak.currentStreak).toBe(3);
+
+      const retry = await request(app)
+        .post('/api/intake/sync')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ entries });
+
+      expect(retry.body.created).toBe(0);
+      expect(retry.body.duplicates).toBe(3);
+      expect(await Intake.countDocuments({ userId: testUser._id })).toBe(3);
+    });
+
+    it('should rebuild the streak when a backdated entry fills a gap', async () => {
+      for (const body of [entry(3, 'd3'), entry(1, 'd1')]) {
+        await request(app)
+          .post('/api/intake/log')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(body);
+      }
+      expect((await Streak.findOne({ userId: testUser._id })).currentStreak).toBe(1);
+
+      const res = await request(app)
+        .post('/api/intake/log')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(entry(2, 'd2'));
+
+      expect(res.body.gamification.streak.currentStreak).toBe(3);
+      expect(res.body.gamification.streak.longestStreak).toBe(3);
+    });
+  });
+
+  describe('GET /api/intake/export', () => {
+    // Read streamed bodies of any content type as text
+    const readText = (response, callback) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { text += chunk; });
+      response.on('end', () => callback(null, text));
+    };
+
+    beforeEach(async () => {
+      await User.updateOne({ _id: testUser._id }, { 'profile.timezone': 'America/New_York' });
+      await Intake.create([
+        { userId: testUser._id, puffs: 3, intensity: 'high', context: 'stress', notes: 'Work, again', loggedAt: new Date('2024-03-10T23:30:00Z') },
+        { userId: testUser._id, puffs: 1, intensity: 'low', context: 'habit', loggedAt: new Date('2024-03-12T12:00:00Z') }
+      ]);
+    });
+
+    it('should export CSV in a stable column order with local times', async () => {
+      const res = await request(app)
+        .get('/api/intake/export')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toMatch(/attachment; filename="smokeless-intakes-.*\.csv"/);
+
+      const lines = res.text.trim().split('\r\n');
+      expect(lines[0]).toBe('id,loggedAt,date,time,timezone,puffs,intensity,intensityScore,context,mood,location,notes,createdAt,product,unit,nicotineMg,place,latitude,longitude');
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain(',2024-03-10T19:30:00-04:00,2024-03-10,19:30,America/New_York,3,high,3,stress,,,"Work, again",');
+    });
+
+    it('should keep notes that look like formulas as text', async () => {
+      await Intake.create({ userId: testUser._id, puffs: 2, intensity: 'low', context: 'other', notes: '=HYPERLINK("http://x")', location: '@home', loggedAt: new Date('2024-03-11T12:00:00Z') });
+
+      const res = await request(app)
+        .get('/api/intake/export')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.text).toContain(',"\'@home","\'=HYPERLINK(""http://x"")",');
+    });
+
+    it('should export NDJSON and JSON', async () => {
+      const ndjson = await request(app)
+        .get('/api/intake/export?format=ndjson')
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(readText);
+      const rows = ndjson.body.trim().split('\n').map((line) => JSON.parse(line));
+      expect(rows).toHaveLength(2);
+      expect(rows[1].intensityScore).toBe(1);
+
+      const json = await request(app)
+        .get('/api/intake/export?format=json')
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(readText);
+      const data = JSON.parse(json.body);
+      expect(data.timezone).toBe('America/New_York');
+      expect(data.intakes.map((intake) => intake.puffs)).toEqual([3, 1]);
+    });
+
+    it('should filter by calendar days in the user\'s timezone', async () => {
+      const res = await request(app)
+        .get('/api/intake/export?format=ndjson&startDate=2024-03-10&endDate=2024-03-10')
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(readText);
+
+      const rows = res.body.trim().split('\n').map((line) => JSON.parse(line));
+      expect(rows).toHaveLength(1);
+      expect(rows[0].date).toBe('2024-03-10');
+    });
+
+    it('should reject unknown formats', async () => {
+      const res = await request(app)
+        .get('/api/intake/export?format=xml')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
   describe('GET /api/intake/user/:id', () => {
     beforeEach(async () => {
       await Intake.create([
@@ -88,6 +287,158 @@ describe('Intake Endpoints', () => {
       expect(res.body.success).toBe(true);
       expect(res.body.intakes.length).toBe(2);
     });
+
+    it('should page with a cursor that is stable when new entries arrive', async () => {
+      await Intake.create({ userId: testUser._id, puffs: 6, intensity: 'medium', context: 'social', loggedAt: dayjs().subtract(1, 'day').toDate() });
+
+      const first = await request(app)
+        .get(`/api/intake/user/${testUser._id}?limit=2`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(first.body.intakes.length).toBe(2);
+      expect(first.body.hasMore).toBe(true);
+      expect(first.body.total).toBeUndefined();
+
+      await Intake.create({ userId: testUser._id, puffs: 8, intensity: 'low', context: 'habit' });
+
+      const second = await request(app)
+        .get(`/api/intake/user/${testUser._id}?limit=2&cursor=${first.body.nextCursor}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(second.body.intakes.map((i) => i.puffs)).toEqual([6]);
+      expect(second.body.hasMore).toBe(false);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    it('should keep numbered pages with totals', async () => {
+      const res = await request(app)
+        .get(`/api/intake/user/${testUser._id}?page=1&limit=1`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.body.total).toBe(2);
+      expect(res.body.pages).toBe(2);
+      expect(res.body.page).toBe(1);
+    });
+
+    it('should filter and select fields', async () => {
+      await Intake.create({ userId: testUser._id, puffs: 3, intensity: 'high', context: 'social', mood: 2, location: 'Work', notes: 'After the Monday standup' });
+
+      const res = await request(app)
+        .get(`/api/intake/user/${testUser._id}?context=social,stress&intensity=high&maxMood=3&location=work&q=standup&fields=puffs,notes`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.intakes).toHaveLength(1);
+      expect(res.body.intakes[0].notes).toBe('After the Monday standup');
+      expect(res.body.intakes[0].context).toBeUndefined();
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const res = await request(app)
+        .get(`/api/intake/user/${testUser._id}?cursor=not-a-cursor`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/intake/:logId', () => {
+    let testIntake;
+
+    beforeEach(async () => {
+      testIntake = await Intake.create({
+        userId: testUser._id,
+        puffs: 20,
+        intensity: 'low',
+        context: 'habit',
+        loggedAt: dayjs().subtract(3, 'day').hour(9).toDate()
+      });
+    });
+
+    it('should correct an intake and record the revision', async () => {
+      const res = await request(app)
+        .patch(`/api/intake/${testIntake._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ puffs: 2, context: 'stress' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.intake.puffs).toBe(2);
+      expect(res.body.intake.loggedAt).toBe(testIntake.loggedAt.toISOString());
+      expect(res.body.changes).toEqual([
+        { field: 'puffs', from: 20, to: 2 },
+        { field: 'context', from: 'habit', to: 'stress' }
+      ]);
+
+      const history = await request(app)
+        .get(`/api/intake/${testIntake._id}/history`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(history.body.count).toBe(1);
+      expect(history.body.revisions[0].editedBy).toBe(testUser._id.toString());
+    });
+
+    it('should recompute daily totals when moving an entry to another day', async () => {
+      const newDay = dayjs().subtract(2, 'day').hour(9);
+
+      const res = await request(app)
+        .patch(`/api/intake/${testIntake._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ loggedAt: newDay.toISOString() });
+
+      expect(res.statusCode).toBe(200);
+
+      const streak = await Streak.findOne({ userId: testUser._id });
+      expect(streak.dailyLog).toHaveLength(1);
+      // Days are the user's calendar days, UTC unless a timezone is set
+      expect(streak.dailyLog[0].date).toEqual(createCalendar().dayRange(newDay.toDate()).start);
+      expect(streak.dailyLog[0].totalPuffs).toBe(20);
+    });
+
+    it('should rebuild the streak when moving an entry to another day', async () => {
+      await Intake.create({ userId: testUser._id, puffs: 5, intensity: 'low', context: 'habit', loggedAt: dayjs().subtract(1, 'day').hour(9).toDate() });
+      const move = (daysAgo) => request(app)
+        .patch(`/api/intake/${testIntake._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ loggedAt: dayjs().subtract(daysAgo, 'day').hour(9).toISOString() });
+
+      // Next to yesterday's entry: two days in a row
+      await move(2);
+      let streak = await Streak.findOne({ userId: testUser._id });
+      expect(streak.currentStreak).toBe(2);
+      expect(streak.longestStreak).toBe(2);
+
+      // Away from it again: the current run is back to one day
+      await move(5);
+      streak = await Streak.findOne({ userId: testUser._id });
+      expect(streak.currentStreak).toBe(1);
+      expect(streak.longestStreak).toBe(2);
+    });
+
+    it('should reject an empty or invalid update', async () => {
+      const empty = await request(app)
+        .patch(`/api/intake/${testIntake._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({});
+      const invalid = await request(app)
+        .patch(`/api/intake/${testIntake._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ intensity: 'extreme' });
+
+      expect(empty.statusCode).toBe(400);
+      expect(invalid.statusCode).toBe(400);
+    });
+
+    it("should not edit another user's intake", async () => {
+      const other = await User.create({ email: 'other@example.com', password: 'password123', name: 'Other' });
+      const { accessToken } = await tokenService.createSession(other);
+
+      const res = await request(app)
+        .patch(`/api/intake/${testIntake._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ puffs: 1 });
+
+      expect(res.statusCode).toBe(403);
+    });
   });
 
   describe('DELETE /api/intake/:logId', () => {
@@ -109,7 +460,83 @@ describe('Intake Endpoints', () => {
 
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
+      expect(res.body.purgeAt).toBeDefined();
+    });
+
+    it('should hide deleted intakes and correct the stats until restored', async () => {
+      const logged = await request(app)
+        .post('/api/intake/log')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ puffs: 5, intensity: 'medium', context: 'stress' });
+      const logId = logged.body.intake._id;
+
+      await request(app)
+        .delete(`/api/intake/${logId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      let streak = await Streak.findOne({ userId: testUser._id });
+      expect(streak.totalLogsCount).toBe(0);
+      expect(streak.dailyLog[0].totalPuffs).toBe(2);
+
+      const list = await request(app)
+        .get(`/api/intake/user/${testUser._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(list.body.intakes.map((i) => i._id)).toEqual([String(testIntake._id)]);
+
+      const daily = await request(app)
+        .get(`/api/analytics/daily/${testUser._id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(daily.body.analytics.totalPuffs).toBe(2);
+
+      const trash = await request(app)
+        .get('/api/intake/trash')
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(trash.body.intakes.map((i) => i._id)).toEqual([logId]);
+      expect(trash.body.intakes[0].purgeAt).toBeDefined();
+
+      const restored = await request(app)
+        .post(`/api/intake/${logId}/restore`)
+        .set('Authorization', `Bearer ${authToken}`);
+      expect(restored.statusCode).toBe(200);
+      expect(restored.body.intake.deletedAt).toBeNull();
+
+      streak = await Streak.findOne({ userId: testUser._id });
+      expect(streak.totalLogsCount).toBe(1);
+      expect(streak.dailyLog[0].totalPuffs).toBe(7);
+    });
+
+    it('should only restore intakes that are in the trash', async () => {
+      const res = await request(app)
+        .post(`/api/intake/${testIntake._id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should not bring back a deleted entry on a late sync retry', async () => {
+      const body = { puffs: 3, intensity: 'low', context: 'habit', clientId: 'phone-1' };
+      const logged = await request(app).post('/api/intake/log').set('Authorization', `Bearer ${authToken}`).send(body);
+      await request(app).delete(`/api/intake/${logged.body.intake._id}`).set('Authorization', `Bearer ${authToken}`);
+
+      const retry = await request(app).post('/api/intake/log').set('Authorization', `Bearer ${authToken}`).send(body);
+
+      expect(retry.body.duplicate).toBe(true);
+      expect(retry.body.intake.deletedAt).not.toBeNull();
+      expect(await Intake.countDocuments({ userId: testUser._id, clientId: 'phone-1' })).toBe(0);
+    });
+
+    it('should purge intakes past the retention period', async () => {
+      await Intake.create({
+        userId: testUser._id,
+        puffs: 1,
+        intensity: 'low',
+        context: 'habit',
+        deletedAt: dayjs().subtract(31, 'day').toDate()
+      });
+      await Intake.updateOne({ _id: testIntake._id }, { deletedAt: dayjs().subtract(1, 'day').toDate() });
+
+      expect(await intakeService.purgeTrash()).toBe(1);
+      expect(await Intake.countDocuments({ deletedAt: { $ne: null } })).toBe(1);
     });
   });
 });
-
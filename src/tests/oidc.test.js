@@ -0,0 +1,206 @@
+/**
+ * OIDC Tests
+ * @description Test suite for OpenID Connect sign-in against a local mock provider
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const oidcService = require('../services/oidc.service');
+
+let mongoServer;
+let idpServer;
+let issuer;
+
+const CLIENT_ID = 'smokeless-test';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+
+// Authorization codes issued by the mock provider
+const codes = new Map();
+
+// Minimal identity provider: discovery, JWKS and a PKCE-checking token endpoint
+const createMockIdp = () => {
+  const idp = express();
+  idp.use(express.urlencoded({ extended: false }));
+
+  idp.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`
+    });
+  });
+
+  idp.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  idp.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!grant || grant.codeChallenge !== challenge || req.body.client_id !== CLIENT_ID) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: jwk.kid, issuer, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  return idp;
+};
+
+/**
+ * Start sign-in, have the mock provider "approve" it, and return the callback request
+ * @param {Object} claims - Claims the provider should assert
+ */
+const signInWith = async (claims) => {
+  const start = await request(app).get('/api/auth/oidc/mock');
+  expect(start.statusCode).toBe(302);
+
+  const location = new URL(start.headers.location);
+  const code = crypto.randomBytes(8).toString('hex');
+  codes.set(code, {
+    claims,
+    nonce: location.searchParams.get('nonce'),
+    codeChallenge: location.searchParams.get('code_challenge')
+  });
+
+  return request(app)
+    .get('/api/auth/oidc/mock/callback')
+    .query({ code, state: location.searchParams.get('state') })
+    .set('Cookie', start.headers['set-cookie']);
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  await new Promise((resolve) => {
+    idpServer = createMockIdp().listen(0, '127.0.0.1', resolve);
+  });
+  issuer = `http://127.0.0.1:${idpServer.address().port}`;
+
+  oidcService.configureProviders([{ name: 'mock', issuer, clientId: CLIENT_ID }]);
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => idpServer.close(resolve));
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  codes.clear();
+});
+
+describe('OIDC Sign-in', () => {
+  it('should list configured providers', async () => {
+    const res = await request(app).get('/api/auth/oidc');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.providers).toEqual(['mock']);
+  });
+
+  it('should redirect to the provider with PKCE parameters', async () => {
+    const res = await request(app).get('/api/auth/oidc/mock');
+
+    expect(res.statusCode).toBe(302);
+    const location = new URL(res.headers.location);
+    expect(location.origin + location.pathname).toBe(`${issuer}/authorize`);
+    expect(location.searchParams.get('client_id')).toBe(CLIENT_ID);
+    expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(res.headers['set-cookie'][0]).toMatch(/^oidcState=/);
+  });
+
+  it('should return 404 for an unknown provider', async () => {
+    const res = await request(app).get('/api/auth/oidc/unknown');
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should create a password-less user on first sign-in', async () => {
+    const res = await signInWith({ sub: 'abc-123', email: 'New@Example.com', email_verified: true, name: 'New User' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.user.email).toBe('new@example.com');
+    expect(res.body.user.emailVerified).toBe(true);
+
+    const user = await User.findOne({ email: 'new@example.com' }).select('+password');
+    expect(user.password).toBeUndefined();
+    expect(user.identities[0]).toMatchObject({ provider: 'mock', subject: 'abc-123' });
+
+    // Password login is not possible for this account
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'new@example.com', password: 'anything123' });
+    expect(login.statusCode).toBe(401);
+  });
+
+  it('should sign the same identity back into the same account', async () => {
+    await signInWith({ sub: 'abc-123', email: 'new@example.com', email_verified: true });
+    const res = await signInWith({ sub: 'abc-123', email: 'changed@example.com', email_verified: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.email).toBe('new@example.com');
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it('should link to an existing user with the same verified email', async () => {
+    const existing = await User.create({
+      email: 'test@example.com',
+      password: 'password123',
+      name: 'Test User',
+      emailVerified: true
+    });
+
+    const res = await signInWith({ sub: 'xyz', email: 'test@example.com', email_verified: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user._id).toBe(existing._id.toString());
+
+    const user = await User.findById(existing._id);
+    expect(user.identities).toHaveLength(1);
+  });
+
+  it('should not link when the local email is unverified', async () => {
+    await User.create({ email: 'test@example.com', password: 'password123', name: 'Test User' });
+
+    const res = await signInWith({ sub: 'xyz', email: 'test@example.com', email_verified: true });
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should reject a callback with a mismatched state', async () => {
+    const start = await request(app).get('/api/auth/oidc/mock');
+
+    const res = await request(app)
+      .get('/api/auth/oidc/mock/callback')
+      .query({ code: 'whatever', state: 'forged' })
+      .set('Cookie', start.headers['set-cookie']);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should reject a callback without the state cookie', async () => {
+    const res = await request(app)
+      .get('/api/auth/oidc/mock/callback')
+      .query({ code: 'whatever', state: 'whatever' });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
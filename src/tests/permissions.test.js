@@ -0,0 +1,193 @@
+/**
+ * Permission Tests
+ * @description Test suite for roles, coach assignments and resource authorization
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const tokenService = require('../services/token.service');
+
+let mongoServer;
+let patient;
+let otherUser;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createUser = (email, role = 'user') => User.create({
+  email,
+  password: 'password123',
+  name: email.split('@')[0],
+  role
+});
+
+const tokenFor = async (user) => (await tokenService.createSession(user)).accessToken;
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+
+  patient = await createUser('patient@example.com');
+  otherUser = await createUser('other@example.com');
+});
+
+describe('Permissions', () => {
+  describe('coach', () => {
+    let coach;
+    let coachToken;
+
+    beforeEach(async () => {
+      coach = await createUser('coach@example.com', 'coach');
+      coachToken = await tokenFor(coach);
+      await User.updateOne({ _id: patient._id }, { coaches: [coach._id] });
+    });
+
+    it('should see analytics of assigned patients', async () => {
+      const res = await request(app)
+        .get(`/api/analytics/daily/${patient._id}`)
+        .set('Authorization', `Bearer ${coachToken}`);
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should not see analytics of other users', async () => {
+      const res = await request(app)
+        .get(`/api/analytics/daily/${otherUser._id}`)
+        .set('Authorization', `Bearer ${coachToken}`);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toBe('Not authorized to access this resource');
+    });
+
+    it('should not read raw logs of assigned patients', async () => {
+      const intakes = await request(app)
+        .get(`/api/intake/user/${patient._id}`)
+        .set('Authorization', `Bearer ${coachToken}`);
+      const cravings = await request(app)
+        .get(`/api/cravings/user/${patient._id}`)
+        .set('Authorization', `Bearer ${coachToken}`);
+      const exported = await request(app)
+        .get(`/api/intake/export?userId=${patient._id}`)
+        .set('Authorization', `Bearer ${coachToken}`);
+
+      expect(intakes.statusCode).toBe(403);
+      expect(cravings.statusCode).toBe(403);
+      expect(exported.statusCode).toBe(403);
+    });
+
+    it('should not delete a patient intake', async () => {
+      const intake = await Intake.create({ userId: patient._id, puffs: 2, intensity: 'low', context: 'habit' });
+
+      const res = await request(app)
+        .delete(`/api/intake/${intake._id}`)
+        .set('Authorization', `Bearer ${coachToken}`);
+
+      expect(res.statusCode).toBe(403);
+      expect(await Intake.countDocuments()).toBe(1);
+    });
+
+    it('should list assigned patients', async () => {
+      const res = await request(app)
+        .get('/api/user/patients')
+        .set('Authorization', `Bearer ${coachToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.patients.map((p) => p.email)).toEqual(['patient@example.com']);
+    });
+  });
+
+  it('should let researchers read analytics but not raw intakes', async () => {
+    const token = await tokenFor(await createUser('research@example.com', 'researcher'));
+
+    const analytics = await request(app)
+      .get(`/api/analytics/weekly/${patient._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    const intakes = await request(app)
+      .get(`/api/intake/user/${patient._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(analytics.statusCode).toBe(200);
+    expect(intakes.statusCode).toBe(403);
+  });
+
+  it('should keep place names and locations from researchers', async () => {
+    const researcherToken = await tokenFor(await createUser('research@example.com', 'researcher'));
+    const coach = await createUser('coach@example.com', 'coach');
+    await User.updateOne({ _id: patient._id }, { coaches: [coach._id] });
+
+    const researcher = await request(app)
+      .get(`/api/analytics/places/${patient._id}`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    const assigned = await request(app)
+      .get(`/api/analytics/places/${patient._id}`)
+      .set('Authorization', `Bearer ${await tokenFor(coach)}`);
+
+    expect(researcher.statusCode).toBe(403);
+    expect(assigned.statusCode).toBe(200);
+  });
+
+  it('should not let regular users list patients', async () => {
+    const res = await request(app)
+      .get('/api/user/patients')
+      .set('Authorization', `Bearer ${await tokenFor(patient)}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  describe('admin', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      adminToken = await tokenFor(await createUser('admin@example.com', 'admin'));
+    });
+
+    it('should change roles and assign coaches', async () => {
+      const role = await request(app)
+        .patch(`/api/user/${otherUser._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'coach' });
+      expect(role.statusCode).toBe(200);
+      expect(role.body.user.role).toBe('coach');
+
+      const assign = await request(app)
+        .put(`/api/user/${patient._id}/coaches/${otherUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(assign.statusCode).toBe(200);
+
+      const res = await request(app)
+        .get(`/api/analytics/daily/${patient._id}`)
+        .set('Authorization', `Bearer ${await tokenFor(otherUser)}`);
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should refuse to assign a non-coach', async () => {
+      const res = await request(app)
+        .put(`/api/user/${patient._id}/coaches/${otherUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  it('should not let users change roles', async () => {
+    const res = await request(app)
+      .patch(`/api/user/${patient._id}/role`)
+      .set('Authorization', `Bearer ${await tokenFor(otherUser)}`)
+      .send({ role: 'admin' });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Place Tests
+ * @description Test suite for named places, intake coordinates and place analytics
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const { Place } = require('../models/place.model');
+const tokenService = require('../services/token.service');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+// Office at Alexanderplatz, Berlin; a spot ~80 m away and one ~2 km away
+const OFFICE = { latitude: 52.521918, longitude: 13.413215 };
+const NEAR_OFFICE = { latitude: 52.522400, longitude: 13.414100 };
+const FAR_AWAY = { latitude: 52.507700, longitude: 13.390400 };
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Place.init();
+  await Intake.init();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${authToken}`);
+
+const logIntake = (body) => api('post', '/api/intake/log').send({ puffs: 3, intensity: 'medium', context: 'stress', ...body });
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+  await Place.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User',
+    profile: { locationPrecision: 'street' }
+  });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+});
+
+describe('Place Endpoints', () => {
+  describe('matching intakes to places', () => {
+    let office;
+
+    beforeEach(async () => {
+      const res = await api('post', '/api/places').send({ name: 'Office', aliases: ['work'], ...OFFICE });
+      office = res.body.place;
+    });
+
+    it('should match by coordinates within the radius', async () => {
+      const near = await logIntake({ coordinates: NEAR_OFFICE });
+      const far = await logIntake({ coordinates: FAR_AWAY });
+
+      expect(near.body.intake.placeId).toBe(office._id);
+      expect(far.body.intake.placeId).toBeNull();
+    });
+
+    it('should match free-text locations by name or alias, ignoring case', async () => {
+      const byName = await logIntake({ location: 'office' });
+      const byAlias = await logIntake({ location: 'Work ' });
+
+      expect(byName.body.intake.placeId).toBe(office._id);
+      expect(byAlias.body.intake.placeId).toBe(office._id);
+    });
+
+    it('should match earlier intakes when a place is added', async () => {
+      await logIntake({ location: 'Gym' });
+
+      const res = await api('post', '/api/places').send({ name: 'gym', ...FAR_AWAY });
+
+      expect(res.body.matchedIntakes).toBe(1);
+    });
+  });
+
+  describe('coordinate privacy', () => {
+    it('should store coordinates rounded to the chosen precision', async () => {
+      const res = await logIntake({ coordinates: NEAR_OFFICE });
+
+      expect(res.body.intake.geo.coordinates).toEqual([13.414, 52.522]);
+    });
+
+    it('should not store coordinates unless the user opted in', async () => {
+      await User.updateOne({ _id: testUser._id }, { 'profile.locationPrecision': 'off' });
+
+      const res = await logIntake({ coordinates: NEAR_OFFICE });
+
+      expect(res.body.intake.geo).toBeUndefined();
+    });
+
+    it('should coarsen and re-match edited coordinates', async () => {
+      const office = (await api('post', '/api/places').send({ name: 'Office', ...OFFICE })).body.place;
+      const logged = await logIntake({ coordinates: FAR_AWAY });
+
+      const res = await api('patch', `/api/intake/${logged.body.intake._id}`).send({ coordinates: NEAR_OFFICE });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.intake.geo.coordinates).toEqual([13.414, 52.522]);
+      expect(res.body.intake.placeId).toBe(office._id);
+      expect(res.body.changes.map((change) => change.field)).toEqual(['geo', 'placeId']);
+    });
+  });
+
+  describe('GET /api/analytics/places/:userId', () => {
+    it('should rank places by consumption', async () => {
+      await api('post', '/api/places').send({ name: 'Office', ...OFFICE });
+      await api('post', '/api/places').send({ name: 'Home', ...FAR_AWAY });
+
+      await logIntake({ puffs: 10, coordinates: OFFICE });
+      await logIntake({ puffs: 4, location: 'home' });
+      await logIntake({ puffs: 2, location: 'Bar' });
+      await logIntake({ puffs: 2, location: 'bar' });
+
+      const res = await api('get', `/api/analytics/places/${testUser._id}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.analytics.places.map((p) => [p.rank, p.name, p.totalPuffs])).toEqual([[1, 'Office', 10], [2, 'Home', 4]]);
+      expect(res.body.analytics.places[0].share).toBe(56);
+      expect(res.body.analytics.unmatched.topLocations).toEqual([{ location: 'bar', sessions: 2 }]);
+    });
+
+    it('should reject invalid dates', async () => {
+      const malformed = await api('get', `/api/analytics/places/${testUser._id}?startDate=yesterday`);
+      const reversed = await api('get', `/api/analytics/places/${testUser._id}?startDate=2024-03-10&endDate=2024-03-01`);
+
+      expect(malformed.statusCode).toBe(400);
+      expect(reversed.statusCode).toBe(400);
+    });
+  });
+});
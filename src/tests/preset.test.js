@@ -0,0 +1,152 @@
+/**
+ * Preset Tests
+ * @description Test suite for quick-log presets, one-tap logging and preset suggestions
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const dayjs = require('dayjs');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const Preset = require('../models/preset.model');
+const tokenService = require('../services/token.service');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const api = (method, path, token = authToken) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+  await Preset.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User'
+  });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+});
+
+describe('Preset Endpoints', () => {
+  describe('POST /api/intake/quick/:presetId', () => {
+    let preset;
+
+    beforeEach(async () => {
+      const res = await api('post', '/api/presets').send({
+        name: 'Morning coffee',
+        puffs: 4,
+        intensity: 'low',
+        context: 'habit',
+        location: 'Kitchen'
+      });
+      preset = res.body.preset;
+    });
+
+    it('should log an intake from a preset in one tap', async () => {
+      const res = await api('post', `/api/intake/quick/${preset._id}`);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.intake).toMatchObject({ puffs: 4, intensity: 'low', context: 'habit', location: 'Kitchen' });
+      expect(res.body.gamification.xp).toBe(10);
+
+      const list = await api('get', '/api/presets');
+      expect(list.body.presets[0].usageCount).toBe(1);
+    });
+
+    it('should apply overrides from the body', async () => {
+      const res = await api('post', `/api/intake/quick/${preset._id}`).send({ puffs: 9, notes: 'Double shot' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.intake.puffs).toBe(9);
+      expect(res.body.intake.notes).toBe('Double shot');
+      expect(res.body.intake.context).toBe('habit');
+    });
+
+    it('should validate overrides', async () => {
+      const res = await api('post', `/api/intake/quick/${preset._id}`).send({ intensity: 'extreme' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it("should not log from another user's preset", async () => {
+      const other = await User.create({ email: 'other@example.com', password: 'password123', name: 'Other' });
+      const otherToken = (await tokenService.createSession(other)).accessToken;
+
+      const res = await api('post', `/api/intake/quick/${preset._id}`, otherToken);
+
+      expect(res.statusCode).toBe(404);
+      expect(await Intake.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /api/presets/suggestions', () => {
+    beforeEach(async () => {
+      // Hours are read in the user's timezone; match the local time used below
+      await User.updateOne({ _id: testUser._id }, { 'profile.timezone': Intl.DateTimeFormat().resolvedOptions().timeZone });
+
+      const evening = dayjs().subtract(1, 'day').hour(20).minute(0);
+      await Intake.create([
+        ...[3, 3, 5, 3].map((puffs, i) => ({
+          userId: testUser._id,
+          puffs,
+          intensity: 'high',
+          context: 'stress',
+          location: 'Office',
+          loggedAt: evening.subtract(i, 'day').toDate()
+        })),
+        { userId: testUser._id, puffs: 1, intensity: 'low', context: 'bored', loggedAt: evening.toDate() }
+      ]);
+    });
+
+    it('should suggest the most frequent combination', async () => {
+      const res = await api('get', '/api/presets/suggestions');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.suggestions).toHaveLength(1);
+      expect(res.body.suggestions[0]).toMatchObject({
+        name: 'Evening stress',
+        puffs: 3,
+        intensity: 'high',
+        context: 'stress',
+        location: 'Office',
+        basedOnLogs: 4,
+        timeOfDay: 'evening',
+        typicalHour: 20
+      });
+    });
+
+    it('should skip combinations that already have a preset', async () => {
+      await api('post', '/api/presets').send({
+        name: 'Work stress',
+        puffs: 2,
+        intensity: 'high',
+        context: 'stress',
+        location: 'Office'
+      });
+
+      const res = await api('get', '/api/presets/suggestions');
+
+      expect(res.body.suggestions).toHaveLength(0);
+    });
+  });
+});
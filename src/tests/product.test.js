@@ -0,0 +1,186 @@
+/**
+ * Product Tests
+ * @description Test suite for the product catalog and per-product nicotine, unit and cost tracking
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const dayjs = require('dayjs');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const { Product } = require('../models/product.model');
+const tokenService = require('../services/token.service');
+const healthService = require('../services/health.service');
+const gamificationService = require('../services/gamification.service');
+
+let mongoServer;
+let testUser;
+let authToken;
+let vape;
+let cigarettes;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${authToken}`);
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+  await Product.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User'
+  });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+
+  // 2 ml of 20 mg/ml over 200 puffs = 0.2 mg per puff, $5 per pod
+  vape = (await api('post', '/api/products').send({
+    name: 'Mint pod',
+    type: 'vape',
+    podSizeMl: 2,
+    strengthMgPerMl: 20,
+    unitsPerPack: 200,
+    packPrice: 5
+  })).body.product;
+
+  cigarettes = (await api('post', '/api/products').send({
+    name: 'Reds',
+    type: 'cigarette',
+    nicotineMgPerUnit: 1.2,
+    packPrice: 12
+  })).body.product;
+});
+
+describe('Product Endpoints', () => {
+  describe('POST /api/products', () => {
+    it('should make the first product the default', async () => {
+      const res = await api('get', '/api/products');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.products.map((p) => [p.name, p.isDefault])).toEqual([['Mint pod', true], ['Reds', false]]);
+      expect(res.body.products[1].unitsPerPack).toBe(20);
+      expect(res.body.products[1].unit).toBe('cigarette');
+    });
+
+    it('should require the details needed for a nicotine estimate', async () => {
+      const res = await api('post', '/api/products').send({ name: 'Pod', type: 'vape' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('logging intakes with products', () => {
+    it('should count an intake in the product unit with estimated nicotine', async () => {
+      const res = await api('post', '/api/intake/log').send({
+        puffs: 2,
+        intensity: 'high',
+        context: 'social',
+        productId: cigarettes._id
+      });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.intake.unit).toBe('cigarette');
+      expect(res.body.intake.nicotineMg).toBeCloseTo(2.4);
+    });
+
+    it('should use the default product when none is given', async () => {
+      const res = await api('post', '/api/intake/log').send({ puffs: 10, intensity: 'low', context: 'habit' });
+
+      expect(res.body.intake.productId).toBe(vape._id);
+      expect(res.body.intake.unit).toBe('puff');
+      expect(res.body.intake.nicotineMg).toBeCloseTo(2);
+    });
+
+    it('should reject amounts that do not fit the unit', async () => {
+      const res = await api('post', '/api/intake/log').send({
+        puffs: 60,
+        intensity: 'high',
+        context: 'stress',
+        productId: cigarettes._id
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not log with an archived product', async () => {
+      await api('delete', `/api/products/${cigarettes._id}`);
+
+      const res = await api('post', '/api/intake/log').send({
+        puffs: 1,
+        intensity: 'low',
+        context: 'habit',
+        productId: cigarettes._id
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should re-estimate nicotine when the product of an intake is corrected', async () => {
+      const logged = await api('post', '/api/intake/log').send({ puffs: 3, intensity: 'low', context: 'habit' });
+
+      const res = await api('patch', `/api/intake/${logged.body.intake._id}`).send({ productId: cigarettes._id });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.intake.unit).toBe('cigarette');
+      expect(res.body.intake.nicotineMg).toBeCloseTo(3.6);
+    });
+  });
+
+  describe('dual use totals', () => {
+    beforeEach(async () => {
+      await api('post', '/api/intake/log').send({ puffs: 20, intensity: 'low', context: 'habit', productId: vape._id });
+      await api('post', '/api/intake/log').send({ puffs: 2, intensity: 'high', context: 'social', productId: cigarettes._id });
+    });
+
+    it('should report units and nicotine in daily analytics', async () => {
+      const res = await api('get', `/api/analytics/daily/${testUser._id}`);
+
+      expect(res.body.analytics.consumption.units).toEqual({ puff: 20, cigarette: 2 });
+      expect(res.body.analytics.consumption.nicotineMg).toBeCloseTo(6.4);
+      expect(res.body.analytics.consumption.byProduct).toHaveLength(2);
+    });
+
+    it('should price money saved per product', async () => {
+      await Streak.updateOne({ userId: testUser._id }, {
+        baselineDailyAverage: 40,
+        baselineDailySpend: 5,
+        baselineDailyNicotineMg: 12,
+        baselineSetDate: dayjs().subtract(2, 'day').subtract(1, 'minute').toDate()
+      });
+      await Intake.updateMany({ userId: testUser._id }, { loggedAt: dayjs().subtract(1, 'day').toDate() });
+
+      const money = await healthService.calculateMoneySaved(testUser._id);
+
+      // 20 puffs at $0.025 + 2 cigarettes at $0.60
+      expect(money.actualSpend).toBeCloseTo(1.7);
+      expect(money.moneySaved).toBeCloseTo(10 - 1.7);
+      expect(money.nicotine.mgAvoided).toBeCloseTo(24 - 6.4, 1);
+    });
+
+    it('should track reduction in milligrams of nicotine', async () => {
+      const baseline = await gamificationService.setBaseline(testUser._id);
+      expect(baseline.baselineNicotineMg).toBeCloseTo(6.4 / 7);
+
+      const progress = await gamificationService.getReductionProgress(testUser._id);
+      expect(progress.nicotine.reductionPercent).toBe(0);
+      expect(progress.currentUnits).toEqual({ puff: 2.9, cigarette: 0.3 });
+    });
+  });
+});
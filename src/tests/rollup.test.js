@@ -0,0 +1,139 @@
+/**
+ * Rollup Tests
+ * @description Test suite for daily rollups kept in step with intake changes
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const dayjs = require('dayjs');
+const app = require('../server');
+const User = require('../models/user.model');
+const Intake = require('../models/intake.model');
+const Session = require('../models/session.model');
+const Streak = require('../models/streak.model');
+const DailyRollup = require('../models/dailyRollup.model');
+const tokenService = require('../services/token.service');
+const rollupService = require('../services/rollup.service');
+const timezoneRebuild = require('../jobs/timezoneRebuild.job');
+const { createCalendar } = require('../utils/calendar');
+
+let mongoServer;
+let testUser;
+let authToken;
+
+// Users default to UTC
+const utc = createCalendar();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${authToken}`);
+
+const logIntake = (body) => api('post', '/api/intake/log').send({ puffs: 3, intensity: 'medium', context: 'stress', ...body });
+
+const rollupOf = (date) => DailyRollup.findOne({ userId: testUser._id, date: utc.dayKey(date) });
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Intake.deleteMany({});
+  await Session.deleteMany({});
+  await Streak.deleteMany({});
+  await DailyRollup.deleteMany({});
+
+  testUser = await User.create({
+    email: 'test@example.com',
+    password: 'password123',
+    name: 'Test User'
+  });
+
+  authToken = (await tokenService.createSession(testUser)).accessToken;
+});
+
+describe('Daily rollups', () => {
+  const twoDaysAgo = dayjs().subtract(2, 'day').toDate();
+
+  it('should roll up logged intakes by day, hour, context, intensity and mood', async () => {
+    await logIntake({ puffs: 4, intensity: 'high', mood: 2, loggedAt: twoDaysAgo.toISOString() });
+    await logIntake({ puffs: 2, context: 'bored', loggedAt: twoDaysAgo.toISOString() });
+
+    const rollup = await rollupOf(twoDaysAgo);
+
+    expect(rollup).toMatchObject({ totalPuffs: 6, sessions: 2, timezone: 'UTC' });
+    expect(rollup.hourlyPuffs[utc.hour(twoDaysAgo)]).toBe(6);
+    expect(rollup.contexts.get('stress')).toMatchObject({ sessions: 1, puffs: 4 });
+    expect(rollup.intensities.get('medium')).toMatchObject({ sessions: 1, puffs: 2 });
+    expect(rollup.moods.get('2')).toBe(1);
+    expect(rollup.units.get('puff')).toBe(6);
+  });
+
+  it('should follow edits and deletions', async () => {
+    const logged = await logIntake({ puffs: 5, loggedAt: twoDaysAgo.toISOString() });
+    const logId = logged.body.intake._id;
+    const yesterday = dayjs().subtract(1, 'day').toDate();
+
+    await api('patch', `/api/intake/${logId}`).send({ loggedAt: yesterday.toISOString() });
+
+    expect(await rollupOf(twoDaysAgo)).toBeNull();
+    expect((await rollupOf(yesterday)).totalPuffs).toBe(5);
+
+    await api('delete', `/api/intake/${logId}`);
+    expect(await rollupOf(yesterday)).toBeNull();
+
+    await api('post', `/api/intake/${logId}/restore`);
+    expect((await rollupOf(yesterday)).totalPuffs).toBe(5);
+  });
+
+  it('should rebuild rollups from intakes', async () => {
+    await Intake.create([
+      { userId: testUser._id, puffs: 3, intensity: 'low', context: 'habit', loggedAt: twoDaysAgo },
+      { userId: testUser._id, puffs: 7, intensity: 'low', context: 'habit', loggedAt: twoDaysAgo }
+    ]);
+
+    const result = await rollupService.rebuildUserRollups(testUser._id);
+
+    expect(result).toEqual({ days: 1, timezone: 'UTC' });
+    expect((await rollupOf(twoDaysAgo)).totalPuffs).toBe(10);
+  });
+
+  it('should re-bucket days when the timezone changes', async () => {
+    // 23:30 UTC is already the next day in Kuala Lumpur
+    const lateEvening = utc.startOfDay(utc.addDays(utc.today(), -2)).hour(23).minute(30).toDate();
+    await logIntake({ loggedAt: lateEvening.toISOString() });
+
+    const res = await api('patch', '/api/user/update').send({ profile: { timezone: 'Asia/Kuala_Lumpur' } });
+    expect(res.statusCode).toBe(200);
+
+    // Rebuilt in the background
+    await timezoneRebuild.whenIdle();
+
+    const rollups = await DailyRollup.find({ userId: testUser._id });
+    expect(rollups.map((rollup) => [rollup.date, rollup.timezone])).toEqual([[utc.addDays(utc.today(), -1), 'Asia/Kuala_Lumpur']]);
+  });
+
+  it('should serve daily analytics from rollups', async () => {
+    await logIntake({ puffs: 4, loggedAt: twoDaysAgo.toISOString() });
+
+    const res = await api('get', `/api/analytics/daily/${testUser._id}?date=${utc.dayKey(twoDaysAgo)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.analytics.totalPuffs).toBe(4);
+    expect(res.body.analytics.contextBreakdown).toEqual({ stress: 1 });
+  });
+
+  it('should build missing rollups on first read', async () => {
+    await Intake.create({ userId: testUser._id, puffs: 6, intensity: 'low', context: 'habit', loggedAt: twoDaysAgo });
+
+    const res = await api('get', `/api/analytics/daily/${testUser._id}?date=${utc.dayKey(twoDaysAgo)}`);
+
+    expect(res.body.analytics.totalPuffs).toBe(6);
+    expect(await DailyRollup.countDocuments({ userId: testUser._id })).toBe(1);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Auth Response Helpers
+ * @description Shared token issuance and auth cookie handling for login flows
+ */
+
+const tokenService = require('../services/token.service');
+const { env } = require('../config/env');
+
+// Cookie options
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+};
+
+// Refresh token cookie is only ever sent back to the auth routes
+const refreshCookieOptions = {
+  ...cookieOptions,
+  path: '/api/auth',
+  maxAge: env.REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Client details recorded on sessions and audit events
+ * @param {Object} req - Express request
+ */
+const getClientMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+/**
+ * Set auth cookies for a freshly issued token pair
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { accessToken, refreshToken }
+ */
+const setTokenCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie('token', accessToken, cookieOptions);
+  res.cookie('refreshToken', refreshToken, refreshCookieOptions);
+};
+
+/**
+ * Expire auth cookies
+ * @param {Object} res - Express response
+ */
+const clearTokenCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+  res.clearCookie('refreshToken', { path: refreshCookieOptions.path });
+};
+
+/**
+ * Start a session for a fully authenticated user and send its tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {number} statusCode - HTTP status
+ */
+const sendAuthResponse = async (req, res, user, statusCode = 200) => {
+  const tokens = await tokenService.createSession(user, getClientMeta(req));
+
+  setTokenCookies(res, tokens);
+
+  res.status(statusCode).json({
+    success: true,
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    user: user.toJSON()
+  });
+};
+
+/**
+ * Finish a first-factor login: issue tokens, or an "mfa pending" token when 2FA is on
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ */
+const sendLoginResponse = async (req, res, user) => {
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      success: true,
+      mfaRequired: true,
+      mfaToken: tokenService.signMfaToken(user._id)
+    });
+  }
+
+  return sendAuthResponse(req, res, user);
+};
+
+module.exports = {
+  getClientMeta,
+  setTokenCookies,
+  clearTokenCookies,
+  sendAuthResponse,
+  sendLoginResponse
+};
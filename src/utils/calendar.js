@@ -0,0 +1,142 @@
+/**
+ * Calendar Utilities
+ * @description Timezone-aware days, weeks and months for bucketing intakes the way the user lives them
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Use a stored IANA timezone if it is valid, otherwise UTC
+ * @param {string} tz - Timezone such as 'Europe/Berlin'
+ */
+const resolveTimezone = (tz) => {
+  if (!tz) return 'UTC';
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return tz;
+  } catch {
+    return 'UTC';
+  }
+};
+
+/**
+ * Calendar for one timezone and week start.
+ *
+ * Days are identified by their local date ('YYYY-MM-DD'). Day arithmetic is done
+ * on those keys and only then turned into instants, so days that are 23 or 25 hours
+ * long around DST changes still start and end at local midnight.
+ *
+ * Accepts Dates, ISO timestamps and 'YYYY-MM-DD' keys wherever a day is expected;
+ * a key is read as that date in the calendar's timezone.
+ *
+ * @param {Object} options - { timezone, weekStart } (weekStart is a day name, default 'sunday')
+ */
+const createCalendar = ({ timezone: tz, weekStart } = {}) => {
+  const zone = resolveTimezone(tz);
+  const firstDay = Math.max(0, WEEK_DAYS.indexOf(weekStart));
+
+  // Instant in the calendar's timezone
+  const local = (date) => dayjs(date).tz(zone);
+
+  const dayKey = (value) => (typeof value === 'string' && DAY_KEY.test(value) ? value : local(value).format('YYYY-MM-DD'));
+
+  const addDays = (value, days) => dayjs.utc(dayKey(value)).add(days, 'day').format('YYYY-MM-DD');
+
+  const startOfDay = (value) => dayjs.tz(dayKey(value), zone);
+
+  const endOfDay = (value) => startOfDay(addDays(value, 1)).subtract(1, 'millisecond');
+
+  // Weekday of a day, 0 = Sunday
+  const weekdayOf = (value) => dayjs.utc(dayKey(value)).day();
+
+  const weekStartKey = (value) => addDays(value, -((weekdayOf(value) - firstDay + 7) % 7));
+
+  const monthStartKey = (value) => `${dayKey(value).slice(0, 7)}-01`;
+
+  const monthEndKey = (value) => addDays(dayjs.utc(monthStartKey(value)).add(1, 'month').format('YYYY-MM-DD'), -1);
+
+  const range = (startKey, endKey) => ({
+    start: startOfDay(startKey).toDate(),
+    end: endOfDay(endKey).toDate()
+  });
+
+  return {
+    timezone: zone,
+    weekStart: WEEK_DAYS[firstDay],
+
+    now: () => dayjs().tz(zone),
+    local,
+    dayKey,
+    today: () => dayKey(new Date()),
+    addDays,
+    startOfDay,
+    endOfDay,
+
+    /**
+     * Whole calendar days from one day to another (negative if b is earlier)
+     */
+    daysBetween: (a, b) => dayjs.utc(dayKey(b)).diff(dayjs.utc(dayKey(a)), 'day'),
+
+    /**
+     * Day keys from start to end, inclusive
+     */
+    eachDay: (start, end) => {
+      const days = [];
+      for (let key = dayKey(start); key <= dayKey(end); key = addDays(key, 1)) days.push(key);
+      return days;
+    },
+
+    hour: (date) => local(date).hour(),
+    // 0 = Sunday; a day key gives that day's weekday
+    weekday: (value) => (typeof value === 'string' && DAY_KEY.test(value) ? weekdayOf(value) : local(value).day()),
+
+    // Local hour ('YYYY-MM-DDTHH:00'); the repeated hour when clocks go back shares one key
+    hourKey: (date) => local(date).format('YYYY-MM-DDTHH:00'),
+
+    /**
+     * Hour keys from the start of one day to the end of another; the hour skipped
+     * when clocks go forward has no key
+     */
+    eachHour: (start, end) => {
+      const keys = [];
+      const last = endOfDay(end).valueOf();
+      // Step through instants; adding hours to a local time keeps its old UTC offset
+      for (let t = startOfDay(start).valueOf(); t <= last; t += 60 * 60 * 1000) {
+        const key = local(t).format('YYYY-MM-DDTHH:00');
+        if (keys[keys.length - 1] !== key) keys.push(key);
+      }
+      return keys;
+    },
+
+    weekStartKey,
+    weekEndKey: (value) => addDays(weekStartKey(value), 6),
+    monthStartKey,
+    monthEndKey,
+
+    dayRange: (value) => range(value, value),
+    weekRange: (value) => range(weekStartKey(value), addDays(weekStartKey(value), 6)),
+    monthRange: (value) => range(monthStartKey(value), monthEndKey(value)),
+
+    // Aggregation expressions bucketing a date field the same way
+    dayKeyExpression: (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field, timezone: zone } }),
+    hourKeyExpression: (field) => ({ $dateToString: { format: '%Y-%m-%dT%H:00', date: field, timezone: zone } }),
+    hourExpression: (field) => ({ $hour: { date: field, timezone: zone } }),
+    // 0 = Sunday, like weekday()
+    weekdayExpression: (field) => ({ $subtract: [{ $dayOfWeek: { date: field, timezone: zone } }, 1] })
+  };
+};
+
+module.exports = {
+  WEEK_DAYS,
+  resolveTimezone,
+  createCalendar
+};
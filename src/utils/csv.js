@@ -0,0 +1,105 @@
+/**
+ * CSV Utilities
+ * @description RFC 4180 CSV formatting and parsing
+ */
+
+// Spreadsheets run cells starting with one of these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single CSV field. Text a spreadsheet would run as a formula is prefixed
+ * with an apostrophe and quoted; numbers (e.g. negative coordinates) are left alone.
+ * @param {*} value - Field value
+ */
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Format one CSV row
+ * @param {Array} values - Field values
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvField).join(',')}\r\n`;
+
+/**
+ * Format rows as CSV with a header line
+ * @param {Array<Object>} rows - Records
+ * @param {Array<string>} columns - Keys to output, in order
+ */
+const toCsv = (rows, columns) => {
+  return toCsvRow(columns) + rows.map((row) => toCsvRow(columns.map((column) => row[column]))).join('');
+};
+
+/**
+ * Parse CSV text into rows of fields (quoted fields, CRLF or LF line endings)
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows, blank lines skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @param {string} text - CSV document with a header line
+ * @returns {Array<Object>} Records
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((values) => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ''])));
+};
+
+module.exports = { escapeCsvField, toCsvRow, toCsv, parseCsv, parseCsvRecords };
@@ -4,7 +4,13 @@
  */
 
 const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
 const { v4: uuidv4 } = require('uuid');
+const { resolveTimezone, createCalendar } = require('./calendar');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
 
 /**
  * Generate a unique request ID
@@ -20,41 +26,37 @@ const formatDate = (date, format = 'YYYY-MM-DD HH:mm:ss') => {
   return dayjs(date).format(format);
 };
 
+/**
+ * Format a date in a timezone
+ * @param {Date|string} date - Date to format
+ * @param {string} tz - IANA timezone
+ * @param {string} format - DayJS format string (default: ISO 8601 with offset)
+ */
+const formatInTimezone = (date, tz, format = 'YYYY-MM-DDTHH:mm:ssZ') => {
+  return dayjs(date).tz(tz).format(format);
+};
+
 /**
  * Get start and end of day
  * @param {Date|string} date - Target date
+ * @param {string} tz - IANA timezone (default: UTC)
  */
-const getDayRange = (date) => {
-  const target = dayjs(date);
-  return {
-    start: target.startOf('day').toDate(),
-    end: target.endOf('day').toDate()
-  };
-};
+const getDayRange = (date, tz) => createCalendar({ timezone: tz }).dayRange(date);
 
 /**
  * Get start and end of week
  * @param {Date|string} date - Target date
+ * @param {string} tz - IANA timezone (default: UTC)
+ * @param {string} weekStart - First day of the week (default: 'sunday')
  */
-const getWeekRange = (date) => {
-  const target = dayjs(date);
-  return {
-    start: target.startOf('week').toDate(),
-    end: target.endOf('week').toDate()
-  };
-};
+const getWeekRange = (date, tz, weekStart) => createCalendar({ timezone: tz, weekStart }).weekRange(date);
 
 /**
  * Get start and end of month
  * @param {Date|string} date - Target date
+ * @param {string} tz - IANA timezone (default: UTC)
  */
-const getMonthRange = (date) => {
-  const target = dayjs(date);
-  return {
-    start: target.startOf('month').toDate(),
-    end: target.endOf('month').toDate()
-  };
-};
+const getMonthRange = (date, tz) => createCalendar({ timezone: tz }).monthRange(date);
 
 /**
  * Calculate percentage change
@@ -89,6 +91,32 @@ const paginate = (array, page = 1, limit = 10) => {
   };
 };
 
+/**
+ * Opaque pagination cursor for keyset (seek) pagination
+ * @param {Object} position - Sort key values of the last item returned
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} Position, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return position && typeof position === 'object' ? position : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} input - Literal text
+ */
+const escapeRegex = (input) => input.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 /**
  * Sleep utility for async operations
  * @param {number} ms - Milliseconds to sleep
@@ -107,11 +135,16 @@ const sanitize = (input) => {
 module.exports = {
   generateRequestId,
   formatDate,
+  resolveTimezone,
+  formatInTimezone,
   getDayRange,
   getWeekRange,
   getMonthRange,
   percentChange,
   paginate,
+  encodeCursor,
+  decodeCursor,
+  escapeRegex,
   sleep,
   sanitize
 };
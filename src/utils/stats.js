@@ -0,0 +1,117 @@
+/**
+ * Statistics Utilities
+ * @description Welch's t-test and Holm's correction for multiple comparisons
+ */
+
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ */
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+
+  const shifted = x - 1;
+  const t = shifted + 7.5;
+  const sum = LANCZOS.reduce((acc, coefficient, i) => acc + coefficient / (shifted + i + 1), 0.99999999999980993);
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Continued fraction of the incomplete beta function (modified Lentz's method)
+const betaContinuedFraction = (a, b, x) => {
+  const tiny = 1e-300;
+  const clamp = (value) => (Math.abs(value) < tiny ? tiny : value);
+
+  let c = 1;
+  let d = 1 / clamp(1 - ((a + b) * x) / (a + 1));
+  let result = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / clamp(1 + even * d);
+    c = clamp(1 + even / c);
+    result *= d * c;
+
+    const odd = (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / clamp(1 + odd * d);
+    c = clamp(1 + odd / c);
+    result *= d * c;
+
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+
+  return result;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - 0 to 1
+ * @param {number} a - Positive shape
+ * @param {number} b - Positive shape
+ */
+const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+/**
+ * Two-sided p-value of Student's t distribution
+ * @param {number} t - Test statistic
+ * @param {number} df - Degrees of freedom (need not be whole)
+ */
+const studentTPValue = (t, df) => Math.min(1, regularizedBeta(df / (df + t * t), df / 2, 0.5));
+
+/**
+ * Welch's t-test of two groups with unequal variances
+ * @param {Object} a - { n, mean, variance } (sample variance)
+ * @param {Object} b - { n, mean, variance }
+ * @returns {Object} { t, df, pValue } - t and df are null when both groups have no spread
+ */
+const welchTest = (a, b) => {
+  const shareA = a.variance / a.n;
+  const shareB = b.variance / b.n;
+  const standardError = Math.sqrt(shareA + shareB);
+
+  if (!standardError) {
+    return { t: null, df: null, pValue: a.mean === b.mean ? 1 : 0 };
+  }
+
+  const t = (a.mean - b.mean) / standardError;
+  // Welch-Satterthwaite
+  const df = (shareA + shareB) ** 2 / (shareA ** 2 / (a.n - 1) + shareB ** 2 / (b.n - 1));
+
+  return { t, df, pValue: studentTPValue(t, df) };
+};
+
+/**
+ * Holm-Bonferroni adjusted p-values, controlling the family-wise error rate
+ * @param {Array<number>} pValues - Raw p-values of the whole family of tests
+ * @returns {Array<number>} Adjusted p-values, in the same order
+ */
+const holmAdjust = (pValues) => {
+  const order = pValues.map((p, index) => ({ p, index })).sort((x, y) => x.p - y.p);
+  const adjusted = Array(pValues.length);
+
+  let running = 0;
+  order.forEach(({ p, index }, rank) => {
+    running = Math.max(running, Math.min(1, (pValues.length - rank) * p));
+    adjusted[index] = running;
+  });
+
+  return adjusted;
+};
+
+module.exports = {
+  studentTPValue,
+  welchTest,
+  holmAdjust
+};
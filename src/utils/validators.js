@@ -4,6 +4,17 @@
  */
 
 const { z } = require('zod');
+const { API_KEY_SCOPES } = require('../models/apiKey.model');
+const { ROLES } = require('../config/permissions');
+const { CRAVING_OUTCOMES, COPING_TECHNIQUES } = require('../models/craving.model');
+const { PRODUCT_TYPES } = require('../models/product.model');
+const { LOCATION_PRECISION } = require('../models/place.model');
+const { WEEK_DAYS } = require('./calendar');
+const { RANGE_GRANULARITIES, RANGE_COMPARISONS } = require('../services/analytics.service');
+const { HEATMAP_METRICS, HEATMAP_NORMALIZATIONS } = require('../services/prediction.service');
+const { env } = require('../config/env');
+
+const objectId = (message = 'Invalid ID') => z.string().regex(/^[a-f\d]{24}$/i, message);
 
 // Auth schemas
 const registerSchema = z.object({
@@ -17,6 +28,66 @@ const loginSchema = z.object({
   password: z.string().min(1, 'Password is required')
 });
 
+// Refresh token may arrive in the body (mobile) or as a cookie (web, no body)
+const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1).optional()
+}).optional();
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email format')
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required'),
+  password: z.string().min(6, 'Password must be at least 6 characters')
+});
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required'),
+  newPassword: z.string().min(6, 'Password must be at least 6 characters')
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Verification token is required')
+});
+
+const unlockAccountSchema = z.object({
+  token: z.string().min(1, 'Unlock token is required')
+});
+
+const totpCode = z.string().regex(/^\d{6}$/, 'Code must be 6 digits');
+
+// Either an authenticator code or a one-time recovery code
+const secondFactorFields = {
+  code: totpCode.optional(),
+  recoveryCode: z.string().min(1).optional()
+};
+
+const hasSecondFactor = (data) => Boolean(data.code || data.recoveryCode);
+const secondFactorMessage = { message: 'A code or recovery code is required' };
+
+const mfaLoginSchema = z.object({
+  mfaToken: z.string().min(1, 'MFA token is required'),
+  ...secondFactorFields
+}).refine(hasSecondFactor, secondFactorMessage);
+
+const enableTwoFactorSchema = z.object({
+  code: totpCode
+});
+
+const disableTwoFactorSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+  ...secondFactorFields
+}).refine(hasSecondFactor, secondFactorMessage);
+
+const secondFactorSchema = z.object(secondFactorFields).refine(hasSecondFactor, secondFactorMessage);
+
+const createApiKeySchema = z.object({
+  name: z.string().min(1, 'Name is required').max(50, 'Name too long'),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, 'At least one scope is required'),
+  expiresInDays: z.number().int().min(1).max(365).optional()
+});
+
 // User schemas
 const updateProfileSchema = z.object({
   name: z.string().min(1).max(50).optional(),
@@ -24,11 +95,37 @@ const updateProfileSchema = z.object({
     smokingStartDate: z.string().datetime().optional(),
     dailyTarget: z.number().min(0).optional(),
     motivations: z.array(z.string()).optional(),
-    timezone: z.string().optional()
+    timezone: z.string()
+      .refine((tz) => { try { Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; } }, 'Unknown timezone')
+      .optional(),
+    weekStart: z.enum(WEEK_DAYS).optional(),
+    locationPrecision: z.enum(Object.keys(LOCATION_PRECISION)).optional()
   }).optional()
 });
 
+// Password for regular accounts, email for password-less (provider sign-in) accounts
+const deleteAccountSchema = z.object({
+  password: z.string().optional(),
+  confirmEmail: z.string().optional()
+});
+
+const updateRoleSchema = z.object({
+  role: z.enum(ROLES)
+});
+
 // Intake schemas
+
+// Allow a little clock skew between the phone and the server
+const MAX_FUTURE_LOG_MS = 5 * 60 * 1000;
+
+// Client-supplied log time: never in the future, not older than the backdate window
+const loggedAtField = z.string().datetime({ offset: true, abort: true })
+  .refine((value) => new Date(value).getTime() <= Date.now() + MAX_FUTURE_LOG_MS, 'loggedAt cannot be in the future')
+  .refine(
+    (value) => new Date(value).getTime() >= Date.now() - env.INTAKE_MAX_BACKDATE_DAYS * 24 * 60 * 60 * 1000,
+    `loggedAt cannot be more than ${env.INTAKE_MAX_BACKDATE_DAYS} days ago`
+  );
+
 const intakeSchema = z.object({
   puffs: z.number().min(1, 'At least 1 puff required').max(100, 'Maximum 100 puffs'),
   intensity: z.enum(['low', 'medium', 'high'], {
@@ -39,7 +136,220 @@ const intakeSchema = z.object({
   }),
   notes: z.string().max(500, 'Notes too long').optional(),
   location: z.string().optional(),
-  mood: z.number().min(1).max(5).optional()
+  // Device position; stored only if the user opted in (profile.locationPrecision)
+  coordinates: z.object({
+    latitude: z.number().min(-90).max(90),
+    longitude: z.number().min(-180).max(180)
+  }).optional(),
+  // Matched automatically from coordinates or location when not given
+  placeId: objectId('Invalid place ID').optional(),
+  mood: z.number().int().min(1).max(5).optional(),
+  // Defaults to the user's default product; puffs is then the amount in its unit
+  productId: objectId('Invalid product ID').optional(),
+  loggedAt: loggedAtField.optional(),
+  // Generated by the app so retried uploads are not logged twice
+  clientId: z.string().min(1).max(100).optional()
+});
+
+const intakeUpdateSchema = intakeSchema.omit({ clientId: true }).partial()
+  .refine((data) => Object.keys(data).length > 0, 'No changes provided');
+
+// Sync items are validated one by one so a bad entry doesn't fail the batch
+const intakeSyncEntrySchema = intakeSchema.extend({
+  clientId: z.string().min(1).max(100)
+});
+
+const intakeSyncSchema = z.object({
+  entries: z.array(z.unknown()).min(1, 'No entries provided').max(50, 'At most 50 entries per sync')
+});
+
+// Historical rows: loggedAt is required and may be older than the backdate window
+const intakeImportRowSchema = intakeSchema.omit({ clientId: true }).extend({
+  loggedAt: z.string().datetime({ offset: true, abort: true })
+    .refine((value) => new Date(value).getTime() <= Date.now() + MAX_FUTURE_LOG_MS, 'loggedAt cannot be in the future')
+});
+
+const importQuerySchema = z.object({
+  format: z.enum(['csv', 'json']).optional(),
+  dryRun: z.enum(['true', 'false']).optional(),
+  // JSON object of intake field -> source column, e.g. {"puffs":"Hits"}
+  mapping: z.string().optional(),
+  // Add this upload to an earlier batch (large files sent in parts)
+  batchId: z.string().optional()
+});
+
+// Dates are calendar days (YYYY-MM-DD) in the user's timezone
+const calendarDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD');
+
+const intakeExportQuerySchema = z.object({
+  format: z.enum(['csv', 'json', 'ndjson']).optional(),
+  startDate: calendarDate.optional(),
+  endDate: calendarDate.optional(),
+  userId: z.string().optional()
+});
+
+// Quick log: the preset fills in the intake, the body may override any field
+const quickLogSchema = intakeSchema.partial().optional();
+
+// Preset schemas
+const presetSchema = intakeSchema.pick({
+  puffs: true,
+  intensity: true,
+  context: true,
+  productId: true,
+  location: true
+}).extend({
+  name: z.string().min(1, 'Name is required').max(50, 'Name too long'),
+  location: z.string().max(100).optional()
+});
+
+const presetUpdateSchema = presetSchema.partial()
+  .refine((data) => Object.keys(data).length > 0, 'No changes provided');
+
+// Comma-separated list of allowed values, e.g. ?context=stress,social
+const enumList = (values, name) => z.string()
+  .refine((value) => value.split(',').every((item) => values.includes(item)), `${name} must be one of: ${values.join(', ')}`);
+
+const integerParam = (min, max, name) => z.string()
+  .regex(/^\d+$/, `${name} must be a whole number`)
+  .refine((value) => Number(value) >= min && Number(value) <= max, `${name} must be between ${min} and ${max}`);
+
+// Intake fields a listing can be narrowed to with ?fields=
+const INTAKE_LIST_FIELDS = [
+  'puffs', 'productId', 'unit', 'nicotineMg', 'intensity', 'context', 'notes',
+  'location', 'mood', 'clientId', 'importBatchId', 'createdAt', 'updatedAt'
+];
+
+const intakeListQuerySchema = z.object({
+  limit: integerParam(1, 100, 'limit').optional(),
+  // Opaque cursor from a previous response's nextCursor
+  cursor: z.string().max(200).optional(),
+  // Page-based listing with totals
+  page: integerParam(1, 10000, 'page').optional(),
+  startDate: z.string().refine((value) => !Number.isNaN(Date.parse(value)), 'Invalid startDate').optional(),
+  endDate: z.string().refine((value) => !Number.isNaN(Date.parse(value)), 'Invalid endDate').optional(),
+  context: enumList(['stress', 'bored', 'habit', 'social', 'other'], 'context').optional(),
+  intensity: enumList(['low', 'medium', 'high'], 'intensity').optional(),
+  minMood: integerParam(1, 5, 'minMood').optional(),
+  maxMood: integerParam(1, 5, 'maxMood').optional(),
+  location: z.string().min(1).max(100).optional(),
+  // Text search in notes
+  q: z.string().min(1).max(100).optional(),
+  fields: enumList(INTAKE_LIST_FIELDS, 'fields').optional()
+})
+  .refine((data) => !(data.cursor && data.page), { message: 'Use either cursor or page', path: ['cursor'] })
+  .refine((data) => !data.minMood || !data.maxMood || Number(data.minMood) <= Number(data.maxMood), {
+    message: 'minMood cannot be greater than maxMood',
+    path: ['minMood']
+  });
+
+// Analytics query schemas
+const analyticsPlacesQuerySchema = z.object({
+  startDate: calendarDate.optional(),
+  endDate: calendarDate.optional()
+}).refine((query) => !query.startDate || !query.endDate || query.startDate <= query.endDate, {
+  message: 'startDate must not be after endDate',
+  path: ['startDate']
+});
+
+const analyticsRangeQuerySchema = z.object({
+  from: calendarDate.optional(),
+  to: calendarDate.optional(),
+  granularity: z.enum(RANGE_GRANULARITIES).optional(),
+  compare: z.enum(RANGE_COMPARISONS).optional()
+}).refine((query) => !query.from || !query.to || query.from <= query.to, {
+  message: 'from must not be after to',
+  path: ['from']
+});
+
+const analyticsHeatmapQuerySchema = z.object({
+  days: integerParam(1, 365, 'days').optional(),
+  metric: z.enum(HEATMAP_METRICS).optional(),
+  normalize: z.enum(HEATMAP_NORMALIZATIONS).optional(),
+  threshold: integerParam(0, 100, 'threshold').optional()
+});
+
+const analyticsMoodQuerySchema = z.object({
+  from: calendarDate.optional(),
+  to: calendarDate.optional(),
+  minSamples: integerParam(5, 1000, 'minSamples').optional()
+}).refine((query) => !query.from || !query.to || query.from <= query.to, {
+  message: 'from must not be after to',
+  path: ['from']
+});
+
+// Product schemas
+const productFields = {
+  name: z.string().min(1, 'Name is required').max(50, 'Name too long'),
+  podSizeMl: z.number().positive().max(100).optional(),
+  strengthMgPerMl: z.number().min(0).max(100).optional(),
+  nicotineMgPerUnit: z.number().min(0).max(50).optional(),
+  packPrice: z.number().min(0).optional(),
+  unitsPerPack: z.number().int().min(1).max(10000).optional(),
+  isDefault: z.boolean().optional()
+};
+
+// Nicotine can only be estimated with the details that matter for the type
+const productSchema = z.object({
+  type: z.enum(PRODUCT_TYPES),
+  ...productFields
+}).superRefine((data, ctx) => {
+  if (data.type === 'vape') {
+    ['podSizeMl', 'strengthMgPerMl'].forEach((field) => {
+      if (data[field] === undefined) {
+        ctx.addIssue({ code: 'custom', path: [field], message: `${field} is required for vapes` });
+      }
+    });
+  } else if (data.nicotineMgPerUnit === undefined) {
+    ctx.addIssue({ code: 'custom', path: ['nicotineMgPerUnit'], message: 'nicotineMgPerUnit is required' });
+  }
+});
+
+// The type can't change: past intakes are counted in its unit
+const productUpdateSchema = z.object(productFields).partial()
+  .refine((data) => Object.keys(data).length > 0, 'No changes provided');
+
+// Place schemas
+const placeFields = {
+  name: z.string().min(1, 'Name is required').max(50, 'Name too long'),
+  aliases: z.array(z.string().min(1).max(50)).max(10, 'At most 10 aliases').optional(),
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180),
+  radiusMeters: z.number().min(25).max(5000).optional()
+};
+
+const placeSchema = z.object(placeFields);
+
+const placeUpdateSchema = z.object(placeFields).partial()
+  .refine((data) => Object.keys(data).length > 0, 'No changes provided')
+  .refine((data) => (data.latitude === undefined) === (data.longitude === undefined), {
+    message: 'latitude and longitude must be changed together',
+    path: ['latitude']
+  });
+
+// Craving schemas
+const cravingSchema = z.object({
+  context: z.enum(['stress', 'bored', 'habit', 'social', 'other']),
+  intensity: z.enum(['low', 'medium', 'high']),
+  outcome: z.enum(CRAVING_OUTCOMES),
+  durationMinutes: z.number().min(0).max(240, 'Maximum 240 minutes').optional(),
+  copingTechnique: z.enum(COPING_TECHNIQUES).optional(),
+  // The intake logged when the user gave in
+  intakeId: objectId('Invalid intake ID').optional(),
+  mood: z.number().int().min(1).max(5).optional(),
+  notes: z.string().max(500, 'Notes too long').optional(),
+  loggedAt: loggedAtField.optional()
+}).refine((data) => !data.intakeId || data.outcome === 'gave_in', {
+  message: 'Only cravings the user gave in to can link an intake',
+  path: ['intakeId']
+});
+
+const cravingListQuerySchema = z.object({
+  limit: integerParam(1, 100, 'limit').optional(),
+  page: integerParam(1, 10000, 'page').optional(),
+  outcome: z.enum(CRAVING_OUTCOMES).optional(),
+  startDate: z.string().refine((value) => !Number.isNaN(Date.parse(value)), 'Invalid startDate').optional(),
+  endDate: z.string().refine((value) => !Number.isNaN(Date.parse(value)), 'Invalid endDate').optional()
 });
 
 // AI schemas
@@ -55,8 +365,41 @@ const coachingSchema = z.object({
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  verifyEmailSchema,
+  unlockAccountSchema,
+  mfaLoginSchema,
+  enableTwoFactorSchema,
+  disableTwoFactorSchema,
+  secondFactorSchema,
+  createApiKeySchema,
   updateProfileSchema,
+  deleteAccountSchema,
+  updateRoleSchema,
   intakeSchema,
+  intakeUpdateSchema,
+  intakeSyncEntrySchema,
+  intakeSyncSchema,
+  intakeImportRowSchema,
+  importQuerySchema,
+  intakeExportQuerySchema,
+  intakeListQuerySchema,
+  quickLogSchema,
+  presetSchema,
+  presetUpdateSchema,
+  productSchema,
+  productUpdateSchema,
+  placeSchema,
+  placeUpdateSchema,
+  analyticsPlacesQuerySchema,
+  analyticsRangeQuerySchema,
+  analyticsHeatmapQuerySchema,
+  analyticsMoodQuerySchema,
+  cravingSchema,
+  cravingListQuerySchema,
   insightsSchema,
   coachingSchema
 };